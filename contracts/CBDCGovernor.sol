@@ -0,0 +1,252 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+interface IPausableToken {
+    function pause() external;
+}
+
+// M-of-N officer governance for a CBDC token. The governor holds the token's privileged roles: calls on the token
+// are proposed by an officer, approved by `threshold` officers and executed once `executionDelay` has passed.
+// Only approvals and vetoes of current officers count, so removing an officer withdraws their votes.
+// Pausing stays instant so any single officer can react to an emergency.
+contract CBDCGovernor {
+    using Address for address;
+
+    struct Proposal {
+        address target;
+        bytes data;
+        address proposer;
+        address[] approvers;
+        address[] vetoers;
+        uint256 executableAt; // Zero until the proposal reaches the approval threshold
+        bool executed;
+        bool cancelled;
+    }
+
+    address public immutable token;
+    uint256 public threshold; // Approvals needed before a proposal is queued
+    uint256 public executionDelay; // Seconds between queueing and execution
+    uint256 public officerCount;
+    uint256 public proposalCount;
+
+    mapping(address => bool) private _officers;
+    // Incremented whenever an account becomes an officer, so votes cast in an earlier term do not count again.
+    mapping(address => uint256) private _officerTerms;
+    mapping(uint256 => Proposal) private _proposals;
+    // Officer term in which each officer approved or vetoed a proposal, zero if they did not
+    mapping(uint256 => mapping(address => uint256)) private _approvals;
+    mapping(uint256 => mapping(address => uint256)) private _vetoes;
+
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address indexed target, bytes data, string description);
+    event ProposalApproved(uint256 indexed proposalId, address indexed officer, uint256 approvals);
+    event ProposalQueued(uint256 indexed proposalId, uint256 executableAt);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ProposalCancelled(uint256 indexed proposalId);
+    event ProposalVetoed(uint256 indexed proposalId, address indexed officer, uint256 vetoes);
+    event OfficerAdded(address indexed officer);
+    event OfficerRemoved(address indexed officer);
+    event GovernanceUpdated(string parameterName, uint256 newValue);
+    event EmergencyPause(address indexed officer);
+
+    modifier onlyOfficer() {
+        require(_officers[msg.sender], "Caller is not an officer");
+        _;
+    }
+
+    // Officer set, threshold and delay can only change through an executed proposal targeting the governor itself.
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Caller is not governance");
+        _;
+    }
+
+    constructor(address tokenAddress, address[] memory officers, uint256 initialThreshold, uint256 initialDelay) {
+        require(tokenAddress != address(0), "Invalid token address");
+        token = tokenAddress;
+        for (uint256 i = 0; i < officers.length; i++) {
+            _addOfficer(officers[i]);
+        }
+        _setThreshold(initialThreshold);
+        executionDelay = initialDelay;
+    }
+
+    function isOfficer(address account) public view returns (bool) {
+        return _officers[account];
+    }
+
+    function getProposal(uint256 proposalId)
+        public
+        view
+        returns (
+            address target,
+            bytes memory data,
+            address proposer,
+            uint256 approvals,
+            uint256 executableAt,
+            bool executed,
+            bool cancelled
+        )
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        return (
+            proposal.target,
+            proposal.data,
+            proposal.proposer,
+            _countVotes(proposal.approvers, _approvals[proposalId]),
+            proposal.executableAt,
+            proposal.executed,
+            proposal.cancelled
+        );
+    }
+
+    // Whether `officer` approved the proposal in their current term as an officer.
+    function hasApproved(uint256 proposalId, address officer) public view returns (bool) {
+        return _isCurrentVote(_approvals[proposalId], officer);
+    }
+
+    function vetoCount(uint256 proposalId) public view returns (uint256) {
+        return _countVotes(_proposals[proposalId].vetoers, _vetoes[proposalId]);
+    }
+
+    // Proposes a call on the token or on the governor itself. The proposer's approval is counted immediately.
+    function propose(address target, bytes calldata data, string calldata description)
+        public
+        onlyOfficer
+        returns (uint256 proposalId)
+    {
+        require(target == token || target == address(this), "Unsupported target");
+        proposalId = ++proposalCount;
+        Proposal storage proposal = _proposals[proposalId];
+        proposal.target = target;
+        proposal.data = data;
+        proposal.proposer = msg.sender;
+        emit ProposalCreated(proposalId, msg.sender, target, data, description);
+        _approve(proposalId);
+    }
+
+    function approve(uint256 proposalId) public onlyOfficer {
+        _approve(proposalId);
+    }
+
+    function execute(uint256 proposalId) public onlyOfficer {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.executableAt != 0, "Proposal not queued");
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(block.timestamp >= proposal.executableAt, "Execution delay not passed");
+        require(_countVotes(proposal.approvers, _approvals[proposalId]) >= threshold, "Not enough approvals");
+
+        proposal.executed = true;
+        proposal.target.functionCall(proposal.data);
+        emit ProposalExecuted(proposalId, msg.sender);
+    }
+
+    function cancel(uint256 proposalId) public {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.proposer == msg.sender, "Only the proposer can cancel");
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        proposal.cancelled = true;
+        emit ProposalCancelled(proposalId);
+    }
+
+    // Lets the officers stop a queued proposal during the execution delay: `threshold` vetoes cancel it.
+    function veto(uint256 proposalId) public onlyOfficer {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.executableAt != 0, "Proposal not queued");
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(!_isCurrentVote(_vetoes[proposalId], msg.sender), "Already vetoed");
+
+        if (_vetoes[proposalId][msg.sender] == 0) {
+            proposal.vetoers.push(msg.sender);
+        }
+        _vetoes[proposalId][msg.sender] = _officerTerms[msg.sender];
+        uint256 vetoes = _countVotes(proposal.vetoers, _vetoes[proposalId]);
+        emit ProposalVetoed(proposalId, msg.sender, vetoes);
+
+        if (vetoes >= threshold) {
+            proposal.cancelled = true;
+            emit ProposalCancelled(proposalId);
+        }
+    }
+
+    // Emergency brake: pauses the token without waiting for approvals. Unpausing goes through a proposal.
+    function pause() public onlyOfficer {
+        IPausableToken(token).pause();
+        emit EmergencyPause(msg.sender);
+    }
+
+    function addOfficer(address officer) public onlyGovernance {
+        _addOfficer(officer);
+    }
+
+    function removeOfficer(address officer) public onlyGovernance {
+        require(_officers[officer], "Not an officer");
+        require(officerCount > threshold, "Officers below threshold");
+        _officers[officer] = false;
+        officerCount -= 1;
+        emit OfficerRemoved(officer);
+    }
+
+    function setThreshold(uint256 newThreshold) public onlyGovernance {
+        _setThreshold(newThreshold);
+    }
+
+    function setExecutionDelay(uint256 newDelay) public onlyGovernance {
+        executionDelay = newDelay;
+        emit GovernanceUpdated("ExecutionDelay", newDelay);
+    }
+
+    function _approve(uint256 proposalId) private {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.proposer != address(0), "Unknown proposal");
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(!_isCurrentVote(_approvals[proposalId], msg.sender), "Already approved");
+
+        if (_approvals[proposalId][msg.sender] == 0) {
+            proposal.approvers.push(msg.sender);
+        }
+        _approvals[proposalId][msg.sender] = _officerTerms[msg.sender];
+        uint256 approvals = _countVotes(proposal.approvers, _approvals[proposalId]);
+        emit ProposalApproved(proposalId, msg.sender, approvals);
+
+        if (proposal.executableAt == 0 && approvals >= threshold) {
+            proposal.executableAt = block.timestamp + executionDelay;
+            emit ProposalQueued(proposalId, proposal.executableAt);
+        }
+    }
+
+    function _addOfficer(address officer) private {
+        require(officer != address(0), "Invalid officer address");
+        require(!_officers[officer], "Already an officer");
+        _officers[officer] = true;
+        _officerTerms[officer] += 1;
+        officerCount += 1;
+        emit OfficerAdded(officer);
+    }
+
+    function _isCurrentVote(mapping(address => uint256) storage votes, address officer) private view returns (bool) {
+        return _officers[officer] && votes[officer] == _officerTerms[officer];
+    }
+
+    // Counts the votes cast by accounts that are still officers, in the term they voted in.
+    function _countVotes(address[] storage voters, mapping(address => uint256) storage votes) private view returns (uint256 count) {
+        for (uint256 i = 0; i < voters.length; i++) {
+            if (_isCurrentVote(votes, voters[i])) {
+                count++;
+            }
+        }
+    }
+
+    function _setThreshold(uint256 newThreshold) private {
+        require(newThreshold > 0 && newThreshold <= officerCount, "Invalid threshold");
+        threshold = newThreshold;
+        emit GovernanceUpdated("Threshold", newThreshold);
+    }
+}
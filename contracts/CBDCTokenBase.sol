@@ -0,0 +1,541 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "./CBDCTokenCore.sol";
+
+// Token shared by the constructor-initialized CBDCToken and the proxied CBDCTokenUpgradeable. It implements approvals,
+// permit and the views itself and delegates every other function, transfers included, to the module contracts named
+// at construction, which run on this contract's storage. That keeps each contract below the 24 KB code size limit.
+abstract contract CBDCTokenBase is CBDCTokenCore, IERC20PermitUpgradeable {
+    using ECDSAUpgradeable for bytes32;
+
+    struct Modules {
+        address payments; // CBDCPaymentsModule
+        address offline; // CBDCOfflineModule
+        address compliance; // CBDCComplianceModule
+        address recovery; // CBDCRecoveryModule
+        address policy; // CBDCPolicyModule
+    }
+
+    // Part of the code rather than of the storage, so an upgrade brings the modules matching its implementation.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _paymentsModule;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _offlineModule;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _complianceModule;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _recoveryModule;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _policyModule;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(Modules memory modules) {
+        _paymentsModule = _checkModule(modules.payments);
+        _offlineModule = _checkModule(modules.offline);
+        _complianceModule = _checkModule(modules.compliance);
+        _recoveryModule = _checkModule(modules.recovery);
+        _policyModule = _checkModule(modules.policy);
+    }
+
+    function __CBDCTokenBase_init(address admin) internal onlyInitializing {
+        __ERC20_init("CBDC Token", "CBDC");
+        __AccessControl_init();
+        __Pausable_init();
+        __EIP712_init("CBDC Token", "1");
+
+        transactionCoolDown = 1 minutes;
+        maxTransactionAmount = 1_000_000 * 10**18;
+        kycValidityPeriod = 365 days;
+        offlineLockPeriod = 7 days;
+        redemptionExpiryPeriod = 7 days;
+        recoveryDelay = 3 days;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(BURNER_ROLE, admin);
+        _grantRole(POLICY_SETTER_ROLE, admin);
+        _grantRole(KYC_ADMIN_ROLE, admin);
+        _grantRole(COMPLIANCE_ROLE, admin);
+        _grantRole(SEIZURE_ROLE, admin);
+    }
+
+    function restrictedBalanceOf(address account) public view returns (uint256) {
+        return _restrictedTotals[account];
+    }
+
+    function getRestrictedBalances(address account) public view returns (RestrictedBalance[] memory) {
+        return _restrictedBalances[account];
+    }
+
+    function merchantCategoryOf(address merchant) public view returns (bytes32) {
+        return _merchantCategories[merchant];
+    }
+
+    function getRedemptionRequest(uint256 requestId)
+        public
+        view
+        returns (
+            address holder,
+            uint256 amount,
+            bytes32 bankAccountReference,
+            uint256 expiresAt,
+            RedemptionStatus status
+        )
+    {
+        RedemptionRequest storage request = _redemptionRequests[requestId];
+        return (request.holder, request.amount, request.bankAccountReference, request.expiresAt, request.status);
+    }
+
+    function redemptionEscrowOf(address account) public view returns (uint256) {
+        return _redemptionEscrows[account];
+    }
+
+    function mintAllowance(address minter) public view returns (uint256) {
+        return _mintAllowances[minter];
+    }
+
+    function burnAllowance(address burner) public view returns (uint256) {
+        return _burnAllowances[burner];
+    }
+
+    // Amount that can still be issued in the current epoch across all minters.
+    function getEpochMintAllowance() public view returns (uint256) {
+        if (mintEpochLength == 0) {
+            return type(uint256).max;
+        }
+        uint256 minted = block.timestamp / mintEpochLength == currentMintEpoch ? mintedInCurrentEpoch : 0;
+        return minted >= maxMintPerEpoch ? 0 : maxMintPerEpoch - minted;
+    }
+
+    function isBlacklisted(address account) public view returns (bool) {
+        return _blacklistedAddresses[account];
+    }
+
+    function frozenBalanceOf(address account) public view returns (uint256) {
+        return _frozenBalances[account];
+    }
+
+    function getKYCStatus(address account) public view returns (bool verified, uint8 verificationLevel, uint256 expiresAt) {
+        KYCRecord storage record = _kycRecords[account];
+        return (record.verified, record.verificationLevel, record.expiresAt);
+    }
+
+    function getInstitution(address institution) public view returns (Institution memory) {
+        return _institutions[institution];
+    }
+
+    function institutionOf(address customer) public view returns (address) {
+        return _customerRecords[customer].institution;
+    }
+
+    // Institution `customer` has approved to onboard them, or the zero address.
+    function approvedInstitutionOf(address customer) public view returns (address) {
+        return _customerRecords[customer].approvedInstitution;
+    }
+
+    // Latest expiry of the old key's vouchers that are still honoured after `account` was recovered.
+    function recoveredVoucherDeadline(address account) public view returns (uint256) {
+        return _recoveries[account].voucherDeadline;
+    }
+
+    function getRecoveryGuardians(address account) public view returns (address[] memory guardians, uint256 threshold) {
+        Recovery storage recovery = _recoveries[account];
+        return (recovery.guardians, recovery.threshold);
+    }
+
+    // The pending request of `account`; `approvals` counts guardian approvals.
+    function getRecoveryRequest(address account)
+        public
+        view
+        returns (address newAccount, uint256 approvals, uint256 executableAt)
+    {
+        Recovery storage recovery = _recoveries[account];
+        if (recovery.recovered) {
+            return (address(0), 0, 0);
+        }
+        for (uint256 bits = recovery.approvals; bits != 0; bits &= bits - 1) {
+            approvals++;
+        }
+        return (recovery.newAccount, approvals, recovery.executableAt);
+    }
+
+    function hasApprovedRecovery(address account, address guardian) public view returns (bool) {
+        Recovery storage recovery = _recoveries[account];
+        for (uint256 i = 0; i < recovery.guardians.length; i++) {
+            if (recovery.guardians[i] == guardian) {
+                return recovery.approvals & (1 << i) != 0;
+            }
+        }
+        return false;
+    }
+
+    // The address `account` was recovered to, or the zero address if it was not recovered.
+    function recoveredAccountOf(address account) public view returns (address) {
+        Recovery storage recovery = _recoveries[account];
+        return recovery.recovered ? recovery.newAccount : address(0);
+    }
+
+    // When `account` last sent a transfer; it can send again once transactionCoolDown has passed since then.
+    function lastTransactionTime(address account) public view returns (uint256) {
+        return _lastTransactionTimestamp[account];
+    }
+
+    function getVelocityAllowance(address account) public view returns (uint256 remainingTransactions, uint256 remainingVolume) {
+        if (velocityWindow == 0) {
+            return (type(uint256).max, type(uint256).max);
+        }
+        (uint256 count, uint256 volume) = _velocityUsage(account);
+        remainingTransactions = count >= maxTransactionsPerWindow ? 0 : maxTransactionsPerWindow - count;
+        remainingVolume = volume >= maxVolumePerWindow ? 0 : maxVolumePerWindow - volume;
+    }
+
+    function getPolicyTier(uint8 verificationLevel) public view returns (PolicyTier memory) {
+        return _policyTiers[verificationLevel];
+    }
+
+    function getFeeSchedule(FeeType feeType) public view returns (FeeSchedule memory) {
+        return _feeSchedules[feeType];
+    }
+
+    function isFeeExempt(address account) public view returns (bool) {
+        return _feeExemptions[account];
+    }
+
+    function getInterestTier(uint8 verificationLevel)
+        public
+        view
+        returns (int256 annualRateBps, uint256 holdingFeeThreshold, uint256 holdingFeeBps)
+    {
+        InterestTier storage tier = _interestTiers[verificationLevel];
+        return (tier.annualRateBps, tier.holdingFeeThreshold, tier.holdingFeeBps);
+    }
+
+    // Interest and holding fee accrued since the account was last settled. They are settled into the balance
+    // whenever the account sends or receives funds, or when anyone calls accrueInterest.
+    function accruedInterestOf(address account) public view returns (int256 interest, uint256 holdingFee) {
+        InterestTier storage tier = _interestTiers[_kycRecords[account].verificationLevel];
+        (int256 rateIndex, uint256 feeIndex) = _currentInterestIndexes(tier);
+        return _pendingInterest(account, tier, rateIndex, feeIndex);
+    }
+
+    function offlineBalanceOf(address account) public view returns (uint256) {
+        return _offlineBalances[account];
+    }
+
+    function offlineUnlockTime(address account) public view returns (uint256) {
+        return _offlineUnlockTimes[account];
+    }
+
+    // EIP-2612: approves `spender` with the owner's signature, so the owner needs no gas to grant an allowance.
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override {
+        require(block.timestamp <= deadline, "Permit expired");
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _permitNonces[owner]++, deadline));
+        require(_hashTypedDataV4(structHash).recover(v, r, s) == owner, "Invalid signature");
+        _approve(owner, spender, value);
+    }
+
+    function nonces(address owner) public view virtual override returns (uint256) {
+        return _permitNonces[owner];
+    }
+
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function isNonceUsed(address owner, uint256 nonce) public view returns (bool) {
+        return _nonceBitmaps[owner][nonce >> 8] & (1 << (nonce & 0xff)) != 0;
+    }
+
+    function nonceBitmap(address owner, uint256 wordPosition) public view returns (uint256) {
+        return _nonceBitmaps[owner][wordPosition];
+    }
+
+    // Only checks the voucher itself; transfer policies are evaluated when it is redeemed.
+    function isVoucherRedeemable(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expirationTimestamp,
+        bytes memory signature
+    ) public view returns (bool) {
+        if (block.timestamp > expirationTimestamp || isNonceUsed(from, nonce)) {
+            return false;
+        }
+        (address signer, ECDSAUpgradeable.RecoverError error) = hashOfflineTransfer(from, to, amount, nonce, expirationTimestamp).tryRecover(signature);
+        return error == ECDSAUpgradeable.RecoverError.NoError && signer == from;
+    }
+
+    // Functions implemented by the modules, grouped by module. The parameters are unnamed because only the module
+    // decodes them; see _delegate.
+
+    function transfer(address, uint256) public virtual override returns (bool) {
+        _delegate(_paymentsModule);
+    }
+
+    function transferFrom(address, address, uint256) public virtual override returns (bool) {
+        _delegate(_paymentsModule);
+    }
+
+    function mint(address, uint256, bytes32) external {
+        _delegate(_paymentsModule);
+    }
+
+    function mintRestricted(address, uint256, bytes32, uint256, bytes32) external {
+        _delegate(_paymentsModule);
+    }
+
+    function returnExpiredRestrictedFunds(address) external {
+        _delegate(_paymentsModule);
+    }
+
+    function requestRedemption(uint256, bytes32) external returns (uint256) {
+        _delegate(_paymentsModule);
+    }
+
+    function settleRedemption(uint256, bytes32) external {
+        _delegate(_paymentsModule);
+    }
+
+    function rejectRedemption(uint256, bytes32) external {
+        _delegate(_paymentsModule);
+    }
+
+    function expireRedemption(uint256) external {
+        _delegate(_paymentsModule);
+    }
+
+    function accrueInterest(address) external {
+        _delegate(_paymentsModule);
+    }
+
+    function lockOfflineFunds(uint256) external {
+        _delegate(_offlineModule);
+    }
+
+    function reclaimOfflineFunds() external {
+        _delegate(_offlineModule);
+    }
+
+    function cancelOfflineNonce(uint256) external {
+        _delegate(_offlineModule);
+    }
+
+    function invalidateNonces(uint256, uint256) external {
+        _delegate(_offlineModule);
+    }
+
+    function processOfflineTransaction(address, address, uint256, uint256, uint256, bytes calldata) external returns (bool) {
+        _delegate(_offlineModule);
+    }
+
+    function processBulkOfflineTransactions(
+        address[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes[] calldata
+    ) external returns (bool) {
+        _delegate(_offlineModule);
+    }
+
+    function tryProcessBulkOfflineTransactions(
+        address[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes[] calldata
+    ) external returns (bool[] memory) {
+        _delegate(_offlineModule);
+    }
+
+    function setBlacklistStatus(address, bool) external {
+        _delegate(_complianceModule);
+    }
+
+    function freezeFunds(address, uint256, bytes32) external {
+        _delegate(_complianceModule);
+    }
+
+    function unfreezeFunds(address, uint256, bytes32) external {
+        _delegate(_complianceModule);
+    }
+
+    function seize(address, uint256, bytes32) external {
+        _delegate(_complianceModule);
+    }
+
+    function setKYCStatus(address, bool, uint8) external {
+        _delegate(_complianceModule);
+    }
+
+    function registerInstitution(address, bytes32, uint256) external {
+        _delegate(_complianceModule);
+    }
+
+    function setInstitutionStatus(address, bool) external {
+        _delegate(_complianceModule);
+    }
+
+    function approveOnboarding(address, address) external {
+        _delegate(_complianceModule);
+    }
+
+    function onboardCustomer(address, uint8) external {
+        _delegate(_complianceModule);
+    }
+
+    function offboardCustomer(address) external {
+        _delegate(_complianceModule);
+    }
+
+    function setCustomerKYCStatus(address, bool, uint8) external {
+        _delegate(_complianceModule);
+    }
+
+    function setCustomerBlacklistStatus(address, bool) external {
+        _delegate(_complianceModule);
+    }
+
+    function setRecoveryGuardians(address[] calldata, uint256) external {
+        _delegate(_recoveryModule);
+    }
+
+    function initiateRecovery(address, address) external {
+        _delegate(_recoveryModule);
+    }
+
+    function approveRecovery(address) external {
+        _delegate(_recoveryModule);
+    }
+
+    function cancelRecovery() external {
+        _delegate(_recoveryModule);
+    }
+
+    function executeRecovery(address) external {
+        _delegate(_recoveryModule);
+    }
+
+    function revokeRecoveredVouchers(address) external {
+        _delegate(_recoveryModule);
+    }
+
+    function setMerchantCategory(address, bytes32) external {
+        _delegate(_policyModule);
+    }
+
+    function setRedemptionExpiryPeriod(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setMintAllowance(address, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setBurnAllowance(address, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setMintCeiling(uint256, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setCustodyAccount(address) external {
+        _delegate(_policyModule);
+    }
+
+    function setRecoveryDelay(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function pause() external {
+        _delegate(_policyModule);
+    }
+
+    function unpause() external {
+        _delegate(_policyModule);
+    }
+
+    function setTransactionCoolDown(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setMaxTransactionAmount(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setKYCValidityPeriod(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setVelocityLimit(uint256, uint256, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setPolicyTier(uint8, uint256, uint256, uint256, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setInterestTier(uint8, int256, uint256, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setFeeSchedule(FeeType, uint256, uint256, uint256, uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setFeeCollector(address) external {
+        _delegate(_policyModule);
+    }
+
+    function setFeeExemption(address, bool) external {
+        _delegate(_policyModule);
+    }
+
+    function setOfflineLockPeriod(uint256) external {
+        _delegate(_policyModule);
+    }
+
+    function setTrustedForwarder(address) external {
+        _delegate(_policyModule);
+    }
+
+    // Runs the called function of `module` on this contract's storage, with the original sender and calldata, and
+    // returns or reverts with its result. Modules are deployed with the implementation and never self-destruct.
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegate(address module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+
+    // A delegatecall to an address without code succeeds without doing anything, so every module must be a contract.
+    function _checkModule(address module) private view returns (address) {
+        require(module.code.length > 0, "Invalid module");
+        return module;
+    }
+}
@@ -0,0 +1,598 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+
+// State, events and transfer policies shared by CBDCTokenBase and the modules it delegates to. The modules run on the
+// token's storage, so they must not declare state of their own.
+// New state variables must be appended after the existing ones, shrinking __gap by the slots they use.
+abstract contract CBDCTokenCore is ERC20Upgradeable, AccessControlUpgradeable, PausableUpgradeable, EIP712Upgradeable {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant POLICY_SETTER_ROLE = keccak256("POLICY_SETTER_ROLE");
+    bytes32 public constant KYC_ADMIN_ROLE = keccak256("KYC_ADMIN_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant SEIZURE_ROLE = keccak256("SEIZURE_ROLE");
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 public constant OFFLINE_TRANSFER_TYPEHASH =
+        keccak256("OfflineTransfer(address from,address to,uint256 amount,uint256 nonce,uint256 expirationTimestamp)");
+
+    uint256 public constant MAX_RESTRICTED_BALANCES = 16; // Restricted balances a holder can carry at once
+    uint256 public constant MAX_RECOVERY_GUARDIANS = 10; // Guardians a holder can appoint for lost-key recovery
+    uint256 public constant WINDOW_BUCKETS = 24; // Buckets a rolling window is split into, e.g. hours of a day
+
+    uint256 public constant BASIS_POINTS = 10_000;
+
+    uint256 public constant MAX_SUPPLY = 1_000_000_000 * 10**18; // 1 billion tokens
+    uint256 public transactionCoolDown; // Adjustable cool-down period
+    uint256 public maxTransactionAmount; // Maximum transaction amount
+    uint256 public kycValidityPeriod; // How long a KYC verification stays valid
+    uint256 public velocityWindow; // Length of the rolling velocity window, zero disables velocity limits
+    uint256 public maxTransactionsPerWindow; // Transactions a sender may make per velocity window
+    uint256 public maxVolumePerWindow; // Volume a sender may move per velocity window
+    uint256 public offlineLockPeriod; // How long funds locked for offline spending stay locked
+    address public custodyAccount; // Receives seized funds
+
+    struct KYCRecord {
+        bool verified;
+        uint8 verificationLevel;
+        uint256 expiresAt;
+    }
+
+    // Limits applied to every address whose KYC verification level matches the tier. Zero disables a limit.
+    struct PolicyTier {
+        uint256 maxTransactionAmount;
+        uint256 dailyVolumeLimit;
+        uint256 monthlyVolumeLimit;
+        uint256 maxBalance;
+    }
+
+    // Transfers a sender made in one bucket of a rolling window, and when the latest of them happened.
+    struct WindowBucket {
+        uint64 lastSpentAt;
+        uint64 count;
+        uint128 volume;
+    }
+
+    // Ring buffer of a rolling window's buckets. Each bucket covers 1/WINDOW_BUCKETS of the window, plus one for the
+    // bucket being filled, so a bucket is only reused once all of its transfers have left the window.
+    struct RollingWindow {
+        WindowBucket[WINDOW_BUCKETS + 1] buckets;
+    }
+
+    // Volume sent over the last day and the last 30 days. The fields before `daily` held the per-period totals of
+    // an earlier version and are kept, unused, for the storage layout.
+    struct SpendingRecord {
+        uint256 day;
+        uint256 dailyVolume;
+        uint256 month;
+        uint256 monthlyVolume;
+        uint256 previousDailyVolume;
+        uint256 previousMonthlyVolume;
+        RollingWindow daily;
+        RollingWindow monthly;
+    }
+
+    // Transfers over the last velocityWindow seconds. The fields before `recent` are unused, as in SpendingRecord.
+    struct VelocityRecord {
+        uint256 windowStart;
+        uint256 currentCount;
+        uint256 currentVolume;
+        uint256 previousCount;
+        uint256 previousVolume;
+        RollingWindow recent;
+    }
+
+    enum RedemptionStatus {
+        None,
+        Pending,
+        Settled,
+        Rejected,
+        Expired
+    }
+
+    struct RedemptionRequest {
+        address holder;
+        uint256 amount;
+        bytes32 bankAccountReference;
+        uint256 expiresAt;
+        RedemptionStatus status;
+    }
+
+    struct RestrictedBalance {
+        uint256 amount;
+        bytes32 category;
+        uint256 expiresAt;
+        address issuer; // Receives the funds back once they expire
+    }
+
+    // Interest and holding fee schedule of a KYC verification level. The indexes accumulate rate * elapsed seconds,
+    // so a holder accrues balance * (index - snapshot) / (BASIS_POINTS * 365 days) between two settlements.
+    struct InterestTier {
+        int256 annualRateBps; // Negative for a negative interest rate
+        uint256 holdingFeeThreshold; // Holding fees are charged on the part of the balance above this
+        uint256 holdingFeeBps; // Annual holding fee
+        int256 rateIndex;
+        uint256 feeIndex;
+        uint256 lastUpdate;
+    }
+
+    struct InterestSnapshot {
+        int256 rateIndex;
+        uint256 feeIndex;
+    }
+
+    enum FeeType {
+        Transfer, // transfer and transferFrom
+        Offline, // Offline voucher redemptions, paid to the fee collector
+        Relayer // Offline voucher redemptions, paid to the account that submits the voucher
+    }
+
+    // Fee = flatFee + amount * feeBps / BASIS_POINTS, raised to minFee and capped at maxFee (zero disables the cap).
+    struct FeeSchedule {
+        uint256 flatFee;
+        uint256 feeBps;
+        uint256 minFee;
+        uint256 maxFee;
+    }
+
+    // Licensed intermediary bank. Institutions issue against the mint allowance delegated to them by the central
+    // bank and administer KYC, tiers and blacklisting of the customers they onboard.
+    struct Institution {
+        bool registered;
+        bool active;
+        bytes32 name;
+        uint256 customerCount;
+        uint256 customerBalance; // Aggregate balance of the institution's customers
+    }
+
+    struct CustomerRecord {
+        address institution;
+        bool blacklistedByInstitution; // Only blacklistings the institution imposed can be lifted by it
+        address approvedInstitution; // Institution the holder, or KYC_ADMIN_ROLE, approved to onboard the account
+    }
+
+    // Lost-key recovery of a holder's account. `threshold` guardians approve the move to `newAccount`; holders
+    // without guardians rely on their institution together with KYC_ADMIN_ROLE, or on KYC_ADMIN_ROLE alone if they
+    // have no institution. Approved requests become executable after recoveryDelay, during which the original key
+    // can still cancel them.
+    struct Recovery {
+        address[] guardians;
+        uint256 threshold;
+        address newAccount; // Pending recovery address, kept as the account's successor once recovered
+        uint256 approvals; // Bitmap of the guardians, or recovery agents, that approved the pending request
+        uint256 executableAt; // Zero until the request is approved
+        bool recovered;
+        uint256 voucherDeadline; // Old-key vouchers expiring later than this are not honoured after the recovery
+    }
+
+    mapping(address => bool) internal _blacklistedAddresses;
+    mapping(address => uint256) internal _lastTransactionTimestamp;
+    // Unordered offline nonces: each sender owns a bitmap of 256-bit words, one bit per nonce.
+    mapping(address => mapping(uint256 => uint256)) internal _nonceBitmaps;
+    mapping(address => KYCRecord) internal _kycRecords;
+    mapping(uint8 => PolicyTier) internal _policyTiers;
+    mapping(address => SpendingRecord) internal _spendingRecords;
+    mapping(address => VelocityRecord) internal _velocityRecords;
+    // Part of each holder's balance reserved for redeeming their offline vouchers.
+    mapping(address => uint256) internal _offlineBalances;
+    mapping(address => uint256) internal _offlineUnlockTimes;
+    mapping(address => uint256) internal _frozenBalances;
+    // Set while a seizure or a restricted-funds return moves funds, so the forced transfer bypasses transfer policies.
+    bool internal _forcedTransferInProgress;
+    uint256 public mintEpochLength; // Length of a mint ceiling epoch, zero disables the ceiling
+    uint256 public maxMintPerEpoch; // Tokens all minters together may issue per epoch
+    uint256 public currentMintEpoch;
+    uint256 public mintedInCurrentEpoch;
+    // Cumulative issuance and redemption, for reconciliation against reserve records:
+    // totalSupply = totalIssued - totalRedeemed + totalInterestPaid - totalInterestCharged.
+    uint256 public totalIssued;
+    uint256 public totalRedeemed;
+    // Remaining amount each minter may issue and each burner may redeem.
+    mapping(address => uint256) internal _mintAllowances;
+    mapping(address => uint256) internal _burnAllowances;
+    uint256 public redemptionExpiryPeriod; // How long an operator has to settle or reject a redemption request
+    uint256 public redemptionRequestCount;
+    mapping(uint256 => RedemptionRequest) internal _redemptionRequests;
+    // Part of each holder's balance reserved by their pending redemption requests.
+    mapping(address => uint256) internal _redemptionEscrows;
+    // Purpose-bound funds: part of a holder's balance that may only be spent at merchants of one category until it expires.
+    mapping(address => RestrictedBalance[]) internal _restrictedBalances;
+    mapping(address => uint256) internal _restrictedTotals;
+    mapping(address => bytes32) internal _merchantCategories;
+    mapping(uint8 => InterestTier) internal _interestTiers;
+    mapping(address => InterestSnapshot) internal _interestSnapshots;
+    // Interest minted to and interest and holding fees burned from holders, for supply reconciliation.
+    uint256 public totalInterestPaid;
+    uint256 public totalInterestCharged;
+    // Set while interest is minted or burned, so the accrual bypasses transfer policies.
+    bool internal _accrualInProgress;
+    // Submitter of the voucher being redeemed by tryProcessBulkOfflineTransactions, which calls back into the token.
+    address internal _bulkRelayer;
+    // Fees are deducted from the amount the recipient receives. Fee-exempt addresses pay none when sending or receiving.
+    mapping(FeeType => FeeSchedule) internal _feeSchedules;
+    address public feeCollector; // Treasury account receiving transfer and offline fees
+    mapping(address => bool) internal _feeExemptions;
+    // ERC-2771 forwarder allowed to submit calls on behalf of the signer appended to its calldata.
+    address public trustedForwarder;
+    mapping(address => uint256) internal _permitNonces;
+    // Two-tier distribution: intermediary institutions and the institution each customer was onboarded by.
+    mapping(address => Institution) internal _institutions;
+    mapping(address => CustomerRecord) internal _customerRecords;
+    uint256 public recoveryDelay; // Waiting period between approving and executing a lost-key recovery
+    mapping(address => Recovery) internal _recoveries;
+
+    event Issued(address indexed minter, address indexed to, uint256 amount, bytes32 indexed reasonCode);
+    event Redeemed(address indexed burner, address indexed from, uint256 amount, bytes32 indexed reasonCode);
+    event MintAllowanceUpdated(address indexed minter, uint256 allowance);
+    event BurnAllowanceUpdated(address indexed burner, uint256 allowance);
+    event RedemptionRequested(uint256 indexed requestId, address indexed holder, uint256 amount, bytes32 bankAccountReference, uint256 expiresAt);
+    event RedemptionSettled(uint256 indexed requestId, address indexed operator);
+    event RedemptionRejected(uint256 indexed requestId, address indexed operator, bytes32 indexed reasonCode);
+    event RedemptionExpired(uint256 indexed requestId);
+    event RestrictedFundsIssued(address indexed to, uint256 amount, bytes32 indexed category, uint256 expiresAt, address indexed issuer);
+    event RestrictedFundsReturned(address indexed account, address indexed issuer, uint256 amount, bytes32 indexed category);
+    event MerchantCategoryChanged(address indexed merchant, bytes32 indexed category);
+    event InterestTierUpdated(uint8 indexed verificationLevel, int256 annualRateBps, uint256 holdingFeeThreshold, uint256 holdingFeeBps);
+    event InterestAccrued(address indexed account, int256 interest, uint256 holdingFee);
+    event FeeScheduleUpdated(FeeType indexed feeType, uint256 flatFee, uint256 feeBps, uint256 minFee, uint256 maxFee);
+    event FeeCollectorChanged(address indexed previousCollector, address indexed newCollector);
+    event FeeExemptionChanged(address indexed account, bool exempt);
+    event FeeCharged(address indexed payer, address indexed recipient, uint256 amount, FeeType indexed feeType);
+    event TrustedForwarderChanged(address indexed previousForwarder, address indexed newForwarder);
+    event InstitutionRegistered(address indexed institution, bytes32 name, uint256 issuanceLimit);
+    event InstitutionStatusChanged(address indexed institution, bool active);
+    event OnboardingApproved(address indexed customer, address indexed institution, address indexed approver);
+    event CustomerOnboarded(address indexed institution, address indexed customer);
+    event CustomerOffboarded(address indexed institution, address indexed customer);
+    event InterbankSettlement(address indexed fromInstitution, address indexed toInstitution, uint256 amount);
+    event RecoveryGuardiansChanged(address indexed account, address[] guardians, uint256 threshold);
+    event RecoveryInitiated(address indexed account, address indexed newAccount, address indexed initiator);
+    event RecoveryApproved(address indexed account, address indexed guardian);
+    event RecoveryQueued(address indexed account, address indexed newAccount, uint256 executableAt);
+    event RecoveryCancelled(address indexed account);
+    event RecoveryExecuted(address indexed account, address indexed newAccount, uint256 amount);
+    event RecoveredVouchersRevoked(address indexed account, address indexed newAccount);
+    event BlacklistStatusChanged(address indexed account, bool blacklisted);
+    event FundsFrozen(address indexed account, uint256 amount, bytes32 indexed reasonCode);
+    event FundsUnfrozen(address indexed account, uint256 amount, bytes32 indexed reasonCode);
+    event FundsSeized(address indexed account, address indexed custodyAccount, uint256 amount, bytes32 indexed reasonCode);
+    event CustodyAccountChanged(address indexed previousAccount, address indexed newAccount);
+    event OfflineTransactionProcessed(address indexed from, address indexed to, uint256 amount, bytes32 transactionId);
+    event OfflineTransactionFailed(uint256 index, string reason);
+    event OfflineFundsLocked(address indexed account, uint256 amount, uint256 unlockTime);
+    event OfflineFundsReclaimed(address indexed account, uint256 amount);
+    event OfflineNoncesInvalidated(address indexed owner, uint256 wordPosition, uint256 mask);
+    event PolicyUpdated(string policyName, uint256 newValue);
+    event KYCStatusChanged(address indexed account, bool verified, uint8 verificationLevel, uint256 expiresAt);
+    event PolicyTierUpdated(uint8 indexed verificationLevel, uint256 maxTransactionAmount, uint256 dailyVolumeLimit, uint256 monthlyVolumeLimit, uint256 maxBalance);
+
+    function isKYCVerified(address account) public view returns (bool) {
+        KYCRecord storage record = _kycRecords[account];
+        return record.verified && block.timestamp <= record.expiresAt;
+    }
+
+    // Balance that can be spent online, i.e. neither frozen nor reserved for offline vouchers.
+    function availableBalanceOf(address account) public view returns (uint256) {
+        uint256 balance = balanceOf(account);
+        uint256 locked =
+            _offlineBalances[account] +
+            _frozenBalances[account] +
+            _redemptionEscrows[account] +
+            _restrictedTotals[account];
+        return balance > locked ? balance - locked : 0;
+    }
+
+    // Volume sent over the last day and the last 30 days, counted as in _windowUsage.
+    function getSpentVolume(address account) public view returns (uint256 dailyVolume, uint256 monthlyVolume) {
+        SpendingRecord storage record = _spendingRecords[account];
+        (, dailyVolume) = _windowUsage(record.daily, 1 days);
+        (, monthlyVolume) = _windowUsage(record.monthly, 30 days);
+    }
+
+    // Fee a schedule charges on `amount`, never more than the amount itself. Ignores exemptions.
+    function calculateFee(FeeType feeType, uint256 amount) public view returns (uint256 fee) {
+        FeeSchedule storage schedule = _feeSchedules[feeType];
+        fee = schedule.flatFee + (amount * schedule.feeBps) / BASIS_POINTS;
+        if (fee < schedule.minFee) {
+            fee = schedule.minFee;
+        }
+        if (schedule.maxFee != 0 && fee > schedule.maxFee) {
+            fee = schedule.maxFee;
+        }
+        if (fee > amount) {
+            fee = amount;
+        }
+    }
+
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    // EIP-712 digest of an OfflineTransfer voucher; also used as the voucher's transaction id.
+    function hashOfflineTransfer(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expirationTimestamp
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(OFFLINE_TRANSFER_TYPEHASH, from, to, amount, nonce, expirationTimestamp)));
+    }
+
+    // Compliance checks shared by every path that moves tokens between holders: transfer, transferFrom
+    // and offline vouchers. Minting and burning only observe the blacklist.
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal virtual override {
+        super._beforeTokenTransfer(from, to, amount);
+        if (_accrualInProgress) {
+            return;
+        }
+        _accrueInterest(from);
+        _accrueInterest(to);
+        if (_forcedTransferInProgress) {
+            return;
+        }
+        require(!_blacklistedAddresses[from] && !_blacklistedAddresses[to], "Blacklisted address");
+        if (from == address(0) || to == address(0)) {
+            return;
+        }
+
+        _requireNotPaused();
+        require(isKYCVerified(from) && isKYCVerified(to), "KYC verification required");
+        require(_lastTransactionTimestamp[from] + transactionCoolDown <= block.timestamp, "Transaction too soon");
+        require(amount <= maxTransactionAmount, "Exceeds maximum transaction amount");
+        _spendRestrictedBalance(from, to, amount);
+        require(availableBalanceOf(from) >= amount, "Insufficient unlocked balance");
+        _enforceTierLimits(from, to, amount);
+        _enforceVelocityLimit(from, amount);
+        _lastTransactionTimestamp[from] = block.timestamp;
+    }
+
+    // Keeps institutions' aggregate customer balances current and marks transfers between institutions, so
+    // interbank settlement can be told apart from retail payments.
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal virtual override {
+        super._afterTokenTransfer(from, to, amount);
+        address fromInstitution = _customerRecords[from].institution;
+        address toInstitution = _customerRecords[to].institution;
+        if (fromInstitution != address(0)) {
+            _institutions[fromInstitution].customerBalance -= amount;
+        }
+        if (toInstitution != address(0)) {
+            _institutions[toInstitution].customerBalance += amount;
+        }
+        if (_institutions[from].registered && _institutions[to].registered) {
+            emit InterbankSettlement(from, to, amount);
+        }
+    }
+
+    // Calls relayed by the trusted forwarder act on behalf of the signer the forwarder appended to the calldata,
+    // so roles and transfer policies apply to that signer rather than to the relayer.
+    function _msgSender() internal view virtual override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return super._msgSender();
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return super._msgData();
+    }
+
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return isTrustedForwarder(msg.sender) ? 20 : 0;
+    }
+
+    function _approve(address owner, address spender, uint256 amount) internal virtual override {
+        require(!_blacklistedAddresses[owner] && !_blacklistedAddresses[spender], "Blacklisted address");
+        super._approve(owner, spender, amount);
+    }
+
+    // Moves the fee for a completed payment out of the amount `to` received. Returns the fee charged. The fee moves
+    // by forced transfer, so recipients that are blacklisted or not KYC-verified are skipped rather than paid.
+    function _chargeFee(
+        address from,
+        address to,
+        uint256 amount,
+        FeeType feeType,
+        address feeRecipient
+    ) internal returns (uint256 fee) {
+        if (feeRecipient == address(0) || feeRecipient == to || _feeExemptions[from] || _feeExemptions[to]) {
+            return 0;
+        }
+        if (_blacklistedAddresses[feeRecipient] || !isKYCVerified(feeRecipient)) {
+            return 0;
+        }
+        fee = calculateFee(feeType, amount);
+        if (fee == 0) {
+            return 0;
+        }
+        _forceTransfer(to, feeRecipient, fee);
+        emit FeeCharged(to, feeRecipient, fee, feeType);
+    }
+
+    function _setBlacklistStatus(address account, bool blacklisted) internal {
+        _blacklistedAddresses[account] = blacklisted;
+        emit BlacklistStatusChanged(account, blacklisted);
+    }
+
+    // Follows recoveries to the address currently holding the funds of `account`.
+    function _successorOf(address account) internal view returns (address) {
+        while (_recoveries[account].recovered) {
+            account = _recoveries[account].newAccount;
+        }
+        return account;
+    }
+
+    function _forceTransfer(address from, address to, uint256 amount) internal {
+        _forcedTransferInProgress = true;
+        _transfer(from, to, amount);
+        _forcedTransferInProgress = false;
+    }
+
+    // Pays a transfer to a registered merchant from the sender's unexpired restricted balances of the
+    // merchant's category first. The rest must come from the unlocked balance.
+    function _spendRestrictedBalance(address from, address to, uint256 amount) internal {
+        bytes32 category = _merchantCategories[to];
+        if (category == bytes32(0)) {
+            return;
+        }
+        RestrictedBalance[] storage restricted = _restrictedBalances[from];
+        for (uint256 i = restricted.length; i > 0 && amount > 0; i--) {
+            RestrictedBalance storage entry = restricted[i - 1];
+            if (entry.category != category || block.timestamp >= entry.expiresAt) {
+                continue;
+            }
+            uint256 spent = entry.amount < amount ? entry.amount : amount;
+            amount -= spent;
+            if (spent == entry.amount) {
+                _removeRestrictedBalance(from, i - 1);
+            } else {
+                entry.amount -= spent;
+                _restrictedTotals[from] -= spent;
+            }
+        }
+    }
+
+    function _removeRestrictedBalance(address account, uint256 index) internal {
+        RestrictedBalance[] storage restricted = _restrictedBalances[account];
+        _restrictedTotals[account] -= restricted[index].amount;
+        restricted[index] = restricted[restricted.length - 1];
+        restricted.pop();
+    }
+
+    function _accrueInterest(address account) internal {
+        if (account == address(0)) {
+            return;
+        }
+        uint8 verificationLevel = _kycRecords[account].verificationLevel;
+        InterestTier storage tier = _updateInterestIndex(verificationLevel);
+        (int256 interest, uint256 holdingFee) = _pendingInterest(account, tier, tier.rateIndex, tier.feeIndex);
+        _snapshotInterest(account, verificationLevel);
+        int256 net = interest - int256(holdingFee);
+        if (net == 0) {
+            return;
+        }
+
+        _accrualInProgress = true;
+        if (net > 0) {
+            uint256 headroom = MAX_SUPPLY - totalSupply();
+            uint256 paid = uint256(net) < headroom ? uint256(net) : headroom;
+            totalInterestPaid += paid;
+            _mint(account, paid);
+        } else {
+            uint256 balance = balanceOf(account);
+            uint256 charged = uint256(-net) < balance ? uint256(-net) : balance;
+            totalInterestCharged += charged;
+            _burn(account, charged);
+        }
+        _accrualInProgress = false;
+        emit InterestAccrued(account, interest, holdingFee);
+    }
+
+    function _snapshotInterest(address account, uint8 verificationLevel) internal {
+        InterestTier storage tier = _updateInterestIndex(verificationLevel);
+        _interestSnapshots[account] = InterestSnapshot(tier.rateIndex, tier.feeIndex);
+    }
+
+    function _updateInterestIndex(uint8 verificationLevel) internal returns (InterestTier storage tier) {
+        tier = _interestTiers[verificationLevel];
+        (tier.rateIndex, tier.feeIndex) = _currentInterestIndexes(tier);
+        tier.lastUpdate = block.timestamp;
+    }
+
+    function _currentInterestIndexes(InterestTier storage tier) internal view returns (int256 rateIndex, uint256 feeIndex) {
+        if (tier.lastUpdate == 0) {
+            return (tier.rateIndex, tier.feeIndex);
+        }
+        uint256 elapsed = block.timestamp - tier.lastUpdate;
+        return (tier.rateIndex + tier.annualRateBps * int256(elapsed), tier.feeIndex + tier.holdingFeeBps * elapsed);
+    }
+
+    function _pendingInterest(
+        address account,
+        InterestTier storage tier,
+        int256 rateIndex,
+        uint256 feeIndex
+    ) internal view returns (int256 interest, uint256 holdingFee) {
+        InterestSnapshot storage snapshot = _interestSnapshots[account];
+        uint256 balance = balanceOf(account);
+        interest = (int256(balance) * (rateIndex - snapshot.rateIndex)) / int256(BASIS_POINTS * 365 days);
+        if (balance > tier.holdingFeeThreshold) {
+            holdingFee = ((balance - tier.holdingFeeThreshold) * (feeIndex - snapshot.feeIndex)) / (BASIS_POINTS * 365 days);
+        }
+    }
+
+    function _enforceTierLimits(address from, address to, uint256 amount) internal {
+        PolicyTier storage senderTier = _policyTiers[_kycRecords[from].verificationLevel];
+        require(senderTier.maxTransactionAmount == 0 || amount <= senderTier.maxTransactionAmount, "Exceeds tier transaction limit");
+
+        SpendingRecord storage record = _spendingRecords[from];
+        if (senderTier.dailyVolumeLimit != 0) {
+            (, uint256 dailyVolume) = _windowUsage(record.daily, 1 days);
+            require(dailyVolume + amount <= senderTier.dailyVolumeLimit, "Exceeds daily volume limit");
+        }
+        if (senderTier.monthlyVolumeLimit != 0) {
+            (, uint256 monthlyVolume) = _windowUsage(record.monthly, 30 days);
+            require(monthlyVolume + amount <= senderTier.monthlyVolumeLimit, "Exceeds monthly volume limit");
+        }
+        _recordSpending(record.daily, 1 days, amount);
+        _recordSpending(record.monthly, 30 days, amount);
+
+        PolicyTier storage recipientTier = _policyTiers[_kycRecords[to].verificationLevel];
+        require(recipientTier.maxBalance == 0 || balanceOf(to) + amount <= recipientTier.maxBalance, "Exceeds tier holding limit");
+    }
+
+    function _enforceVelocityLimit(address from, uint256 amount) internal {
+        if (velocityWindow == 0) {
+            return;
+        }
+        (uint256 count, uint256 volume) = _velocityUsage(from);
+        require(count + 1 <= maxTransactionsPerWindow, "Exceeds transaction velocity limit");
+        require(volume + amount <= maxVolumePerWindow, "Exceeds volume velocity limit");
+
+        _recordSpending(_velocityRecords[from].recent, velocityWindow, amount);
+    }
+
+    function _velocityUsage(address account) internal view returns (uint256 count, uint256 volume) {
+        return _windowUsage(_velocityRecords[account].recent, velocityWindow);
+    }
+
+    // Transfers made within the last `window` seconds. A bucket counts in full while its latest transfer is inside
+    // the window, so the usage is never understated; earlier transfers in the same bucket are released at most one
+    // bucket late.
+    function _windowUsage(RollingWindow storage usage, uint256 window) internal view returns (uint256 count, uint256 volume) {
+        for (uint256 i = 0; i <= WINDOW_BUCKETS; i++) {
+            WindowBucket memory bucket = usage.buckets[i];
+            if (bucket.lastSpentAt + window > block.timestamp) {
+                count += bucket.count;
+                volume += bucket.volume;
+            }
+        }
+    }
+
+    function _recordSpending(RollingWindow storage usage, uint256 window, uint256 amount) internal {
+        uint256 bucketLength = (window + WINDOW_BUCKETS - 1) / WINDOW_BUCKETS;
+        WindowBucket storage bucket = usage.buckets[(block.timestamp / bucketLength) % (WINDOW_BUCKETS + 1)];
+        if (bucket.lastSpentAt + window <= block.timestamp) {
+            bucket.count = 0;
+            bucket.volume = 0;
+        }
+        bucket.lastSpentAt = uint64(block.timestamp);
+        bucket.count += 1;
+        // Amounts never exceed MAX_SUPPLY, far below the uint128 range
+        bucket.volume += uint128(amount);
+    }
+
+    uint256[1] private __gap;
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./CBDCTokenBase.sol";
+
+// UUPS implementation of the token, deployed behind an ERC1967 proxy. Upgrades are gated by UPGRADER_ROLE.
+contract CBDCTokenUpgradeable is CBDCTokenBase, UUPSUpgradeable {
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(Modules memory modules) CBDCTokenBase(modules) {
+        _disableInitializers();
+    }
+
+    function initialize(address admin) public initializer {
+        __CBDCTokenBase_init(admin);
+        __UUPSUpgradeable_init();
+        _grantRole(UPGRADER_ROLE, admin);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
+}
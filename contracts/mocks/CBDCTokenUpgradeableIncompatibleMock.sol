@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenUpgradeable.sol";
+
+abstract contract ShiftedStorageMock {
+    uint256 internal shiftedSlot;
+}
+
+// Storage-incompatible upgrade target: the extra base contract shifts every inherited slot.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract CBDCTokenUpgradeableIncompatibleMock is ShiftedStorageMock, CBDCTokenUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(Modules memory modules) CBDCTokenUpgradeable(modules) {
+        _disableInitializers();
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenUpgradeable.sol";
+
+// Storage-compatible upgrade target used by the upgrade tests.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract CBDCTokenUpgradeableV2Mock is CBDCTokenUpgradeable {
+    uint256 public upgradeCounter;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(Modules memory modules) CBDCTokenUpgradeable(modules) {
+        _disableInitializers();
+    }
+
+    function version() public pure returns (string memory) {
+        return "2";
+    }
+
+    function incrementUpgradeCounter() public {
+        upgradeCounter += 1;
+    }
+}
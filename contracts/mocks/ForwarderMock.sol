@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+// ERC-2771 forwarder standing in for the bank-operated relayer in the meta-transaction tests.
+contract ForwarderMock is MinimalForwarder {}
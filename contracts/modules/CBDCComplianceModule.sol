@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenCore.sol";
+
+// Compliance functions of CBDCTokenBase: blacklisting, KYC, freezes and seizures, and the intermediary institutions
+// that administer their own customers.
+contract CBDCComplianceModule is CBDCTokenCore {
+    // The central bank's decision overrides the customer's institution, which can then no longer lift it.
+    function setBlacklistStatus(address account, bool blacklisted) public onlyRole(COMPLIANCE_ROLE) {
+        _customerRecords[account].blacklistedByInstitution = false;
+        _setBlacklistStatus(account, blacklisted);
+    }
+
+    function freezeFunds(address account, uint256 amount, bytes32 reasonCode) public onlyRole(COMPLIANCE_ROLE) {
+        require(_frozenBalances[account] + amount <= balanceOf(account), "Freeze exceeds balance");
+        _frozenBalances[account] += amount;
+        emit FundsFrozen(account, amount, reasonCode);
+    }
+
+    function unfreezeFunds(address account, uint256 amount, bytes32 reasonCode) public onlyRole(COMPLIANCE_ROLE) {
+        require(amount <= _frozenBalances[account], "Unfreeze exceeds frozen amount");
+        _frozenBalances[account] -= amount;
+        emit FundsUnfrozen(account, amount, reasonCode);
+    }
+
+    // Court-ordered forced transfer to the custody account. It ignores pause, blacklist, freezes and
+    // offline locks; frozen, locked, escrowed and purpose-bound amounts are reduced so they never exceed the
+    // remaining balance.
+    function seize(address account, uint256 amount, bytes32 reasonCode) public onlyRole(SEIZURE_ROLE) {
+        require(custodyAccount != address(0), "Custody account not set");
+
+        _forceTransfer(account, custodyAccount, amount);
+
+        uint256 remaining = balanceOf(account);
+        uint256 frozen = _frozenBalances[account];
+        _frozenBalances[account] = frozen > amount ? frozen - amount : 0;
+        if (_frozenBalances[account] > remaining) {
+            _frozenBalances[account] = remaining;
+        }
+        if (_offlineBalances[account] > remaining) {
+            _offlineBalances[account] = remaining;
+        }
+        // Escrow and purpose-bound funds are separate parts of the balance, so together they must fit in it
+        if (_redemptionEscrows[account] > remaining) {
+            _redemptionEscrows[account] = remaining;
+        }
+        _clampRestrictedBalances(account, remaining - _redemptionEscrows[account]);
+        emit FundsSeized(account, custodyAccount, amount, reasonCode);
+    }
+
+    function setKYCStatus(address account, bool verified, uint8 verificationLevel) public onlyRole(KYC_ADMIN_ROLE) {
+        _setKYCStatus(account, verified, verificationLevel);
+    }
+
+    // Registers an intermediary institution and delegates `issuanceLimit` to it as its mint allowance. The central
+    // bank adjusts the limit later with setMintAllowance.
+    function registerInstitution(address institution, bytes32 name, uint256 issuanceLimit) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(institution != address(0), "Invalid institution");
+        require(!_institutions[institution].registered, "Institution already registered");
+        require(_customerRecords[institution].institution == address(0), "Already a customer of an institution");
+        _institutions[institution] = Institution(true, true, name, 0, 0);
+        _mintAllowances[institution] = issuanceLimit;
+        emit InstitutionRegistered(institution, name, issuanceLimit);
+        emit MintAllowanceUpdated(institution, issuanceLimit);
+    }
+
+    // Suspended institutions can neither issue nor manage their customers. Their customers keep their status.
+    function setInstitutionStatus(address institution, bool active) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_institutions[institution].registered, "Invalid institution");
+        _institutions[institution].active = active;
+        emit InstitutionStatusChanged(institution, active);
+    }
+
+    // Lets `customer`, or KYC_ADMIN_ROLE on their behalf, consent to being onboarded by `institution`. The zero
+    // address withdraws the approval.
+    function approveOnboarding(address customer, address institution) public {
+        address approver = _msgSender();
+        require(approver == customer || hasRole(KYC_ADMIN_ROLE, approver), "Not the customer or KYC admin");
+        _customerRecords[customer].approvedInstitution = institution;
+        emit OnboardingApproved(customer, institution, approver);
+    }
+
+    // Onboards a customer of the calling institution and verifies their KYC at `verificationLevel`. The customer
+    // must have approved the institution, and holders the central bank verified itself cannot be taken over.
+    function onboardCustomer(address customer, uint8 verificationLevel) public {
+        address institution = _msgSender();
+        CustomerRecord storage record = _customerRecords[customer];
+        require(_institutions[institution].active, "Not an active institution");
+        require(customer != address(0) && !_institutions[customer].registered, "Invalid customer");
+        require(record.institution == address(0), "Already a customer of an institution");
+        require(!_kycRecords[customer].verified, "Verified by the central bank");
+        require(record.approvedInstitution == institution, "Onboarding not approved");
+        record.institution = institution;
+        record.approvedInstitution = address(0);
+        _institutions[institution].customerCount += 1;
+        _institutions[institution].customerBalance += balanceOf(customer);
+        emit CustomerOnboarded(institution, customer);
+        _setKYCStatus(customer, true, verificationLevel);
+    }
+
+    // Ends the relationship and revokes the customer's KYC verification. A blacklisting the institution imposed
+    // stays in place and can then only be lifted by COMPLIANCE_ROLE.
+    function offboardCustomer(address customer) public {
+        address institution = _checkInstitutionOf(customer);
+        _setKYCStatus(customer, false, 0);
+        _institutions[institution].customerCount -= 1;
+        _institutions[institution].customerBalance -= balanceOf(customer);
+        delete _customerRecords[customer];
+        emit CustomerOffboarded(institution, customer);
+    }
+
+    function setCustomerKYCStatus(address customer, bool verified, uint8 verificationLevel) public {
+        _checkInstitutionOf(customer);
+        _setKYCStatus(customer, verified, verificationLevel);
+    }
+
+    function setCustomerBlacklistStatus(address customer, bool blacklisted) public {
+        _checkInstitutionOf(customer);
+        CustomerRecord storage record = _customerRecords[customer];
+        require(!_blacklistedAddresses[customer] || record.blacklistedByInstitution, "Blacklisted by the central bank");
+        record.blacklistedByInstitution = blacklisted;
+        _setBlacklistStatus(customer, blacklisted);
+    }
+
+    // Reduces the purpose-bound funds of `account`, latest entries first, until they fit in `remaining`.
+    function _clampRestrictedBalances(address account, uint256 remaining) private {
+        RestrictedBalance[] storage restricted = _restrictedBalances[account];
+        for (uint256 i = restricted.length; i > 0 && _restrictedTotals[account] > remaining; i--) {
+            uint256 excess = _restrictedTotals[account] - remaining;
+            RestrictedBalance storage entry = restricted[i - 1];
+            if (entry.amount <= excess) {
+                _removeRestrictedBalance(account, i - 1);
+            } else {
+                entry.amount -= excess;
+                _restrictedTotals[account] -= excess;
+            }
+        }
+    }
+
+    function _setKYCStatus(address account, bool verified, uint8 verificationLevel) private {
+        // Settle under the old tier's schedule before the account moves to another tier
+        _accrueInterest(account);
+        _snapshotInterest(account, verificationLevel);
+        uint256 expiresAt = verified ? block.timestamp + kycValidityPeriod : 0;
+        _kycRecords[account] = KYCRecord(verified, verificationLevel, expiresAt);
+        emit KYCStatusChanged(account, verified, verificationLevel, expiresAt);
+    }
+
+    // Returns the calling institution, which must be active and have onboarded `customer`.
+    function _checkInstitutionOf(address customer) private view returns (address institution) {
+        institution = _msgSender();
+        require(_institutions[institution].active, "Not an active institution");
+        require(_customerRecords[customer].institution == institution, "Not a customer of this institution");
+    }
+}
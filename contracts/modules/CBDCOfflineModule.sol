@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "../CBDCTokenCore.sol";
+
+// Offline payments for CBDCTokenBase: locking funds for vouchers, cancelling voucher nonces and redeeming vouchers.
+contract CBDCOfflineModule is CBDCTokenCore {
+    using ECDSAUpgradeable for bytes32;
+
+    // Reserves part of the caller's balance for offline vouchers. Each top-up restarts the lock period,
+    // so vouchers should not outlive offlineUnlockTime.
+    function lockOfflineFunds(uint256 amount) public whenNotPaused {
+        address account = _msgSender();
+        require(!_blacklistedAddresses[account], "Blacklisted address");
+        require(availableBalanceOf(account) >= amount, "Insufficient unlocked balance");
+        _offlineBalances[account] += amount;
+        _offlineUnlockTimes[account] = block.timestamp + offlineLockPeriod;
+        emit OfflineFundsLocked(account, amount, _offlineUnlockTimes[account]);
+    }
+
+    function reclaimOfflineFunds() public whenNotPaused {
+        address account = _msgSender();
+        require(block.timestamp >= _offlineUnlockTimes[account], "Offline funds still locked");
+        uint256 amount = _offlineBalances[account];
+        _offlineBalances[account] = 0;
+        emit OfflineFundsReclaimed(account, amount);
+    }
+
+    function cancelOfflineNonce(uint256 nonce) public {
+        invalidateNonces(nonce >> 8, 1 << (nonce & 0xff));
+    }
+
+    function invalidateNonces(uint256 wordPosition, uint256 mask) public {
+        address owner = _msgSender();
+        _nonceBitmaps[owner][wordPosition] |= mask;
+        emit OfflineNoncesInvalidated(owner, wordPosition, mask);
+    }
+
+    function processOfflineTransaction(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expirationTimestamp,
+        bytes memory signature
+    ) public whenNotPaused returns (bool) {
+        address relayer = msg.sender == address(this) ? _bulkRelayer : _msgSender();
+        _processOfflineTransaction(from, to, amount, nonce, expirationTimestamp, signature, relayer);
+        return true;
+    }
+
+    function processBulkOfflineTransactions(
+        address[] memory froms,
+        address[] memory tos,
+        uint256[] memory amounts,
+        uint256[] memory nonces,
+        uint256[] memory expirationTimestamps,
+        bytes[] memory signatures
+    ) public whenNotPaused returns (bool) {
+        require(froms.length == tos.length && froms.length == amounts.length && froms.length == nonces.length && froms.length == expirationTimestamps.length && froms.length == signatures.length, "Input arrays length mismatch");
+
+        for (uint i = 0; i < froms.length; i++) {
+            _processOfflineTransaction(froms[i], tos[i], amounts[i], nonces[i], expirationTimestamps[i], signatures[i], _msgSender());
+        }
+
+        return true;
+    }
+
+    // Non-atomic variant of processBulkOfflineTransactions: failing vouchers are skipped and reported
+    // through OfflineTransactionFailed instead of reverting the whole batch.
+    function tryProcessBulkOfflineTransactions(
+        address[] memory froms,
+        address[] memory tos,
+        uint256[] memory amounts,
+        uint256[] memory nonces,
+        uint256[] memory expirationTimestamps,
+        bytes[] memory signatures
+    ) public whenNotPaused returns (bool[] memory results) {
+        require(froms.length == tos.length && froms.length == amounts.length && froms.length == nonces.length && froms.length == expirationTimestamps.length && froms.length == signatures.length, "Input arrays length mismatch");
+
+        results = new bool[](froms.length);
+        _bulkRelayer = _msgSender();
+        for (uint i = 0; i < froms.length; i++) {
+            try this.processOfflineTransaction(froms[i], tos[i], amounts[i], nonces[i], expirationTimestamps[i], signatures[i]) {
+                results[i] = true;
+            } catch Error(string memory reason) {
+                emit OfflineTransactionFailed(i, reason);
+            } catch {
+                emit OfflineTransactionFailed(i, "Unknown error");
+            }
+        }
+        _bulkRelayer = address(0);
+    }
+
+    function _processOfflineTransaction(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expirationTimestamp,
+        bytes memory signature,
+        address relayer
+    ) private {
+        require(block.timestamp <= expirationTimestamp, "Transaction expired");
+        bytes32 messageHash = hashOfflineTransfer(from, to, amount, nonce, expirationTimestamp);
+        require(messageHash.recover(signature) == from, "Invalid signature");
+        _useNonce(from, nonce);
+
+        // Vouchers of a recovered account are paid by the recovery address, but only from the offline balance
+        // migrated to it and only if they expire within the lock the holder committed to before the recovery. A
+        // stolen old key can therefore not reach the recovered funds, and the new owner can revoke it altogether.
+        address payer = _successorOf(from);
+        uint256 locked = _offlineBalances[payer];
+        if (payer != from) {
+            require(expirationTimestamp <= _recoveries[from].voucherDeadline, "Voucher not honoured after recovery");
+            require(amount <= locked, "Exceeds migrated offline funds");
+        }
+
+        // Vouchers are paid from the payer's offline balance first, so releasing that part of the lock
+        // lets the transfer policy's unlocked-balance check cover only the remainder.
+        _offlineBalances[payer] = locked > amount ? locked - amount : 0;
+        _transfer(payer, to, amount);
+
+        emit OfflineTransactionProcessed(from, to, amount, messageHash);
+        uint256 fee = _chargeFee(payer, to, amount, FeeType.Offline, feeCollector);
+        _chargeFee(payer, to, amount - fee, FeeType.Relayer, relayer);
+    }
+
+    function _useNonce(address owner, uint256 nonce) private {
+        uint256 bit = 1 << (nonce & 0xff);
+        uint256 word = _nonceBitmaps[owner][nonce >> 8];
+        require(word & bit == 0, "Nonce already used");
+        _nonceBitmaps[owner][nonce >> 8] = word | bit;
+    }
+}
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenCore.sol";
+
+// Issuance, ERC-20 transfers and their fees, purpose-bound funds, redemptions and interest settlement for
+// CBDCTokenBase.
+contract CBDCPaymentsModule is CBDCTokenCore {
+    function transfer(address to, uint256 amount) public virtual override returns (bool) {
+        super.transfer(to, amount);
+        _chargeFee(_msgSender(), to, amount, FeeType.Transfer, feeCollector);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public virtual override returns (bool) {
+        super.transferFrom(from, to, amount);
+        _chargeFee(from, to, amount, FeeType.Transfer, feeCollector);
+        return true;
+    }
+
+    // Active institutions may mint to themselves and their own customers without MINTER_ROLE, up to the mint
+    // allowance delegated to them.
+    function mint(address to, uint256 amount, bytes32 reasonCode) public {
+        address minter = _msgSender();
+        if (_institutions[minter].active) {
+            require(to == minter || _customerRecords[to].institution == minter, "Not a customer of this institution");
+        } else {
+            _checkRole(MINTER_ROLE);
+        }
+        _issue(to, amount, reasonCode);
+    }
+
+    // Issues purpose-bound funds that `to` can only spend at merchants registered under `category` before
+    // `expiresAt`. Whatever is left after that can be returned to the issuer with returnExpiredRestrictedFunds.
+    function mintRestricted(
+        address to,
+        uint256 amount,
+        bytes32 category,
+        uint256 expiresAt,
+        bytes32 reasonCode
+    ) public onlyRole(MINTER_ROLE) {
+        require(category != bytes32(0), "Invalid merchant category");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+        _issue(to, amount, reasonCode);
+        address issuer = _msgSender();
+
+        RestrictedBalance[] storage restricted = _restrictedBalances[to];
+        uint256 i = 0;
+        while (
+            i < restricted.length &&
+            (restricted[i].category != category || restricted[i].expiresAt != expiresAt || restricted[i].issuer != issuer)
+        ) {
+            i++;
+        }
+        if (i == restricted.length) {
+            require(restricted.length < MAX_RESTRICTED_BALANCES, "Too many restricted balances");
+            restricted.push(RestrictedBalance(0, category, expiresAt, issuer));
+        }
+        restricted[i].amount += amount;
+        _restrictedTotals[to] += amount;
+        emit RestrictedFundsIssued(to, amount, category, expiresAt, issuer);
+    }
+
+    // Sends every expired restricted balance of `account` back to its issuer. Callable by anyone.
+    function returnExpiredRestrictedFunds(address account) public {
+        RestrictedBalance[] storage restricted = _restrictedBalances[account];
+        for (uint256 i = restricted.length; i > 0; i--) {
+            RestrictedBalance memory entry = restricted[i - 1];
+            if (block.timestamp < entry.expiresAt) {
+                continue;
+            }
+            _removeRestrictedBalance(account, i - 1);
+            uint256 balance = balanceOf(account);
+            uint256 amount = entry.amount < balance ? entry.amount : balance;
+            _forceTransfer(account, entry.issuer, amount);
+            emit RestrictedFundsReturned(account, entry.issuer, amount, entry.category);
+        }
+    }
+
+    // Escrows part of the caller's balance and asks for it to be paid out to a bank account. The amount stays
+    // in the holder's balance but cannot be spent until the request is rejected or expires.
+    function requestRedemption(uint256 amount, bytes32 bankAccountReference) public whenNotPaused returns (uint256 requestId) {
+        address holder = _msgSender();
+        require(amount > 0, "Invalid redemption amount");
+        require(!_blacklistedAddresses[holder], "Blacklisted address");
+        require(isKYCVerified(holder), "KYC verification required");
+        require(availableBalanceOf(holder) >= amount, "Insufficient unlocked balance");
+
+        requestId = ++redemptionRequestCount;
+        uint256 expiresAt = block.timestamp + redemptionExpiryPeriod;
+        _redemptionRequests[requestId] = RedemptionRequest(
+            holder,
+            amount,
+            bankAccountReference,
+            expiresAt,
+            RedemptionStatus.Pending
+        );
+        _redemptionEscrows[holder] += amount;
+        emit RedemptionRequested(requestId, holder, amount, bankAccountReference, expiresAt);
+    }
+
+    // Burns the escrowed amount once the bank payout has been made. Counts against the operator's burn allowance.
+    // After a seizure only what is left of the escrow is burned, as reported by Redeemed.
+    function settleRedemption(uint256 requestId, bytes32 reasonCode) public onlyRole(BURNER_ROLE) {
+        RedemptionRequest storage request = _pendingRedemption(requestId);
+        require(block.timestamp <= request.expiresAt, "Redemption expired");
+        address operator = _msgSender();
+
+        uint256 amount = _releaseRedemption(request, RedemptionStatus.Settled);
+        require(_burnAllowances[operator] >= amount, "Exceeds burner allowance");
+        _burnAllowances[operator] -= amount;
+        totalRedeemed += amount;
+        _burn(request.holder, amount);
+        emit RedemptionSettled(requestId, operator);
+        emit Redeemed(operator, request.holder, amount, reasonCode);
+    }
+
+    function rejectRedemption(uint256 requestId, bytes32 reasonCode) public onlyRole(BURNER_ROLE) {
+        _releaseRedemption(_pendingRedemption(requestId), RedemptionStatus.Rejected);
+        emit RedemptionRejected(requestId, _msgSender(), reasonCode);
+    }
+
+    // Releases the escrow of a request that was neither settled nor rejected in time. Callable by anyone.
+    function expireRedemption(uint256 requestId) public {
+        RedemptionRequest storage request = _pendingRedemption(requestId);
+        require(block.timestamp > request.expiresAt, "Redemption not expired");
+        _releaseRedemption(request, RedemptionStatus.Expired);
+        emit RedemptionExpired(requestId);
+    }
+
+    function accrueInterest(address account) public {
+        _accrueInterest(account);
+    }
+
+    function _issue(address to, uint256 amount, bytes32 reasonCode) private {
+        // Interest pending on the recipient is minted by the transfer hook, so settle it before checking the cap
+        _accrueInterest(to);
+        require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum supply");
+        address minter = _msgSender();
+        require(_mintAllowances[minter] >= amount, "Exceeds minter allowance");
+        _enforceMintCeiling(amount);
+        _mintAllowances[minter] -= amount;
+        totalIssued += amount;
+        _mint(to, amount);
+        emit Issued(minter, to, amount, reasonCode);
+    }
+
+    function _enforceMintCeiling(uint256 amount) private {
+        if (mintEpochLength == 0) {
+            return;
+        }
+        uint256 epoch = block.timestamp / mintEpochLength;
+        if (epoch != currentMintEpoch) {
+            currentMintEpoch = epoch;
+            mintedInCurrentEpoch = 0;
+        }
+        require(mintedInCurrentEpoch + amount <= maxMintPerEpoch, "Exceeds epoch mint ceiling");
+        mintedInCurrentEpoch += amount;
+    }
+
+    function _pendingRedemption(uint256 requestId) private view returns (RedemptionRequest storage request) {
+        request = _redemptionRequests[requestId];
+        require(request.status == RedemptionStatus.Pending, "Redemption not pending");
+    }
+
+    // Returns the part of the request still escrowed, which a seizure of the holder's funds may have reduced.
+    function _releaseRedemption(RedemptionRequest storage request, RedemptionStatus status) private returns (uint256 amount) {
+        request.status = status;
+        uint256 escrow = _redemptionEscrows[request.holder];
+        amount = request.amount < escrow ? request.amount : escrow;
+        _redemptionEscrows[request.holder] = escrow - amount;
+    }
+}
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenCore.sol";
+
+// Settings of CBDCTokenBase: pausing, transfer policies, allowances, fees and interest tiers.
+contract CBDCPolicyModule is CBDCTokenCore {
+    function setMerchantCategory(address merchant, bytes32 category) public onlyRole(KYC_ADMIN_ROLE) {
+        _merchantCategories[merchant] = category;
+        emit MerchantCategoryChanged(merchant, category);
+    }
+
+    function setRedemptionExpiryPeriod(uint256 newPeriod) public onlyRole(POLICY_SETTER_ROLE) {
+        redemptionExpiryPeriod = newPeriod;
+        emit PolicyUpdated("RedemptionExpiryPeriod", newPeriod);
+    }
+
+    // Sets how much `minter` may still issue. Setting it again replenishes the allowance, setting zero revokes it.
+    function setMintAllowance(address minter, uint256 allowance) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _mintAllowances[minter] = allowance;
+        emit MintAllowanceUpdated(minter, allowance);
+    }
+
+    function setBurnAllowance(address burner, uint256 allowance) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _burnAllowances[burner] = allowance;
+        emit BurnAllowanceUpdated(burner, allowance);
+    }
+
+    function setMintCeiling(uint256 epochLength, uint256 maxPerEpoch) public onlyRole(POLICY_SETTER_ROLE) {
+        mintEpochLength = epochLength;
+        maxMintPerEpoch = maxPerEpoch;
+        emit PolicyUpdated("MintEpochLength", epochLength);
+        emit PolicyUpdated("MaxMintPerEpoch", maxPerEpoch);
+    }
+
+    function setCustodyAccount(address newAccount) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit CustodyAccountChanged(custodyAccount, newAccount);
+        custodyAccount = newAccount;
+    }
+
+    function setRecoveryDelay(uint256 newDelay) public onlyRole(POLICY_SETTER_ROLE) {
+        recoveryDelay = newDelay;
+        emit PolicyUpdated("RecoveryDelay", newDelay);
+    }
+
+    function pause() public onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    function setTransactionCoolDown(uint256 newCoolDown) public onlyRole(POLICY_SETTER_ROLE) {
+        transactionCoolDown = newCoolDown;
+        emit PolicyUpdated("TransactionCoolDown", newCoolDown);
+    }
+
+    function setMaxTransactionAmount(uint256 newMaxAmount) public onlyRole(POLICY_SETTER_ROLE) {
+        maxTransactionAmount = newMaxAmount;
+        emit PolicyUpdated("MaxTransactionAmount", newMaxAmount);
+    }
+
+    function setKYCValidityPeriod(uint256 newPeriod) public onlyRole(POLICY_SETTER_ROLE) {
+        kycValidityPeriod = newPeriod;
+        emit PolicyUpdated("KYCValidityPeriod", newPeriod);
+    }
+
+    function setVelocityLimit(uint256 window, uint256 maxTransactions, uint256 maxVolume) public onlyRole(POLICY_SETTER_ROLE) {
+        velocityWindow = window;
+        maxTransactionsPerWindow = maxTransactions;
+        maxVolumePerWindow = maxVolume;
+        emit PolicyUpdated("VelocityWindow", window);
+        emit PolicyUpdated("MaxTransactionsPerWindow", maxTransactions);
+        emit PolicyUpdated("MaxVolumePerWindow", maxVolume);
+    }
+
+    function setPolicyTier(
+        uint8 verificationLevel,
+        uint256 tierMaxTransactionAmount,
+        uint256 dailyVolumeLimit,
+        uint256 monthlyVolumeLimit,
+        uint256 maxBalance
+    ) public onlyRole(POLICY_SETTER_ROLE) {
+        _policyTiers[verificationLevel] = PolicyTier(tierMaxTransactionAmount, dailyVolumeLimit, monthlyVolumeLimit, maxBalance);
+        emit PolicyTierUpdated(verificationLevel, tierMaxTransactionAmount, dailyVolumeLimit, monthlyVolumeLimit, maxBalance);
+    }
+
+    // Sets the interest rate and holding fee of a tier. Accrual up to now uses the previous schedule.
+    function setInterestTier(
+        uint8 verificationLevel,
+        int256 annualRateBps,
+        uint256 holdingFeeThreshold,
+        uint256 holdingFeeBps
+    ) public onlyRole(POLICY_SETTER_ROLE) {
+        require(
+            annualRateBps >= -int256(BASIS_POINTS) && annualRateBps <= int256(BASIS_POINTS),
+            "Invalid interest rate"
+        );
+        require(holdingFeeBps <= BASIS_POINTS, "Invalid holding fee");
+        InterestTier storage tier = _updateInterestIndex(verificationLevel);
+        tier.annualRateBps = annualRateBps;
+        tier.holdingFeeThreshold = holdingFeeThreshold;
+        tier.holdingFeeBps = holdingFeeBps;
+        emit InterestTierUpdated(verificationLevel, annualRateBps, holdingFeeThreshold, holdingFeeBps);
+    }
+
+    function setFeeSchedule(
+        FeeType feeType,
+        uint256 flatFee,
+        uint256 feeBps,
+        uint256 minFee,
+        uint256 maxFee
+    ) public onlyRole(POLICY_SETTER_ROLE) {
+        require(feeBps <= BASIS_POINTS && (maxFee == 0 || minFee <= maxFee), "Invalid fee schedule");
+        _feeSchedules[feeType] = FeeSchedule(flatFee, feeBps, minFee, maxFee);
+        emit FeeScheduleUpdated(feeType, flatFee, feeBps, minFee, maxFee);
+    }
+
+    // Transfer and offline fees are only charged while a collector is set.
+    function setFeeCollector(address newCollector) public onlyRole(POLICY_SETTER_ROLE) {
+        emit FeeCollectorChanged(feeCollector, newCollector);
+        feeCollector = newCollector;
+    }
+
+    function setFeeExemption(address account, bool exempt) public onlyRole(POLICY_SETTER_ROLE) {
+        _feeExemptions[account] = exempt;
+        emit FeeExemptionChanged(account, exempt);
+    }
+
+    function setOfflineLockPeriod(uint256 newPeriod) public onlyRole(POLICY_SETTER_ROLE) {
+        offlineLockPeriod = newPeriod;
+        emit PolicyUpdated("OfflineLockPeriod", newPeriod);
+    }
+
+    function setTrustedForwarder(address newForwarder) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit TrustedForwarderChanged(trustedForwarder, newForwarder);
+        trustedForwarder = newForwarder;
+    }
+}
@@ -0,0 +1,243 @@
+// SPDX-License-Identifier: UNLICENSED
+// Copyright (C) 2024 Databun. All Rights Reserved.
+// This file is part of the CBDCToken project and is proprietary and confidential.
+// Unauthorized copying of this file, via any medium is strictly prohibited.
+pragma solidity ^0.8.18;
+
+import "../CBDCTokenCore.sol";
+
+// Lost-key recovery for CBDCTokenBase: guardians, recovery requests and the migration of a recovered account.
+contract CBDCRecoveryModule is CBDCTokenCore {
+    // Appoints the guardians that may recover the caller's account once `threshold` of them approve. An empty list
+    // hands recovery back to the caller's institution and KYC_ADMIN_ROLE. Any pending request is cancelled.
+    function setRecoveryGuardians(address[] memory guardians, uint256 threshold) public {
+        address account = _msgSender();
+        Recovery storage recovery = _recoveries[account];
+        require(!recovery.recovered, "Account already recovered");
+        require(guardians.length <= MAX_RECOVERY_GUARDIANS, "Invalid guardians");
+        require(guardians.length == 0 ? threshold == 0 : threshold > 0 && threshold <= guardians.length, "Invalid guardians");
+        for (uint256 i = 0; i < guardians.length; i++) {
+            require(guardians[i] != address(0) && guardians[i] != account, "Invalid guardians");
+            for (uint256 j = 0; j < i; j++) {
+                require(guardians[i] != guardians[j], "Invalid guardians");
+            }
+        }
+        _clearRecoveryRequest(account, recovery);
+        recovery.guardians = guardians;
+        recovery.threshold = threshold;
+        emit RecoveryGuardiansChanged(account, guardians, threshold);
+    }
+
+    // Requests moving `account` to the unused address `newAccount`, replacing a request that is not approved yet.
+    // The request counts as the initiator's approval. Without guardians, the account's active institution and
+    // KYC_ADMIN_ROLE must both approve, so neither can take over a customer's funds alone; accounts without an
+    // institution are recovered by KYC_ADMIN_ROLE.
+    function initiateRecovery(address account, address newAccount) public {
+        Recovery storage recovery = _recoveries[account];
+        require(!recovery.recovered, "Account already recovered");
+        require(!_institutions[account].registered, "Institutions cannot be recovered");
+        require(recovery.executableAt == 0, "Recovery already approved");
+        _checkRecoveryAddress(account, newAccount);
+        address initiator = _msgSender();
+        recovery.newAccount = newAccount;
+        recovery.approvals = 0;
+        emit RecoveryInitiated(account, newAccount, initiator);
+
+        _recordApproval(account, recovery, initiator);
+    }
+
+    function approveRecovery(address account) public {
+        Recovery storage recovery = _recoveries[account];
+        require(!recovery.recovered && recovery.newAccount != address(0), "No pending recovery");
+        _recordApproval(account, recovery, _msgSender());
+    }
+
+    // Lets the original key stop a recovery it did not ask for, at any point before it is executed.
+    function cancelRecovery() public {
+        address account = _msgSender();
+        Recovery storage recovery = _recoveries[account];
+        require(!recovery.recovered && recovery.newAccount != address(0), "No pending recovery");
+        _clearRecoveryRequest(account, recovery);
+    }
+
+    // Moves the balance, KYC and institution relationship, blacklisting, freezes, offline lock, purpose-bound funds
+    // and spending history to the recovery address once the waiting period is over. Anyone may execute. Vouchers
+    // the old key signed stay redeemable against the recovery address from the migrated offline balance, if they
+    // expire by the migrated offline unlock time and the new owner has not revoked them.
+    function executeRecovery(address account) public whenNotPaused {
+        Recovery storage recovery = _recoveries[account];
+        address newAccount = recovery.newAccount;
+        require(
+            !recovery.recovered && recovery.executableAt != 0 && block.timestamp >= recovery.executableAt,
+            "Recovery not ready"
+        );
+        require(_redemptionEscrows[account] == 0, "Redemption pending");
+        _checkRecoveryAddress(account, newAccount);
+        recovery.recovered = true;
+        recovery.approvals = 0;
+        recovery.executableAt = 0;
+        recovery.voucherDeadline = _offlineUnlockTimes[account];
+
+        uint256 amount = _migrateAccount(account, newAccount);
+        _migrateHoldings(account, newAccount);
+
+        Recovery storage successor = _recoveries[newAccount];
+        successor.guardians = recovery.guardians;
+        successor.threshold = recovery.threshold;
+        if (recovery.guardians.length > 0) {
+            emit RecoveryGuardiansChanged(newAccount, recovery.guardians, recovery.threshold);
+        }
+        emit RecoveryExecuted(account, newAccount, amount);
+    }
+
+    // Lets the current holder of a recovered account's funds stop honouring every voucher the old key signed, for
+    // when the key was stolen rather than lost.
+    function revokeRecoveredVouchers(address account) public {
+        address newAccount = _msgSender();
+        require(_recoveries[account].recovered && _successorOf(account) == newAccount, "Not the recovery address");
+        _recoveries[account].voucherDeadline = 0;
+        emit RecoveredVouchersRevoked(account, newAccount);
+    }
+
+    // Recovery addresses must be unused, so migrating an account never merges it into another one.
+    function _checkRecoveryAddress(address account, address newAccount) private view {
+        require(
+            newAccount != address(0) &&
+                newAccount != account &&
+                balanceOf(newAccount) == 0 &&
+                !_kycRecords[newAccount].verified &&
+                _customerRecords[newAccount].institution == address(0) &&
+                !_institutions[newAccount].registered &&
+                !_recoveries[newAccount].recovered &&
+                _recoveries[newAccount].guardians.length == 0,
+            "Invalid recovery address"
+        );
+    }
+
+    function _recordApproval(address account, Recovery storage recovery, address approver) private {
+        if (recovery.guardians.length > 0) {
+            _approveRecovery(account, recovery, approver);
+        } else {
+            _approveAsAgent(account, recovery, approver);
+        }
+    }
+
+    // Records the approval of a recovery agent in `approvals`: bit 0 for the institution, bit 1 for KYC_ADMIN_ROLE.
+    function _approveAsAgent(address account, Recovery storage recovery, address agent) private {
+        address institution = _customerRecords[account].institution;
+        uint256 bit;
+        if (institution != address(0) && agent == institution) {
+            require(_institutions[institution].active, "Not a recovery agent");
+            bit = 1;
+        } else {
+            require(hasRole(KYC_ADMIN_ROLE, agent), "Not a recovery agent");
+            bit = 2;
+        }
+        require(recovery.approvals & bit == 0, "Already approved");
+        recovery.approvals |= bit;
+        emit RecoveryApproved(account, agent);
+
+        if (recovery.approvals == (institution == address(0) ? 2 : 3) && recovery.executableAt == 0) {
+            _queueRecovery(account, recovery);
+        }
+    }
+
+    function _approveRecovery(address account, Recovery storage recovery, address guardian) private {
+        uint256 index = recovery.guardians.length;
+        for (uint256 i = 0; i < recovery.guardians.length; i++) {
+            if (recovery.guardians[i] == guardian) {
+                index = i;
+                break;
+            }
+        }
+        require(index < recovery.guardians.length, "Not a guardian");
+        require(recovery.approvals & (1 << index) == 0, "Already approved");
+        recovery.approvals |= 1 << index;
+        emit RecoveryApproved(account, guardian);
+
+        uint256 approvals;
+        for (uint256 bits = recovery.approvals; bits != 0; bits &= bits - 1) {
+            approvals++;
+        }
+        if (approvals >= recovery.threshold && recovery.executableAt == 0) {
+            _queueRecovery(account, recovery);
+        }
+    }
+
+    function _queueRecovery(address account, Recovery storage recovery) private {
+        recovery.executableAt = block.timestamp + recoveryDelay;
+        emit RecoveryQueued(account, recovery.newAccount, recovery.executableAt);
+    }
+
+    function _clearRecoveryRequest(address account, Recovery storage recovery) private {
+        if (recovery.newAccount == address(0)) {
+            return;
+        }
+        recovery.newAccount = address(0);
+        recovery.approvals = 0;
+        recovery.executableAt = 0;
+        emit RecoveryCancelled(account);
+    }
+
+    // Moves the KYC record, institution relationship and balance. The records are copied before the balance moves,
+    // so the transfer settles interest under the same tier and leaves the institution's customer balance unchanged.
+    function _migrateAccount(address account, address newAccount) private returns (uint256 amount) {
+        _accrueInterest(account);
+        KYCRecord memory kyc = _kycRecords[account];
+        _snapshotInterest(newAccount, kyc.verificationLevel);
+        _kycRecords[newAccount] = kyc;
+        address institution = _customerRecords[account].institution;
+        _customerRecords[newAccount] = _customerRecords[account];
+
+        amount = balanceOf(account);
+        _forceTransfer(account, newAccount, amount);
+
+        delete _kycRecords[account];
+        _snapshotInterest(account, 0);
+        delete _customerRecords[account];
+        emit KYCStatusChanged(newAccount, kyc.verified, kyc.verificationLevel, kyc.expiresAt);
+        emit KYCStatusChanged(account, false, 0, 0);
+        if (institution != address(0)) {
+            emit CustomerOnboarded(institution, newAccount);
+            emit CustomerOffboarded(institution, account);
+        }
+    }
+
+    // Moves everything else tied to the account. A blacklisting is extended to the recovery address and kept on the
+    // old one.
+    function _migrateHoldings(address account, address newAccount) private {
+        if (_blacklistedAddresses[account]) {
+            _setBlacklistStatus(newAccount, true);
+        }
+        _frozenBalances[newAccount] = _frozenBalances[account];
+        _offlineBalances[newAccount] = _offlineBalances[account];
+        _offlineUnlockTimes[newAccount] = _offlineUnlockTimes[account];
+        _restrictedBalances[newAccount] = _restrictedBalances[account];
+        _restrictedTotals[newAccount] = _restrictedTotals[account];
+        _lastTransactionTimestamp[newAccount] = _lastTransactionTimestamp[account];
+        _spendingRecords[newAccount] = _spendingRecords[account];
+        _velocityRecords[newAccount] = _velocityRecords[account];
+        delete _frozenBalances[account];
+        delete _offlineBalances[account];
+        delete _offlineUnlockTimes[account];
+        delete _restrictedBalances[account];
+        delete _restrictedTotals[account];
+        delete _lastTransactionTimestamp[account];
+        delete _spendingRecords[account];
+        delete _velocityRecords[account];
+
+        bytes32 category = _merchantCategories[account];
+        if (category != bytes32(0)) {
+            _merchantCategories[newAccount] = category;
+            delete _merchantCategories[account];
+            emit MerchantCategoryChanged(newAccount, category);
+            emit MerchantCategoryChanged(account, bytes32(0));
+        }
+        if (_feeExemptions[account]) {
+            _feeExemptions[newAccount] = true;
+            delete _feeExemptions[account];
+            emit FeeExemptionChanged(newAccount, true);
+            emit FeeExemptionChanged(account, false);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const CBDCTokenModulesModule = require("./CBDCTokenModules");
+
+const ONE_MINUTE = 60;
+const TWO_DAYS = 2 * 24 * 60 * 60;
+const ONE_MILLION_TOKENS = 1_000_000n * 10n ** 18n;
+
+const ROLE_NAMES = [
+  "MINTER_ROLE",
+  "PAUSER_ROLE",
+  "BURNER_ROLE",
+  "POLICY_SETTER_ROLE",
+  "KYC_ADMIN_ROLE",
+  "COMPLIANCE_ROLE",
+  "SEIZURE_ROLE",
+  "DEFAULT_ADMIN_ROLE",
+];
+
+// Deploys the token together with a CBDCGovernor and hands every token role to
+// the governor, so privileged calls can only be made through its proposals.
+module.exports = buildModule("CBDCGovernanceModule", (m) => {
+  const deployer = m.getAccount(0);
+  const officers = m.getParameter("officers");
+  const threshold = m.getParameter("threshold");
+  const executionDelay = m.getParameter("executionDelay", TWO_DAYS);
+  const transactionCoolDown = m.getParameter("transactionCoolDown", ONE_MINUTE);
+  const maxTransactionAmount = m.getParameter(
+    "maxTransactionAmount",
+    ONE_MILLION_TOKENS
+  );
+
+  const cbdcToken = m.contract("CBDCToken", [
+    m.useModule(CBDCTokenModulesModule),
+  ]);
+  const governor = m.contract("CBDCGovernor", [
+    cbdcToken,
+    officers,
+    threshold,
+    executionDelay,
+  ]);
+
+  const policyUpdates = [
+    m.call(cbdcToken, "setTransactionCoolDown", [transactionCoolDown]),
+    m.call(cbdcToken, "setMaxTransactionAmount", [maxTransactionAmount]),
+  ];
+
+  const roles = ROLE_NAMES.map((roleName) => ({
+    roleName,
+    role: m.staticCall(cbdcToken, roleName, [], 0, { id: roleName }),
+  }));
+
+  const grants = roles.map(({ roleName, role }) =>
+    m.call(cbdcToken, "grantRole", [role, governor], {
+      id: `grant_${roleName}`,
+    })
+  );
+
+  // The deployer keeps the admin role until every other role is renounced
+  const renounces = roles
+    .filter(({ roleName }) => roleName !== "DEFAULT_ADMIN_ROLE")
+    .map(({ roleName, role }) =>
+      m.call(cbdcToken, "renounceRole", [role, deployer], {
+        id: `renounce_${roleName}`,
+        after: [...policyUpdates, ...grants],
+      })
+    );
+  const adminRole = roles.find(
+    ({ roleName }) => roleName === "DEFAULT_ADMIN_ROLE"
+  ).role;
+  m.call(cbdcToken, "renounceRole", [adminRole, deployer], {
+    id: "renounce_DEFAULT_ADMIN_ROLE",
+    after: renounces,
+  });
+
+  return { cbdcToken, governor };
+});
@@ -0,0 +1,79 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const CBDCTokenModulesModule = require("./CBDCTokenModules");
+
+const ONE_MINUTE = 60;
+const ONE_MILLION_TOKENS = 1_000_000n * 10n ** 18n;
+
+// Every role is granted to the account named by its parameter and then
+// renounced by the deployer, so role holders must not be the deployer account.
+const ROLE_PARAMETERS = {
+  MINTER_ROLE: "minter",
+  PAUSER_ROLE: "pauser",
+  BURNER_ROLE: "burner",
+  POLICY_SETTER_ROLE: "policySetter",
+  KYC_ADMIN_ROLE: "kycAdmin",
+  COMPLIANCE_ROLE: "complianceOfficer",
+  SEIZURE_ROLE: "seizureOfficer",
+  DEFAULT_ADMIN_ROLE: "admin",
+};
+
+module.exports = buildModule("CBDCTokenModule", (m) => {
+  const deployer = m.getAccount(0);
+  const transactionCoolDown = m.getParameter("transactionCoolDown", ONE_MINUTE);
+  const maxTransactionAmount = m.getParameter(
+    "maxTransactionAmount",
+    ONE_MILLION_TOKENS
+  );
+  const minterAllowance = m.getParameter("minterAllowance", 0n);
+  const burnerAllowance = m.getParameter("burnerAllowance", 0n);
+
+  const cbdcToken = m.contract("CBDCToken", [
+    m.useModule(CBDCTokenModulesModule),
+  ]);
+
+  const policyUpdates = [
+    m.call(cbdcToken, "setTransactionCoolDown", [transactionCoolDown]),
+    m.call(cbdcToken, "setMaxTransactionAmount", [maxTransactionAmount]),
+    m.call(cbdcToken, "setMintAllowance", [
+      m.getParameter("minter"),
+      minterAllowance,
+    ]),
+    m.call(cbdcToken, "setBurnAllowance", [
+      m.getParameter("burner"),
+      burnerAllowance,
+    ]),
+  ];
+
+  const roles = Object.entries(ROLE_PARAMETERS).map(
+    ([roleName, parameterName]) => ({
+      roleName,
+      role: m.staticCall(cbdcToken, roleName, [], 0, { id: roleName }),
+      holder: m.getParameter(parameterName),
+    })
+  );
+
+  const grants = roles.map(({ roleName, role, holder }) =>
+    m.call(cbdcToken, "grantRole", [role, holder], {
+      id: `grant_${roleName}`,
+    })
+  );
+
+  // The deployer keeps the admin role until every other role is renounced
+  const renounces = roles
+    .filter(({ roleName }) => roleName !== "DEFAULT_ADMIN_ROLE")
+    .map(({ roleName, role }) =>
+      m.call(cbdcToken, "renounceRole", [role, deployer], {
+        id: `renounce_${roleName}`,
+        after: [...policyUpdates, ...grants],
+      })
+    );
+  const adminRole = roles.find(
+    ({ roleName }) => roleName === "DEFAULT_ADMIN_ROLE"
+  ).role;
+  m.call(cbdcToken, "renounceRole", [adminRole, deployer], {
+    id: "renounce_DEFAULT_ADMIN_ROLE",
+    after: renounces,
+  });
+
+  return { cbdcToken };
+});
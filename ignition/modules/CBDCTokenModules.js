@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Deploys the contracts CBDCToken delegates to. The result is shaped like the
+// token's Modules constructor argument.
+module.exports = buildModule("CBDCTokenModulesModule", (m) => ({
+  payments: m.contract("CBDCPaymentsModule"),
+  offline: m.contract("CBDCOfflineModule"),
+  compliance: m.contract("CBDCComplianceModule"),
+  recovery: m.contract("CBDCRecoveryModule"),
+  policy: m.contract("CBDCPolicyModule"),
+}));
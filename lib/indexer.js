@@ -0,0 +1,323 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_POLL_INTERVAL = 5000;
+
+// uint256 amounts do not fit SQLite integers. They are stored as zero-padded
+// decimal strings, which compare and sort like the numbers they hold.
+const AMOUNT_DIGITS = 78;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS transfers (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS transfers_from ON transfers (from_address, timestamp);
+  CREATE INDEX IF NOT EXISTS transfers_to ON transfers (to_address, timestamp);
+  CREATE INDEX IF NOT EXISTS transfers_amount ON transfers (amount);
+  CREATE TABLE IF NOT EXISTS offline_transactions (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    transaction_id TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS blacklist_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    account TEXT NOT NULL,
+    blacklisted INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS policy_updates (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    policy_name TEXT NOT NULL,
+    new_value TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS supply_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    operator TEXT NOT NULL,
+    account TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    reason_code TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+`;
+
+function toStoredAmount(amount) {
+  return ethers.BigNumber.from(amount).toString().padStart(AMOUNT_DIGITS, "0");
+}
+
+function fromStoredAmount(amount) {
+  return BigInt(amount);
+}
+
+// Maps each indexed event to its table and columns. Issued and Redeemed are
+// kept for the supply reconciliation.
+const EVENT_ROWS = {
+  Transfer: ({ from, to, value }) => [
+    "transfers",
+    { from_address: from, to_address: to, amount: toStoredAmount(value) },
+  ],
+  OfflineTransactionProcessed: ({ from, to, amount, transactionId }) => [
+    "offline_transactions",
+    {
+      from_address: from,
+      to_address: to,
+      amount: toStoredAmount(amount),
+      transaction_id: transactionId,
+    },
+  ],
+  BlacklistStatusChanged: ({ account, blacklisted }) => [
+    "blacklist_changes",
+    { account, blacklisted: blacklisted ? 1 : 0 },
+  ],
+  PolicyUpdated: ({ policyName, newValue }) => [
+    "policy_updates",
+    { policy_name: policyName, new_value: toStoredAmount(newValue) },
+  ],
+  Issued: ({ minter, to, amount, reasonCode }) => [
+    "supply_changes",
+    {
+      event: "Issued",
+      operator: minter,
+      account: to,
+      amount: toStoredAmount(amount),
+      reason_code: reasonCode,
+    },
+  ],
+  Redeemed: ({ burner, from, amount, reasonCode }) => [
+    "supply_changes",
+    {
+      event: "Redeemed",
+      operator: burner,
+      account: from,
+      amount: toStoredAmount(amount),
+      reason_code: reasonCode,
+    },
+  ],
+};
+
+// Event-specific columns of each table, after the block, log index,
+// transaction hash and timestamp every table starts with
+const TABLE_COLUMNS = {
+  transfers: ["from_address", "to_address", "amount"],
+  offline_transactions: [
+    "from_address",
+    "to_address",
+    "amount",
+    "transaction_id",
+  ],
+  blacklist_changes: ["account", "blacklisted"],
+  policy_updates: ["policy_name", "new_value"],
+  supply_changes: ["event", "operator", "account", "amount", "reason_code"],
+};
+
+/**
+ * Opens (or creates) an indexer database. Pass ":memory:" for a throwaway
+ * database.
+ */
+function openDatabase(file) {
+  const database = new Database(file);
+  database.pragma("journal_mode = WAL");
+  database.exec(SCHEMA);
+  return database;
+}
+
+/**
+ * Follows a CBDCToken deployment and stores its transfer, offline settlement,
+ * blacklist, policy and issuance events in SQLite for the reports in
+ * lib/reports.js.
+ */
+class EventIndexer {
+  /**
+   * `fromBlock` is where indexing starts when the database is new; use the
+   * deployment block for a complete history. Blocks younger than
+   * `confirmations` are left for a later sync so reorgs do not leave stale
+   * rows.
+   */
+  constructor(
+    cbdcToken,
+    database,
+    { fromBlock = 0, confirmations = 0, blockRange = DEFAULT_BLOCK_RANGE } = {}
+  ) {
+    this.cbdcToken = cbdcToken;
+    this.database = database;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.topics = Object.keys(EVENT_ROWS).map((name) =>
+      cbdcToken.interface.getEventTopic(name)
+    );
+    this.inserts = Object.fromEntries(
+      Object.entries(TABLE_COLUMNS).map(([table, columns]) => {
+        const names = [
+          "block_number",
+          "log_index",
+          "transaction_hash",
+          "timestamp",
+          ...columns,
+        ];
+        return [
+          table,
+          database.prepare(
+            `INSERT OR IGNORE INTO ${table} (${names.join(", ")})
+             VALUES (${names.map((column) => `@${column}`).join(", ")})`
+          ),
+        ];
+      })
+    );
+  }
+
+  getState(key) {
+    const row = this.database
+      .prepare("SELECT value FROM sync_state WHERE key = ?")
+      .get(key);
+    return row === undefined ? undefined : row.value;
+  }
+
+  setState(key, value) {
+    this.database
+      .prepare(
+        "INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+      )
+      .run(key, String(value));
+  }
+
+  /** The last block stored in the database, or undefined before the first sync. */
+  get lastBlock() {
+    const value = this.getState("lastBlock");
+    return value === undefined ? undefined : Number(value);
+  }
+
+  /**
+   * Indexes every block after the last synced one up to `toBlock` (the
+   * confirmed head by default) and returns the range covered. Each block range
+   * is stored in a single database transaction together with the sync
+   * position, so an interrupted sync resumes where it stopped.
+   */
+  async sync({ toBlock } = {}) {
+    const provider = this.cbdcToken.provider;
+    const { chainId } = await provider.getNetwork();
+    const token = this.getState("token");
+    if (token === undefined) {
+      this.setState("token", this.cbdcToken.address);
+      this.setState("chainId", chainId);
+    } else if (
+      token !== this.cbdcToken.address ||
+      Number(this.getState("chainId")) !== chainId
+    ) {
+      throw new Error("Database indexes a different token");
+    }
+
+    const head =
+      toBlock === undefined
+        ? (await provider.getBlockNumber()) - this.confirmations
+        : toBlock;
+    const start =
+      this.lastBlock === undefined ? this.fromBlock : this.lastBlock + 1;
+    let events = 0;
+    for (let from = start; from <= head; from += this.blockRange) {
+      const to = Math.min(from + this.blockRange - 1, head);
+      const logs = await provider.getLogs({
+        address: this.cbdcToken.address,
+        topics: [this.topics],
+        fromBlock: from,
+        toBlock: to,
+      });
+      const timestamps = await this.getTimestamps(logs);
+      this.database.transaction(() => {
+        for (const log of logs) {
+          this.store(log, timestamps.get(log.blockNumber));
+        }
+        this.setState("lastBlock", to);
+      })();
+      events += logs.length;
+    }
+    return { fromBlock: start, toBlock: Math.max(head, start - 1), events };
+  }
+
+  /**
+   * Syncs every `pollInterval` milliseconds until the returned function is
+   * called. Sync errors are passed to `onError` and retried on the next poll.
+   */
+  follow({
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    onSync,
+    onError = console.error,
+  } = {}) {
+    let stopped = false;
+    let timer;
+    const poll = async () => {
+      try {
+        const result = await this.sync();
+        if (onSync !== undefined) {
+          onSync(result);
+        }
+      } catch (error) {
+        onError(error);
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, pollInterval);
+      }
+    };
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  async getTimestamps(logs) {
+    const timestamps = new Map();
+    for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+      const block = await this.cbdcToken.provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block.timestamp);
+    }
+    return timestamps;
+  }
+
+  store(log, timestamp) {
+    const { name, args } = this.cbdcToken.interface.parseLog(log);
+    const [table, columns] = EVENT_ROWS[name](args);
+    this.inserts[table].run({
+      block_number: log.blockNumber,
+      log_index: log.logIndex,
+      transaction_hash: log.transactionHash,
+      timestamp,
+      ...columns,
+    });
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  openDatabase,
+  toStoredAmount,
+  fromStoredAmount,
+};
@@ -0,0 +1,103 @@
+const { ethers } = require("ethers");
+const { buildVoucherDomain } = require("./offlineVouchers");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Request type of OpenZeppelin's MinimalForwarder
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+const DEFAULT_FORWARD_GAS = 1_000_000;
+
+/**
+ * Reads the EIP-712 domain of a deployed EIP-5267 contract, such as a
+ * forwarder. The token's own domain is returned by getVoucherDomain.
+ */
+async function getEip712Domain(contract) {
+  const domain = await contract.eip712Domain();
+  return buildVoucherDomain({
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+  });
+}
+
+/**
+ * Signs an EIP-2612 permit and returns the `v`, `r` and `s` arguments of
+ * `permit`. `nonce` is the owner's current `nonces(owner)`.
+ */
+async function signPermit(
+  signer,
+  domain,
+  { owner, spender, value, nonce, deadline }
+) {
+  const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+    owner: ethers.utils.getAddress(owner),
+    spender: ethers.utils.getAddress(spender),
+    value: ethers.BigNumber.from(value),
+    nonce: ethers.BigNumber.from(nonce),
+    deadline: ethers.BigNumber.from(deadline),
+  });
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { v, r, s };
+}
+
+/**
+ * Normalizes a forward request. `data` is the encoded call on the token,
+ * e.g. `cbdcToken.interface.encodeFunctionData("transfer", [to, amount])`.
+ */
+function buildForwardRequest({
+  from,
+  to,
+  data,
+  nonce,
+  value = 0,
+  gas = DEFAULT_FORWARD_GAS,
+}) {
+  return {
+    from: ethers.utils.getAddress(from),
+    to: ethers.utils.getAddress(to),
+    value: ethers.BigNumber.from(value),
+    gas: ethers.BigNumber.from(gas),
+    nonce: ethers.BigNumber.from(nonce),
+    data: ethers.utils.hexlify(data),
+  };
+}
+
+/**
+ * Signs a forward request with the key of the user it is relayed for. The
+ * relayer submits the request and signature to the forwarder's `execute`.
+ */
+async function signForwardRequest(signer, domain, request) {
+  return signer._signTypedData(
+    domain,
+    FORWARD_REQUEST_TYPES,
+    buildForwardRequest(request)
+  );
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  FORWARD_REQUEST_TYPES,
+  getEip712Domain,
+  signPermit,
+  buildForwardRequest,
+  signForwardRequest,
+};
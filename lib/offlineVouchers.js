@@ -0,0 +1,151 @@
+const { ethers } = require("ethers");
+
+// Must match the EIP712 constructor arguments of CBDCToken
+const DOMAIN_NAME = "CBDC Token";
+const DOMAIN_VERSION = "1";
+
+const OFFLINE_TRANSFER_TYPES = {
+  OfflineTransfer: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expirationTimestamp", type: "uint256" },
+  ],
+};
+
+/**
+ * Builds the EIP-712 domain for a CBDCToken deployment. Works without a
+ * network connection, e.g. on an offline POS device that knows the chain id
+ * and token address.
+ */
+function buildVoucherDomain({
+  chainId,
+  verifyingContract,
+  name = DOMAIN_NAME,
+  version = DOMAIN_VERSION,
+}) {
+  return {
+    name,
+    version,
+    chainId: ethers.BigNumber.from(chainId).toNumber(),
+    verifyingContract: ethers.utils.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Reads the EIP-712 domain from a deployed CBDCToken contract.
+ */
+async function getVoucherDomain(cbdcToken) {
+  const domain = await cbdcToken.eip712Domain();
+  return buildVoucherDomain({
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+  });
+}
+
+/**
+ * Normalizes a voucher so it can be signed, hashed and passed to the contract.
+ */
+function buildVoucher({ from, to, amount, nonce, expirationTimestamp }) {
+  return {
+    from: ethers.utils.getAddress(from),
+    to: ethers.utils.getAddress(to),
+    amount: ethers.BigNumber.from(amount),
+    nonce: ethers.BigNumber.from(nonce),
+    expirationTimestamp: ethers.BigNumber.from(expirationTimestamp),
+  };
+}
+
+/**
+ * Returns the EIP-712 digest of a voucher. This is the transaction id the
+ * contract emits in OfflineTransactionProcessed.
+ */
+function hashVoucher(domain, voucher) {
+  return ethers.utils._TypedDataEncoder.hash(
+    domain,
+    OFFLINE_TRANSFER_TYPES,
+    buildVoucher(voucher)
+  );
+}
+
+/**
+ * Signs a voucher with an ethers signer holding the payer's key.
+ */
+async function signVoucher(signer, domain, voucher) {
+  return signer._signTypedData(
+    domain,
+    OFFLINE_TRANSFER_TYPES,
+    buildVoucher(voucher)
+  );
+}
+
+/**
+ * Recovers the address that signed a voucher.
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return ethers.utils.verifyTypedData(
+    domain,
+    OFFLINE_TRANSFER_TYPES,
+    buildVoucher(voucher),
+    signature
+  );
+}
+
+/**
+ * Checks locally that a voucher was signed by its payer and has not expired.
+ * Replay and balance checks can only happen on-chain.
+ */
+function verifyVoucher(
+  domain,
+  voucher,
+  signature,
+  now = Math.floor(Date.now() / 1000)
+) {
+  const normalized = buildVoucher(voucher);
+  let signer;
+  try {
+    signer = recoverVoucherSigner(domain, normalized, signature);
+  } catch (error) {
+    return { valid: false, reason: "Invalid signature" };
+  }
+  if (signer !== normalized.from) {
+    return { valid: false, reason: "Invalid signature" };
+  }
+  if (normalized.expirationTimestamp.lt(now)) {
+    return { valid: false, reason: "Transaction expired" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Converts signed vouchers into the argument list of
+ * processBulkOfflineTransactions.
+ */
+function toBulkArguments(signedVouchers) {
+  const vouchers = signedVouchers.map(({ voucher }) => buildVoucher(voucher));
+  return [
+    vouchers.map((voucher) => voucher.from),
+    vouchers.map((voucher) => voucher.to),
+    vouchers.map((voucher) => voucher.amount),
+    vouchers.map((voucher) => voucher.nonce),
+    vouchers.map((voucher) => voucher.expirationTimestamp),
+    signedVouchers.map(({ signature }) => signature),
+  ];
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  OFFLINE_TRANSFER_TYPES,
+  buildVoucherDomain,
+  getVoucherDomain,
+  buildVoucher,
+  hashVoucher,
+  signVoucher,
+  recoverVoucherSigner,
+  verifyVoucher,
+  toBulkArguments,
+};
@@ -0,0 +1,419 @@
+const { ethers } = require("ethers");
+const { fromStoredAmount, toStoredAmount } = require("./indexer");
+
+const BASIS_POINTS = 10_000n;
+const ONE_DAY = 24 * 60 * 60;
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+// Marks transfers that settled an offline voucher. Fee transfers of the same
+// settlement have a different recipient or amount and are not marked.
+const OFFLINE_COLUMN = `EXISTS (
+  SELECT 1 FROM offline_transactions o
+  WHERE o.transaction_hash = t.transaction_hash
+    AND o.from_address = t.from_address
+    AND o.to_address = t.to_address
+    AND o.amount = t.amount
+) AS offline`;
+
+function toTransferRow(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+    from: row.from_address,
+    to: row.to_address,
+    amount: fromStoredAmount(row.amount).toString(),
+    offline: row.offline === 1,
+  };
+}
+
+/**
+ * Lists transfers of at least `threshold` between `fromTimestamp` and
+ * `toTimestamp` (inclusive), largest first. Mints and burns are left out
+ * unless `includeSupplyChanges` is set.
+ */
+function largeTransactionReport(
+  database,
+  {
+    threshold,
+    fromTimestamp = 0,
+    toTimestamp = Number.MAX_SAFE_INTEGER,
+    includeSupplyChanges = false,
+  }
+) {
+  if (threshold === undefined) {
+    throw new Error("A threshold is required");
+  }
+  const rows = database
+    .prepare(
+      `SELECT t.*, ${OFFLINE_COLUMN} FROM transfers t
+       WHERE t.amount >= @threshold
+         AND t.timestamp BETWEEN @fromTimestamp AND @toTimestamp
+         AND (@includeSupplyChanges OR (t.from_address != @zero AND t.to_address != @zero))
+       ORDER BY t.amount DESC, t.block_number, t.log_index`
+    )
+    .all({
+      threshold: toStoredAmount(threshold),
+      fromTimestamp,
+      toTimestamp,
+      includeSupplyChanges: includeSupplyChanges ? 1 : 0,
+      zero: ZERO_ADDRESS,
+    });
+  return {
+    report: "large-transactions",
+    parameters: {
+      threshold: threshold.toString(),
+      fromTimestamp,
+      toTimestamp,
+      includeSupplyChanges,
+    },
+    rows: rows.map(toTransferRow),
+  };
+}
+
+// Replays the indexed MaxTransactionAmount updates to find the limit in force
+// at each point of the history.
+function maxTransactionAmountHistory(database) {
+  return database
+    .prepare(
+      `SELECT block_number, log_index, new_value FROM policy_updates
+       WHERE policy_name = 'MaxTransactionAmount'
+       ORDER BY block_number, log_index`
+    )
+    .all()
+    .map((row) => ({
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      value: fromStoredAmount(row.new_value),
+    }));
+}
+
+function limitInForce(history, initialLimit, { block_number, log_index }) {
+  let limit = initialLimit;
+  for (const update of history) {
+    if (
+      update.blockNumber > block_number ||
+      (update.blockNumber === block_number && update.logIndex > log_index)
+    ) {
+      break;
+    }
+    limit = update.value;
+  }
+  return limit;
+}
+
+/**
+ * Flags senders that split payments into many transfers just under the
+ * maximum transaction amount: at least `minCount` transfers within `window`
+ * seconds, each within `marginBps` basis points below the limit.
+ *
+ * The limit in force at each transfer is taken from the indexed
+ * `PolicyUpdated("MaxTransactionAmount")` events. The contract sets its
+ * initial limit without an event, so `maxTransactionAmount` supplies the
+ * limit for transfers before the first update; such transfers are skipped
+ * when it is not given.
+ */
+function structuringReport(
+  database,
+  {
+    maxTransactionAmount,
+    marginBps = 1000,
+    window = ONE_DAY,
+    minCount = 3,
+  } = {}
+) {
+  const history = maxTransactionAmountHistory(database);
+  const initialLimit =
+    maxTransactionAmount === undefined
+      ? undefined
+      : BigInt(maxTransactionAmount.toString());
+  const transfers = database
+    .prepare(
+      `SELECT t.*, ${OFFLINE_COLUMN} FROM transfers t
+       WHERE t.from_address != @zero AND t.to_address != @zero
+       ORDER BY t.from_address, t.timestamp, t.block_number, t.log_index`
+    )
+    .all({ zero: ZERO_ADDRESS });
+
+  const candidatesBySender = new Map();
+  for (const transfer of transfers) {
+    const limit = limitInForce(history, initialLimit, transfer);
+    if (limit === undefined || limit === 0n) {
+      continue;
+    }
+    const amount = fromStoredAmount(transfer.amount);
+    const floor = limit - (limit * BigInt(marginBps)) / BASIS_POINTS;
+    if (amount >= floor && amount <= limit) {
+      if (!candidatesBySender.has(transfer.from_address)) {
+        candidatesBySender.set(transfer.from_address, []);
+      }
+      candidatesBySender.get(transfer.from_address).push(transfer);
+    }
+  }
+
+  // Each sender's candidates are grouped into non-overlapping clusters that
+  // start at a candidate and take every later one within the window.
+  const rows = [];
+  for (const [sender, candidates] of candidatesBySender) {
+    let start = 0;
+    while (start < candidates.length) {
+      let end = start;
+      while (
+        end + 1 < candidates.length &&
+        candidates[end + 1].timestamp - candidates[start].timestamp <= window
+      ) {
+        end += 1;
+      }
+      const cluster = candidates.slice(start, end + 1);
+      if (cluster.length >= minCount) {
+        rows.push({
+          address: sender,
+          count: cluster.length,
+          totalAmount: cluster
+            .reduce((sum, row) => sum + fromStoredAmount(row.amount), 0n)
+            .toString(),
+          firstTimestamp: cluster[0].timestamp,
+          lastTimestamp: cluster[cluster.length - 1].timestamp,
+          recipients: [...new Set(cluster.map((row) => row.to_address))],
+          transactionHashes: cluster.map((row) => row.transaction_hash),
+        });
+        start = end + 1;
+      } else {
+        start += 1;
+      }
+    }
+  }
+  return {
+    report: "structuring",
+    parameters: {
+      maxTransactionAmount:
+        initialLimit === undefined ? undefined : initialLimit.toString(),
+      marginBps,
+      window,
+      minCount,
+    },
+    rows,
+  };
+}
+
+/**
+ * Lists every indexed transfer to and from `address` between `fromTimestamp`
+ * and `toTimestamp` (inclusive) with the running balance after it. The
+ * running balance counts mints, burns, interest, fees and seizures, as they
+ * are all transfers; it matches `balanceOf` when the database was indexed
+ * from the token's deployment block.
+ */
+function addressStatement(
+  database,
+  address,
+  { fromTimestamp = 0, toTimestamp = Number.MAX_SAFE_INTEGER } = {}
+) {
+  const holder = ethers.utils.getAddress(address);
+  const transfers = database
+    .prepare(
+      `SELECT t.*, ${OFFLINE_COLUMN} FROM transfers t
+       WHERE (t.from_address = @holder OR t.to_address = @holder)
+         AND t.timestamp <= @toTimestamp
+       ORDER BY t.block_number, t.log_index`
+    )
+    .all({ holder, toTimestamp });
+
+  let balance = 0n;
+  let openingBalance = 0n;
+  const rows = [];
+  for (const transfer of transfers) {
+    const amount = fromStoredAmount(transfer.amount);
+    const received = transfer.to_address === holder;
+    // Transfers to oneself leave the balance unchanged
+    if (received) {
+      balance += amount;
+    }
+    if (transfer.from_address === holder) {
+      balance -= amount;
+    }
+    if (transfer.timestamp < fromTimestamp) {
+      openingBalance = balance;
+      continue;
+    }
+    const row = toTransferRow(transfer);
+    rows.push({
+      blockNumber: row.blockNumber,
+      logIndex: row.logIndex,
+      transactionHash: row.transactionHash,
+      timestamp: row.timestamp,
+      direction: received ? "in" : "out",
+      counterparty: received ? row.from : row.to,
+      amount: row.amount,
+      offline: row.offline,
+      balance: balance.toString(),
+    });
+  }
+  const blacklistChanges = database
+    .prepare(
+      `SELECT * FROM blacklist_changes
+       WHERE account = @holder AND timestamp BETWEEN @fromTimestamp AND @toTimestamp
+       ORDER BY block_number, log_index`
+    )
+    .all({ holder, fromTimestamp, toTimestamp })
+    .map((row) => ({
+      blockNumber: row.block_number,
+      transactionHash: row.transaction_hash,
+      timestamp: row.timestamp,
+      blacklisted: row.blacklisted === 1,
+    }));
+  return {
+    report: "statement",
+    parameters: { address: holder, fromTimestamp, toTimestamp },
+    openingBalance: openingBalance.toString(),
+    closingBalance: balance.toString(),
+    blacklistChanges,
+    rows,
+  };
+}
+
+function sumAmounts(rows) {
+  return rows.reduce((sum, { amount }) => sum + fromStoredAmount(amount), 0n);
+}
+
+function reconciliationRow(check, indexed, onChain) {
+  const chainValue = BigInt(onChain.toString());
+  return {
+    check,
+    indexed: indexed.toString(),
+    onChain: chainValue.toString(),
+    difference: (indexed - chainValue).toString(),
+    matches: indexed === chainValue,
+  };
+}
+
+/**
+ * Compares the indexed history with the token's on-chain state at the last
+ * indexed block: total supply against indexed mints and burns, the
+ * `totalIssued` and `totalRedeemed` counters against indexed `Issued` and
+ * `Redeemed` events, and every holder's indexed balance against `balanceOf`.
+ * Holder rows are only included when they differ. The database must have been
+ * indexed from the token's deployment block for the totals to match.
+ */
+async function supplyReconciliation(database, cbdcToken) {
+  const state = Object.fromEntries(
+    database
+      .prepare("SELECT key, value FROM sync_state")
+      .all()
+      .map(({ key, value }) => [key, value])
+  );
+  if (state.lastBlock === undefined) {
+    throw new Error("The database has not been synced");
+  }
+  if (state.token !== cbdcToken.address) {
+    throw new Error("Database indexes a different token");
+  }
+  const blockTag = Number(state.lastBlock);
+  const overrides = { blockTag };
+
+  const minted = sumAmounts(
+    database
+      .prepare("SELECT amount FROM transfers WHERE from_address = ?")
+      .all(ZERO_ADDRESS)
+  );
+  const burned = sumAmounts(
+    database
+      .prepare("SELECT amount FROM transfers WHERE to_address = ?")
+      .all(ZERO_ADDRESS)
+  );
+  const supplyChanges = (event) =>
+    sumAmounts(
+      database
+        .prepare("SELECT amount FROM supply_changes WHERE event = ?")
+        .all(event)
+    );
+  const rows = [
+    reconciliationRow(
+      "totalSupply",
+      minted - burned,
+      await cbdcToken.totalSupply(overrides)
+    ),
+    reconciliationRow(
+      "totalIssued",
+      supplyChanges("Issued"),
+      await cbdcToken.totalIssued(overrides)
+    ),
+    reconciliationRow(
+      "totalRedeemed",
+      supplyChanges("Redeemed"),
+      await cbdcToken.totalRedeemed(overrides)
+    ),
+  ];
+
+  const balances = new Map();
+  for (const { from_address, to_address, amount } of database
+    .prepare("SELECT from_address, to_address, amount FROM transfers")
+    .all()) {
+    const value = fromStoredAmount(amount);
+    balances.set(from_address, (balances.get(from_address) || 0n) - value);
+    balances.set(to_address, (balances.get(to_address) || 0n) + value);
+  }
+  balances.delete(ZERO_ADDRESS);
+  for (const [holder, balance] of balances) {
+    const row = reconciliationRow(
+      `balanceOf(${holder})`,
+      balance,
+      await cbdcToken.balanceOf(holder, overrides)
+    );
+    if (!row.matches) {
+      rows.push(row);
+    }
+  }
+
+  return {
+    report: "reconciliation",
+    parameters: { token: cbdcToken.address, blockNumber: blockTag },
+    holders: balances.size,
+    balanced: rows.every(({ matches }) => matches),
+    rows,
+  };
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = Array.isArray(value) ? value.join(";") : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Formats report rows as CSV with a header line; list values are joined with semicolons. */
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => toCsvValue(row[column])).join(",")
+    ),
+  ].join("\n");
+}
+
+/**
+ * Serializes a report as "json" (the whole report) or "csv" (its rows).
+ */
+function exportReport(report, format = "json") {
+  if (format === "json") {
+    return JSON.stringify(report, null, 2);
+  }
+  if (format === "csv") {
+    return toCsv(report.rows);
+  }
+  throw new Error(`Unknown report format ${format}`);
+}
+
+module.exports = {
+  largeTransactionReport,
+  structuringReport,
+  addressStatement,
+  supplyReconciliation,
+  toCsv,
+  exportReport,
+};
@@ -0,0 +1,868 @@
+const { ethers } = require("ethers");
+const {
+  getVoucherDomain,
+  signVoucher,
+  toBulkArguments,
+  verifyVoucher,
+} = require("../offlineVouchers");
+const {
+  AccessDeniedError,
+  BlacklistedError,
+  CoolDownError,
+  InvalidSignatureError,
+  KYCRequiredError,
+  PausedError,
+  QuotaError,
+  RecoveryError,
+  TransactionLimitError,
+  errorFromReason,
+  toCBDCError,
+} = require("./errors");
+
+// Roles of CBDCToken and CBDCTokenUpgradeable. UPGRADER_ROLE only exists on
+// the upgradeable variant.
+const ROLE_NAMES = [
+  "DEFAULT_ADMIN_ROLE",
+  "MINTER_ROLE",
+  "PAUSER_ROLE",
+  "BURNER_ROLE",
+  "POLICY_SETTER_ROLE",
+  "KYC_ADMIN_ROLE",
+  "COMPLIANCE_ROLE",
+  "SEIZURE_ROLE",
+  "UPGRADER_ROLE",
+];
+
+/**
+ * The bytes32 identifier of `roleName`, computed locally so it also works for
+ * roles a deployment has no getter for.
+ */
+function roleHash(roleName) {
+  if (!ROLE_NAMES.includes(roleName)) {
+    throw new Error(`Unknown role ${roleName}`);
+  }
+  return roleName === "DEFAULT_ADMIN_ROLE"
+    ? ethers.constants.HashZero
+    : ethers.utils.id(roleName);
+}
+
+/**
+ * Accepts a reason code either as bytes32 hex or as a short string such as
+ * "ISSUANCE".
+ */
+function toReasonCode(reasonCode) {
+  return ethers.utils.isHexString(reasonCode, 32)
+    ? reasonCode
+    : ethers.utils.formatBytes32String(reasonCode);
+}
+
+// Keeps the first error for each revert reason, so a simulated revert does not
+// repeat a failure an explicit check already found.
+function addIssue(issues, issue) {
+  if (!issues.some(({ reason }) => reason === issue.reason)) {
+    issues.push(issue);
+  }
+  return issues;
+}
+
+/**
+ * Wraps a CBDCToken contract connected to a signer. Calls are grouped by the
+ * role that may make them (`issuance`, `compliance`, `policy`), plus
+ * `institution` for intermediary banks, lost-key `recovery` and `offline`
+ * settlement, which anyone can submit. Every revert is rethrown as
+ * a typed CBDCError, and role-gated calls check the signer's role before
+ * sending.
+ */
+class CBDCClient {
+  /**
+   * @param {ethers.Contract} cbdcToken CBDCToken or CBDCTokenUpgradeable
+   */
+  constructor(cbdcToken) {
+    this.contract = cbdcToken;
+    this.issuance = new IssuanceAPI(this);
+    this.compliance = new ComplianceAPI(this);
+    this.policy = new PolicyAPI(this);
+    this.institution = new InstitutionAPI(this);
+    this.recovery = new RecoveryAPI(this);
+    this.offline = new OfflineSettlementAPI(this);
+  }
+
+  /** Returns a client for the same token acting as `signer`. */
+  connect(signer) {
+    return new CBDCClient(this.contract.connect(signer));
+  }
+
+  async signerAddress() {
+    return this.contract.signer.getAddress();
+  }
+
+  /** Names of the roles `account` holds, e.g. `["MINTER_ROLE"]`. */
+  async rolesOf(account) {
+    const held = await Promise.all(
+      ROLE_NAMES.map((roleName) =>
+        this.contract.hasRole(roleHash(roleName), account)
+      )
+    );
+    return ROLE_NAMES.filter((roleName, i) => held[i]);
+  }
+
+  /**
+   * Throws AccessDeniedError with the contract's own message unless the
+   * signer holds `roleName`.
+   */
+  async requireRole(roleName) {
+    const account = await this.signerAddress();
+    const role = roleHash(roleName);
+    if (!(await this.contract.hasRole(role, account))) {
+      throw new AccessDeniedError(
+        `AccessControl: account ${account.toLowerCase()} is missing role ${role}`,
+        { account, role }
+      );
+    }
+  }
+
+  /**
+   * Sends a contract call and waits for its receipt. `roleName` is checked
+   * first when given.
+   */
+  async send(roleName, method, args) {
+    if (roleName !== undefined) {
+      await this.requireRole(roleName);
+    }
+    try {
+      const tx = await this.contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw toCBDCError(error);
+    }
+  }
+
+  // Runs a call with eth_call from `from` and returns the typed error it
+  // would revert with, if any.
+  async simulate(from, method, args) {
+    try {
+      await this.contract
+        .connect(this.contract.provider)
+        .callStatic[method](...args, { from });
+      return undefined;
+    } catch (error) {
+      return toCBDCError(error);
+    }
+  }
+
+  /**
+   * Checks whether `from` can send `amount` to `to` right now and returns
+   * every problem found as typed errors; an empty array means the transfer
+   * is expected to succeed. Pause, blacklist, KYC, cool-down and
+   * maxTransactionAmount are checked individually, tier, velocity and
+   * balance limits by simulating the transfer.
+   */
+  async checkTransfer(from, to, amount) {
+    const token = this.contract;
+    const [
+      paused,
+      fromBlacklisted,
+      toBlacklisted,
+      fromVerified,
+      toVerified,
+      lastTransactionTime,
+      coolDown,
+      maxTransactionAmount,
+      block,
+    ] = await Promise.all([
+      token.paused(),
+      token.isBlacklisted(from),
+      token.isBlacklisted(to),
+      token.isKYCVerified(from),
+      token.isKYCVerified(to),
+      token.lastTransactionTime(from),
+      token.transactionCoolDown(),
+      token.maxTransactionAmount(),
+      token.provider.getBlock("latest"),
+    ]);
+
+    const issues = [];
+    if (paused) {
+      issues.push(new PausedError("Pausable: paused"));
+    }
+    if (fromBlacklisted || toBlacklisted) {
+      issues.push(
+        new BlacklistedError("Blacklisted address", {
+          account: fromBlacklisted ? from : to,
+        })
+      );
+    }
+    if (!fromVerified || !toVerified) {
+      issues.push(
+        new KYCRequiredError("KYC verification required", {
+          account: fromVerified ? to : from,
+        })
+      );
+    }
+    const retryAt = lastTransactionTime.add(coolDown);
+    if (retryAt.gt(block.timestamp)) {
+      issues.push(
+        new CoolDownError("Transaction too soon", {
+          retryAt: retryAt.toNumber(),
+        })
+      );
+    }
+    if (maxTransactionAmount.lt(amount)) {
+      issues.push(
+        new TransactionLimitError("Exceeds maximum transaction amount", {
+          limit: maxTransactionAmount,
+        })
+      );
+    }
+
+    const simulated = await this.simulate(from, "transfer", [to, amount]);
+    return simulated === undefined ? issues : addIssue(issues, simulated);
+  }
+
+  /**
+   * Transfers from the signer. Unless `preflight` is false, the first
+   * problem found by checkTransfer is thrown without sending.
+   */
+  async transfer(to, amount, { preflight = true } = {}) {
+    if (preflight) {
+      const [issue] = await this.checkTransfer(
+        await this.signerAddress(),
+        to,
+        amount
+      );
+      if (issue !== undefined) {
+        throw issue;
+      }
+    }
+    return this.send(undefined, "transfer", [to, amount]);
+  }
+
+  /** Balance of `account` split into its spendable and reserved parts. */
+  async balancesOf(account) {
+    const token = this.contract;
+    const [balance, available, offline, frozen, restricted, escrowed] =
+      await Promise.all([
+        token.balanceOf(account),
+        token.availableBalanceOf(account),
+        token.offlineBalanceOf(account),
+        token.frozenBalanceOf(account),
+        token.restrictedBalanceOf(account),
+        token.redemptionEscrowOf(account),
+      ]);
+    return { balance, available, offline, frozen, restricted, escrowed };
+  }
+}
+
+/** Issuance (MINTER_ROLE) and redemption settlement (BURNER_ROLE). */
+class IssuanceAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Returns the reasons a mint of `amount` to `to` by the signer would
+   * fail: the recipient's blacklist status, the minter allowance, the epoch
+   * ceiling and the supply cap.
+   */
+  async checkMint(to, amount) {
+    const token = this.client.contract;
+    const minter = await this.client.signerAddress();
+    const [blacklisted, allowance, epochAllowance, totalSupply, maxSupply] =
+      await Promise.all([
+        token.isBlacklisted(to),
+        token.mintAllowance(minter),
+        token.getEpochMintAllowance(),
+        token.totalSupply(),
+        token.MAX_SUPPLY(),
+      ]);
+    const issues = [];
+    if (blacklisted) {
+      issues.push(new BlacklistedError("Blacklisted address", { account: to }));
+    }
+    if (totalSupply.add(amount).gt(maxSupply)) {
+      issues.push(new QuotaError("Exceeds maximum supply"));
+    }
+    if (allowance.lt(amount)) {
+      issues.push(new QuotaError("Exceeds minter allowance", { allowance }));
+    }
+    if (epochAllowance.lt(amount)) {
+      issues.push(
+        new QuotaError("Exceeds epoch mint ceiling", {
+          allowance: epochAllowance,
+        })
+      );
+    }
+    return issues;
+  }
+
+  async mint(to, amount, reasonCode) {
+    await this.client.requireRole("MINTER_ROLE");
+    const [issue] = await this.checkMint(to, amount);
+    if (issue !== undefined) {
+      throw issue;
+    }
+    return this.client.send(undefined, "mint", [
+      to,
+      amount,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async mintRestricted(to, amount, category, expiresAt, reasonCode) {
+    return this.client.send("MINTER_ROLE", "mintRestricted", [
+      to,
+      amount,
+      toReasonCode(category),
+      expiresAt,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async settleRedemption(requestId, reasonCode) {
+    return this.client.send("BURNER_ROLE", "settleRedemption", [
+      requestId,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async rejectRedemption(requestId, reasonCode) {
+    return this.client.send("BURNER_ROLE", "rejectRedemption", [
+      requestId,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async mintAllowance(minter) {
+    return this.client.contract.mintAllowance(
+      minter || (await this.client.signerAddress())
+    );
+  }
+
+  async burnAllowance(burner) {
+    return this.client.contract.burnAllowance(
+      burner || (await this.client.signerAddress())
+    );
+  }
+}
+
+/**
+ * Blacklisting and freezes (COMPLIANCE_ROLE), seizures (SEIZURE_ROLE), KYC
+ * and the merchant registry (KYC_ADMIN_ROLE) and pausing (PAUSER_ROLE).
+ */
+class ComplianceAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async setBlacklistStatus(account, blacklisted) {
+    return this.client.send("COMPLIANCE_ROLE", "setBlacklistStatus", [
+      account,
+      blacklisted,
+    ]);
+  }
+
+  async freezeFunds(account, amount, reasonCode) {
+    return this.client.send("COMPLIANCE_ROLE", "freezeFunds", [
+      account,
+      amount,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async unfreezeFunds(account, amount, reasonCode) {
+    return this.client.send("COMPLIANCE_ROLE", "unfreezeFunds", [
+      account,
+      amount,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async seize(account, amount, reasonCode) {
+    return this.client.send("SEIZURE_ROLE", "seize", [
+      account,
+      amount,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  async setKYCStatus(account, verified, verificationLevel) {
+    return this.client.send("KYC_ADMIN_ROLE", "setKYCStatus", [
+      account,
+      verified,
+      verificationLevel,
+    ]);
+  }
+
+  async setMerchantCategory(merchant, category) {
+    return this.client.send("KYC_ADMIN_ROLE", "setMerchantCategory", [
+      merchant,
+      toReasonCode(category),
+    ]);
+  }
+
+  async pause() {
+    return this.client.send("PAUSER_ROLE", "pause", []);
+  }
+
+  async unpause() {
+    return this.client.send("PAUSER_ROLE", "unpause", []);
+  }
+
+  async isBlacklisted(account) {
+    return this.client.contract.isBlacklisted(account);
+  }
+
+  async getKYCStatus(account) {
+    return this.client.contract.getKYCStatus(account);
+  }
+}
+
+/** Transaction policies, tiers and fees (POLICY_SETTER_ROLE). */
+class PolicyAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /** Current global policy values. */
+  async get() {
+    const token = this.client.contract;
+    const names = [
+      "transactionCoolDown",
+      "maxTransactionAmount",
+      "kycValidityPeriod",
+      "velocityWindow",
+      "maxTransactionsPerWindow",
+      "maxVolumePerWindow",
+      "offlineLockPeriod",
+      "redemptionExpiryPeriod",
+      "recoveryDelay",
+      "mintEpochLength",
+      "maxMintPerEpoch",
+      "feeCollector",
+    ];
+    const values = await Promise.all(names.map((name) => token[name]()));
+    return Object.fromEntries(names.map((name, i) => [name, values[i]]));
+  }
+
+  async setTransactionCoolDown(coolDown) {
+    return this.client.send("POLICY_SETTER_ROLE", "setTransactionCoolDown", [
+      coolDown,
+    ]);
+  }
+
+  async setMaxTransactionAmount(amount) {
+    return this.client.send("POLICY_SETTER_ROLE", "setMaxTransactionAmount", [
+      amount,
+    ]);
+  }
+
+  async setKYCValidityPeriod(period) {
+    return this.client.send("POLICY_SETTER_ROLE", "setKYCValidityPeriod", [
+      period,
+    ]);
+  }
+
+  async setVelocityLimit(window, maxTransactions, maxVolume) {
+    return this.client.send("POLICY_SETTER_ROLE", "setVelocityLimit", [
+      window,
+      maxTransactions,
+      maxVolume,
+    ]);
+  }
+
+  async setPolicyTier(
+    verificationLevel,
+    {
+      maxTransactionAmount = 0,
+      dailyVolumeLimit = 0,
+      monthlyVolumeLimit = 0,
+      maxBalance = 0,
+    }
+  ) {
+    return this.client.send("POLICY_SETTER_ROLE", "setPolicyTier", [
+      verificationLevel,
+      maxTransactionAmount,
+      dailyVolumeLimit,
+      monthlyVolumeLimit,
+      maxBalance,
+    ]);
+  }
+
+  async setMintCeiling(epochLength, maxPerEpoch) {
+    return this.client.send("POLICY_SETTER_ROLE", "setMintCeiling", [
+      epochLength,
+      maxPerEpoch,
+    ]);
+  }
+
+  async setOfflineLockPeriod(period) {
+    return this.client.send("POLICY_SETTER_ROLE", "setOfflineLockPeriod", [
+      period,
+    ]);
+  }
+
+  async setRecoveryDelay(delay) {
+    return this.client.send("POLICY_SETTER_ROLE", "setRecoveryDelay", [delay]);
+  }
+
+  async setFeeSchedule(
+    feeType,
+    { flatFee = 0, feeBps = 0, minFee = 0, maxFee = 0 }
+  ) {
+    return this.client.send("POLICY_SETTER_ROLE", "setFeeSchedule", [
+      feeType,
+      flatFee,
+      feeBps,
+      minFee,
+      maxFee,
+    ]);
+  }
+
+  async setFeeCollector(collector) {
+    return this.client.send("POLICY_SETTER_ROLE", "setFeeCollector", [
+      collector,
+    ]);
+  }
+
+  async setFeeExemption(account, exempt) {
+    return this.client.send("POLICY_SETTER_ROLE", "setFeeExemption", [
+      account,
+      exempt,
+    ]);
+  }
+}
+
+/**
+ * Two-tier distribution. The central bank (DEFAULT_ADMIN_ROLE) registers and
+ * suspends institutions; an active institution issues within its delegated
+ * limit and manages KYC and blacklisting of its own customers, which must
+ * approve it before they are onboarded.
+ */
+class InstitutionAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async register(institution, name, issuanceLimit) {
+    return this.client.send("DEFAULT_ADMIN_ROLE", "registerInstitution", [
+      institution,
+      toReasonCode(name),
+      issuanceLimit,
+    ]);
+  }
+
+  async setStatus(institution, active) {
+    return this.client.send("DEFAULT_ADMIN_ROLE", "setInstitutionStatus", [
+      institution,
+      active,
+    ]);
+  }
+
+  /** Registration, status, customer count and aggregate customer balance. */
+  async get(institution) {
+    return this.client.contract.getInstitution(
+      institution || (await this.client.signerAddress())
+    );
+  }
+
+  async institutionOf(customer) {
+    return this.client.contract.institutionOf(customer);
+  }
+
+  /** Throws AccessDeniedError unless the signer is an active institution. */
+  async requireActive() {
+    const account = await this.client.signerAddress();
+    if (!(await this.client.contract.getInstitution(account)).active) {
+      throw new AccessDeniedError("Not an active institution", { account });
+    }
+  }
+
+  /**
+   * Issues to the institution itself or one of its customers, after the
+   * same checks as IssuanceAPI.checkMint.
+   */
+  async mint(to, amount, reasonCode) {
+    await this.requireActive();
+    // Compare checksummed addresses, whatever case `to` was given in
+    const institution = ethers.utils.getAddress(
+      await this.client.signerAddress()
+    );
+    const recipient = ethers.utils.getAddress(to);
+    if (
+      recipient !== institution &&
+      ethers.utils.getAddress(await this.institutionOf(recipient)) !==
+        institution
+    ) {
+      throw new AccessDeniedError("Not a customer of this institution", {
+        account: to,
+      });
+    }
+    const [issue] = await this.client.issuance.checkMint(to, amount);
+    if (issue !== undefined) {
+      throw issue;
+    }
+    return this.client.send(undefined, "mint", [
+      to,
+      amount,
+      toReasonCode(reasonCode),
+    ]);
+  }
+
+  /**
+   * Consents to being onboarded by `institution`, or to `address(0)` to
+   * withdraw. KYC admins pass the holder they approve for as `customer`.
+   */
+  async approveOnboarding(institution, customer) {
+    return this.client.send(undefined, "approveOnboarding", [
+      customer || (await this.client.signerAddress()),
+      institution,
+    ]);
+  }
+
+  /** The institution `customer` approved, or undefined. */
+  async approvedInstitutionOf(customer) {
+    const institution = await this.client.contract.approvedInstitutionOf(
+      customer
+    );
+    return institution === ethers.constants.AddressZero
+      ? undefined
+      : institution;
+  }
+
+  async onboardCustomer(customer, verificationLevel) {
+    await this.requireActive();
+    return this.client.send(undefined, "onboardCustomer", [
+      customer,
+      verificationLevel,
+    ]);
+  }
+
+  async offboardCustomer(customer) {
+    await this.requireActive();
+    return this.client.send(undefined, "offboardCustomer", [customer]);
+  }
+
+  async setCustomerKYCStatus(customer, verified, verificationLevel) {
+    await this.requireActive();
+    return this.client.send(undefined, "setCustomerKYCStatus", [
+      customer,
+      verified,
+      verificationLevel,
+    ]);
+  }
+
+  async setCustomerBlacklistStatus(customer, blacklisted) {
+    await this.requireActive();
+    return this.client.send(undefined, "setCustomerBlacklistStatus", [
+      customer,
+      blacklisted,
+    ]);
+  }
+}
+
+/**
+ * Lost-key recovery. Holders appoint guardians; guardians, or the holder's
+ * institution together with the KYC admin when there are none, approve the
+ * move to a new address, which anyone can execute after the waiting period
+ * unless the original key cancels it.
+ */
+class RecoveryAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async setGuardians(guardians, threshold) {
+    return this.client.send(undefined, "setRecoveryGuardians", [
+      guardians,
+      threshold,
+    ]);
+  }
+
+  async getGuardians(account) {
+    return this.client.contract.getRecoveryGuardians(
+      account || (await this.client.signerAddress())
+    );
+  }
+
+  /** The pending request: `newAccount`, `approvals` and `executableAt`. */
+  async getRequest(account) {
+    return this.client.contract.getRecoveryRequest(account);
+  }
+
+  async initiate(account, newAccount) {
+    return this.client.send(undefined, "initiateRecovery", [
+      account,
+      newAccount,
+    ]);
+  }
+
+  async approve(account) {
+    return this.client.send(undefined, "approveRecovery", [account]);
+  }
+
+  /** Cancels the pending request against the signer's own account. */
+  async cancel() {
+    return this.client.send(undefined, "cancelRecovery", []);
+  }
+
+  /**
+   * Executes an approved request, throwing RecoveryError without sending
+   * while the waiting period is still running.
+   */
+  async execute(account) {
+    const [{ executableAt }, { timestamp }] = await Promise.all([
+      this.getRequest(account),
+      this.client.contract.provider.getBlock("latest"),
+    ]);
+    if (executableAt.isZero() || executableAt.gt(timestamp)) {
+      throw new RecoveryError("Recovery not ready", {
+        executableAt: executableAt.isZero()
+          ? undefined
+          : executableAt.toNumber(),
+      });
+    }
+    return this.client.send(undefined, "executeRecovery", [account]);
+  }
+
+  /** The address `account` was recovered to, or undefined. */
+  async recoveredAccountOf(account) {
+    const recovered = await this.client.contract.recoveredAccountOf(account);
+    return recovered === ethers.constants.AddressZero ? undefined : recovered;
+  }
+
+  /**
+   * Stops honouring vouchers the old key of `account` signed; the signer must
+   * hold the recovered funds.
+   */
+  async revokeVouchers(account) {
+    return this.client.send(undefined, "revokeRecoveredVouchers", [account]);
+  }
+}
+
+/**
+ * Offline voucher signing and settlement. Settlement needs no role: the
+ * submitter acts as relayer and receives the relayer fee.
+ */
+class OfflineSettlementAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async domain() {
+    if (this._domain === undefined) {
+      this._domain = await getVoucherDomain(this.client.contract);
+    }
+    return this._domain;
+  }
+
+  /** Signs `voucher` with the payer's signer and returns `{ voucher, signature }`. */
+  async signVoucher(payer, voucher) {
+    return {
+      voucher,
+      signature: await signVoucher(payer, await this.domain(), voucher),
+    };
+  }
+
+  /**
+   * Returns the reasons a signed voucher would not settle: a bad signature,
+   * expiry, a used nonce, or any transfer policy it would violate.
+   */
+  async checkVoucher({ voucher, signature }) {
+    const { timestamp } = await this.client.contract.provider.getBlock(
+      "latest"
+    );
+    const verification = verifyVoucher(
+      await this.domain(),
+      voucher,
+      signature,
+      timestamp
+    );
+    const issues = [];
+    if (!verification.valid) {
+      issues.push(new InvalidSignatureError(verification.reason));
+    }
+    if (await this.client.contract.isNonceUsed(voucher.from, voucher.nonce)) {
+      issues.push(new InvalidSignatureError("Nonce already used"));
+    }
+    const simulated = await this.client.simulate(
+      await this.client.signerAddress(),
+      "processOfflineTransaction",
+      [
+        voucher.from,
+        voucher.to,
+        voucher.amount,
+        voucher.nonce,
+        voucher.expirationTimestamp,
+        signature,
+      ]
+    );
+    return simulated === undefined ? issues : addIssue(issues, simulated);
+  }
+
+  async settle(signedVoucher, { preflight = true } = {}) {
+    if (preflight) {
+      const [issue] = await this.checkVoucher(signedVoucher);
+      if (issue !== undefined) {
+        throw issue;
+      }
+    }
+    const { voucher, signature } = signedVoucher;
+    return this.client.send(undefined, "processOfflineTransaction", [
+      voucher.from,
+      voucher.to,
+      voucher.amount,
+      voucher.nonce,
+      voucher.expirationTimestamp,
+      signature,
+    ]);
+  }
+
+  /**
+   * Settles a batch. Atomic batches revert as a whole; otherwise failing
+   * vouchers are skipped and `results[i]` holds `{ settled, error }` for
+   * voucher `i`.
+   */
+  async settleBatch(signedVouchers, { atomic = true } = {}) {
+    const args = toBulkArguments(signedVouchers);
+    if (atomic) {
+      const receipt = await this.client.send(
+        undefined,
+        "processBulkOfflineTransactions",
+        args
+      );
+      return {
+        receipt,
+        results: signedVouchers.map(() => ({ settled: true })),
+      };
+    }
+
+    const receipt = await this.client.send(
+      undefined,
+      "tryProcessBulkOfflineTransactions",
+      args
+    );
+    const results = signedVouchers.map(() => ({ settled: true }));
+    for (const event of receipt.events || []) {
+      if (event.event === "OfflineTransactionFailed") {
+        results[event.args.index.toNumber()] = {
+          settled: false,
+          error: errorFromReason(event.args.reason),
+        };
+      }
+    }
+    return { receipt, results };
+  }
+}
+
+module.exports = {
+  ROLE_NAMES,
+  roleHash,
+  CBDCClient,
+  IssuanceAPI,
+  ComplianceAPI,
+  PolicyAPI,
+  InstitutionAPI,
+  RecoveryAPI,
+  OfflineSettlementAPI,
+  toReasonCode,
+};
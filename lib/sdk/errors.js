@@ -0,0 +1,193 @@
+/**
+ * Base class of every error raised by the SDK. `reason` is the contract's
+ * revert string, or the one it would revert with for pre-flight failures.
+ */
+class CBDCError extends Error {
+  constructor(reason, { cause, ...details } = {}) {
+    super(reason);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+    Object.assign(this, details);
+  }
+}
+
+class PausedError extends CBDCError {}
+
+class BlacklistedError extends CBDCError {}
+
+class KYCRequiredError extends CBDCError {}
+
+/** The sender is still in its cool-down; `retryAt` is when it ends. */
+class CoolDownError extends CBDCError {}
+
+/** Per-transaction, tier, volume and velocity limits. */
+class TransactionLimitError extends CBDCError {}
+
+class InsufficientBalanceError extends CBDCError {}
+
+/** Minter and burner allowances, the epoch mint ceiling and the supply cap. */
+class QuotaError extends CBDCError {}
+
+/**
+ * The caller lacks a role, or an institution acted outside its customers;
+ * `account` and `role` name the missing grant.
+ */
+class AccessDeniedError extends CBDCError {}
+
+/** Expired, forged or already redeemed offline vouchers and permits. */
+class InvalidSignatureError extends CBDCError {}
+
+class RedemptionError extends CBDCError {}
+
+/** Lost-key recovery requests that cannot be approved or executed (yet). */
+class RecoveryError extends CBDCError {}
+
+/** Invalid arguments, such as a malformed fee schedule. */
+class InvalidArgumentError extends CBDCError {}
+
+const ERROR_CLASSES_BY_REASON = {
+  "Pausable: paused": PausedError,
+  "Blacklisted address": BlacklistedError,
+  "KYC verification required": KYCRequiredError,
+  "Transaction too soon": CoolDownError,
+  "Exceeds maximum transaction amount": TransactionLimitError,
+  "Exceeds tier transaction limit": TransactionLimitError,
+  "Exceeds daily volume limit": TransactionLimitError,
+  "Exceeds monthly volume limit": TransactionLimitError,
+  "Exceeds tier holding limit": TransactionLimitError,
+  "Exceeds transaction velocity limit": TransactionLimitError,
+  "Exceeds volume velocity limit": TransactionLimitError,
+  "Insufficient unlocked balance": InsufficientBalanceError,
+  "ERC20: transfer amount exceeds balance": InsufficientBalanceError,
+  "ERC20: insufficient allowance": InsufficientBalanceError,
+  "Freeze exceeds balance": InsufficientBalanceError,
+  "Unfreeze exceeds frozen amount": InsufficientBalanceError,
+  "Offline funds still locked": InsufficientBalanceError,
+  "Exceeds minter allowance": QuotaError,
+  "Exceeds burner allowance": QuotaError,
+  "Exceeds epoch mint ceiling": QuotaError,
+  "Exceeds maximum supply": QuotaError,
+  "Not an active institution": AccessDeniedError,
+  "Not a customer of this institution": AccessDeniedError,
+  "Blacklisted by the central bank": AccessDeniedError,
+  "Onboarding not approved": AccessDeniedError,
+  "Not the customer or KYC admin": AccessDeniedError,
+  "Transaction expired": InvalidSignatureError,
+  "Invalid signature": InvalidSignatureError,
+  "Nonce already used": InvalidSignatureError,
+  "Permit expired": InvalidSignatureError,
+  "Redemption not pending": RedemptionError,
+  "Redemption expired": RedemptionError,
+  "Redemption not expired": RedemptionError,
+  "Invalid redemption amount": RedemptionError,
+  "Redemption pending": RedemptionError,
+  "Not a guardian": AccessDeniedError,
+  "Not a recovery agent": AccessDeniedError,
+  "No pending recovery": RecoveryError,
+  "Already approved": RecoveryError,
+  "Recovery already approved": RecoveryError,
+  "Recovery not ready": RecoveryError,
+  "Account already recovered": RecoveryError,
+  "Institutions cannot be recovered": RecoveryError,
+  "Exceeds migrated offline funds": InsufficientBalanceError,
+  "Voucher not honoured after recovery": InvalidSignatureError,
+  "Not the recovery address": AccessDeniedError,
+  "Invalid guardians": InvalidArgumentError,
+  "Invalid recovery address": InvalidArgumentError,
+  "Already a customer of an institution": InvalidArgumentError,
+  "Verified by the central bank": InvalidArgumentError,
+  "Custody account not set": InvalidArgumentError,
+  "Input arrays length mismatch": InvalidArgumentError,
+  "Invalid expiry": InvalidArgumentError,
+  "Invalid fee schedule": InvalidArgumentError,
+  "Invalid holding fee": InvalidArgumentError,
+  "Invalid institution": InvalidArgumentError,
+  "Institution already registered": InvalidArgumentError,
+  "Invalid customer": InvalidArgumentError,
+  "Invalid interest rate": InvalidArgumentError,
+  "Invalid merchant category": InvalidArgumentError,
+  "Too many restricted balances": InvalidArgumentError,
+};
+
+const ACCESS_CONTROL_REASON =
+  /^AccessControl: account (0x[0-9a-fA-F]{40}) is missing role (0x[0-9a-fA-F]{64})$/;
+
+// Hardhat and Geth-style JSON-RPC nodes report revert strings in the message.
+const REVERT_MESSAGE_PATTERNS = [
+  /reverted with reason string ['"](.*?)['"]/,
+  /execution reverted: (.*)$/,
+];
+
+/**
+ * Extracts the revert string from an ethers error, or returns undefined if
+ * the error is not a contract revert.
+ */
+function getRevertReason(error) {
+  if (error === undefined || error === null) {
+    return undefined;
+  }
+  if (error.code === "CALL_EXCEPTION" && typeof error.reason === "string") {
+    return error.reason.replace(/^execution reverted: /, "");
+  }
+  if (typeof error.message === "string") {
+    for (const pattern of REVERT_MESSAGE_PATTERNS) {
+      const match = error.message.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  // ethers wraps provider errors, e.g. in UNPREDICTABLE_GAS_LIMIT
+  return getRevertReason(error.error);
+}
+
+/**
+ * Builds the typed error for a revert string. Unknown reasons become a plain
+ * CBDCError.
+ */
+function errorFromReason(reason, details = {}) {
+  const accessControl = reason.match(ACCESS_CONTROL_REASON);
+  if (accessControl) {
+    return new AccessDeniedError(reason, {
+      account: accessControl[1],
+      role: accessControl[2],
+      ...details,
+    });
+  }
+  const ErrorClass = ERROR_CLASSES_BY_REASON[reason] || CBDCError;
+  return new ErrorClass(reason, details);
+}
+
+/**
+ * Converts an ethers error into a typed CBDCError. Errors that are not
+ * contract reverts, such as network failures, are returned unchanged.
+ */
+function toCBDCError(error) {
+  if (error instanceof CBDCError) {
+    return error;
+  }
+  const reason = getRevertReason(error);
+  return reason === undefined
+    ? error
+    : errorFromReason(reason, { cause: error });
+}
+
+module.exports = {
+  CBDCError,
+  PausedError,
+  BlacklistedError,
+  KYCRequiredError,
+  CoolDownError,
+  TransactionLimitError,
+  InsufficientBalanceError,
+  QuotaError,
+  AccessDeniedError,
+  InvalidSignatureError,
+  RedemptionError,
+  RecoveryError,
+  InvalidArgumentError,
+  getRevertReason,
+  errorFromReason,
+  toCBDCError,
+};
@@ -0,0 +1,4 @@
+const client = require("./client");
+const errors = require("./errors");
+
+module.exports = { ...client, ...errors };
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const STATEMENT_VERSION = 1;
+const KEY_DERIVATION_INFO = "CBDC statement key";
+
+/**
+ * Creates a viewing key pair. Viewing keys are secp256k1 keys that are
+ * separate from account keys: holding one lets you read statements, not move
+ * funds.
+ */
+function generateViewingKey() {
+  const signingKey = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+  return {
+    privateKey: signingKey.privateKey,
+    publicKey: ethers.utils.computePublicKey(signingKey.publicKey, true),
+  };
+}
+
+/**
+ * Reads balances and `Transfer`/`OfflineTransactionProcessed` history from a
+ * CBDCToken deployment and returns one plaintext statement per address that
+ * appears in it, keyed by checksummed address. Balances are taken at
+ * `toBlock`.
+ */
+async function collectStatements(cbdcToken, { fromBlock = 0, toBlock } = {}) {
+  const blockNumber =
+    toBlock === undefined ? await cbdcToken.provider.getBlockNumber() : toBlock;
+  const { chainId } = await cbdcToken.provider.getNetwork();
+  const [transfers, offlineTransactions] = await Promise.all([
+    cbdcToken.queryFilter(cbdcToken.filters.Transfer(), fromBlock, blockNumber),
+    cbdcToken.queryFilter(
+      cbdcToken.filters.OfflineTransactionProcessed(),
+      fromBlock,
+      blockNumber
+    ),
+  ]);
+
+  const entriesByHolder = new Map();
+  const addEntry = (holder, entry) => {
+    if (holder === ethers.constants.AddressZero) {
+      return;
+    }
+    if (!entriesByHolder.has(holder)) {
+      entriesByHolder.set(holder, []);
+    }
+    const entries = entriesByHolder.get(holder);
+    if (!entries.includes(entry)) {
+      entries.push(entry);
+    }
+  };
+  for (const event of [...transfers, ...offlineTransactions]) {
+    const entry = {
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      from: event.args.from,
+      to: event.args.to,
+    };
+    if (event.event === "Transfer") {
+      entry.amount = event.args.value.toString();
+    } else {
+      entry.amount = event.args.amount.toString();
+      entry.transactionId = event.args.transactionId;
+    }
+    addEntry(entry.from, entry);
+    addEntry(entry.to, entry);
+  }
+
+  const statements = {};
+  for (const [holder, entries] of entriesByHolder) {
+    entries.sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    const overrides = { blockTag: blockNumber };
+    statements[holder] = {
+      holder,
+      chainId,
+      token: cbdcToken.address,
+      blockNumber,
+      balance: (await cbdcToken.balanceOf(holder, overrides)).toString(),
+      availableBalance: (
+        await cbdcToken.availableBalanceOf(holder, overrides)
+      ).toString(),
+      entries,
+    };
+  }
+  return statements;
+}
+
+// The public header is authenticated together with the ciphertext, so a
+// statement cannot be relabelled as another holder's.
+function statementHeader({ holder, chainId, token, blockNumber }) {
+  return { version: STATEMENT_VERSION, holder, chainId, token, blockNumber };
+}
+
+function aesEncrypt(key, plaintext, additionalData) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (additionalData !== undefined) {
+    cipher.setAAD(additionalData);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: ethers.utils.hexlify(iv),
+    tag: ethers.utils.hexlify(cipher.getAuthTag()),
+    ciphertext: ethers.utils.hexlify(ciphertext),
+  };
+}
+
+function aesDecrypt(key, { iv, tag, ciphertext }, additionalData) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    ethers.utils.arrayify(iv)
+  );
+  if (additionalData !== undefined) {
+    decipher.setAAD(additionalData);
+  }
+  decipher.setAuthTag(ethers.utils.arrayify(tag));
+  return Buffer.concat([
+    decipher.update(ethers.utils.arrayify(ciphertext)),
+    decipher.final(),
+  ]);
+}
+
+function deriveKeyEncryptionKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      ethers.utils.arrayify(sharedSecret),
+      ethers.utils.arrayify(ephemeralPublicKey),
+      KEY_DERIVATION_INFO,
+      32
+    )
+  );
+}
+
+// ECIES: the content key is encrypted under a key agreed between a fresh
+// ephemeral key and the recipient's viewing key.
+function wrapContentKey(contentKey, recipientPublicKey) {
+  const publicKey = ethers.utils.computePublicKey(recipientPublicKey, true);
+  const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+  const ephemeralPublicKey = ethers.utils.computePublicKey(
+    ephemeral.publicKey,
+    true
+  );
+  const keyEncryptionKey = deriveKeyEncryptionKey(
+    ephemeral.computeSharedSecret(publicKey),
+    ephemeralPublicKey
+  );
+  return {
+    publicKey,
+    ephemeralPublicKey,
+    ...aesEncrypt(keyEncryptionKey, contentKey),
+  };
+}
+
+function unwrapContentKey(recipient, privateKey) {
+  const keyEncryptionKey = deriveKeyEncryptionKey(
+    new ethers.utils.SigningKey(privateKey).computeSharedSecret(
+      recipient.ephemeralPublicKey
+    ),
+    recipient.ephemeralPublicKey
+  );
+  return aesDecrypt(keyEncryptionKey, recipient);
+}
+
+/**
+ * Encrypts a statement so that it can only be read with the holder's viewing
+ * key or the auditor key. Without a holder viewing key the statement is only
+ * readable by the auditor.
+ */
+function encryptStatement(statement, { viewingPublicKey, auditorPublicKey }) {
+  const header = statementHeader(statement);
+  const contentKey = crypto.randomBytes(32);
+  const recipients = [auditorPublicKey];
+  if (viewingPublicKey !== undefined) {
+    recipients.unshift(viewingPublicKey);
+  }
+  return {
+    ...header,
+    ...aesEncrypt(
+      contentKey,
+      Buffer.from(JSON.stringify(statement)),
+      Buffer.from(JSON.stringify(header))
+    ),
+    recipients: recipients.map((publicKey) =>
+      wrapContentKey(contentKey, publicKey)
+    ),
+  };
+}
+
+/**
+ * Decrypts a statement with a holder viewing key or the auditor key. Throws if
+ * the key is not a recipient or the statement has been tampered with.
+ */
+function decryptStatement(envelope, privateKey) {
+  const publicKey = ethers.utils.computePublicKey(privateKey, true);
+  const recipient = envelope.recipients.find(
+    (candidate) => candidate.publicKey === publicKey
+  );
+  if (recipient === undefined) {
+    throw new Error("Statement is not readable with this viewing key");
+  }
+  const header = statementHeader(envelope);
+  let plaintext;
+  try {
+    plaintext = aesDecrypt(
+      unwrapContentKey(recipient, privateKey),
+      envelope,
+      Buffer.from(JSON.stringify(header))
+    );
+  } catch (error) {
+    throw new Error("Statement failed authentication");
+  }
+  return JSON.parse(plaintext.toString());
+}
+
+/**
+ * Collects and encrypts the statement of every address in the token's
+ * history. `viewingKeys` maps holder addresses to their viewing public keys;
+ * holders without one get a statement only the auditor can read.
+ */
+async function exportStatements(
+  cbdcToken,
+  { viewingKeys = {}, auditorPublicKey, fromBlock, toBlock }
+) {
+  const keysByHolder = Object.fromEntries(
+    Object.entries(viewingKeys).map(([holder, publicKey]) => [
+      ethers.utils.getAddress(holder),
+      publicKey,
+    ])
+  );
+  const statements = await collectStatements(cbdcToken, {
+    fromBlock,
+    toBlock,
+  });
+  return Object.values(statements).map((statement) =>
+    encryptStatement(statement, {
+      viewingPublicKey: keysByHolder[statement.holder],
+      auditorPublicKey,
+    })
+  );
+}
+
+module.exports = {
+  STATEMENT_VERSION,
+  generateViewingKey,
+  collectStatements,
+  encryptStatement,
+  decryptStatement,
+  exportStatements,
+};
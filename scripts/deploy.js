@@ -0,0 +1,108 @@
+const path = require("path");
+const hre = require("hardhat");
+const {
+  deploy,
+  DeploymentResultType,
+} = require("@nomicfoundation/ignition-core");
+const {
+  HardhatArtifactResolver,
+  errorDeploymentResultToExceptionMessage,
+  readDeploymentParameters,
+} = require("@nomicfoundation/hardhat-ignition/helpers");
+const CBDCTokenModule = require("../ignition/modules/CBDCToken");
+
+/**
+ * Runs an Ignition module on the network `hre` is connected to and returns the
+ * addresses of its deployed contracts, keyed by future id.
+ *
+ * The hardhat-ignition plugin cannot be loaded next to hardhat-toolbox 2 (both
+ * define a `verify` task), so modules are executed through ignition-core.
+ * Passing a `deploymentDir` journals the deployment so that an interrupted
+ * run can be resumed.
+ */
+async function runIgnitionModule(
+  hre,
+  ignitionModule,
+  deploymentParameters,
+  { deploymentDir } = {}
+) {
+  const accounts = await hre.network.provider.request({
+    method: "eth_accounts",
+  });
+
+  const result = await deploy({
+    provider: hre.network.provider,
+    artifactResolver: new HardhatArtifactResolver(hre),
+    ignitionModule,
+    deploymentParameters,
+    accounts,
+    deploymentDir,
+  });
+
+  if (result.type !== DeploymentResultType.SUCCESSFUL_DEPLOYMENT) {
+    throw new Error(errorDeploymentResultToExceptionMessage(result));
+  }
+
+  return Object.fromEntries(
+    Object.entries(result.contracts).map(([id, { address }]) => [id, address])
+  );
+}
+
+/**
+ * Runs the CBDCToken Ignition module and returns the deployed token.
+ */
+async function deployCBDCToken(hre, deploymentParameters, options) {
+  const addresses = await runIgnitionModule(
+    hre,
+    CBDCTokenModule,
+    deploymentParameters,
+    options
+  );
+  return hre.ethers.getContractAt(
+    "CBDCToken",
+    addresses["CBDCTokenModule#CBDCToken"]
+  );
+}
+
+/**
+ * Returns the journal directory for deployments to live networks. Deployments
+ * to the in-process Hardhat network are not journaled.
+ */
+async function getDeploymentDir(hre) {
+  if (hre.network.name === "hardhat") {
+    return undefined;
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return path.join(
+    hre.config.paths.root,
+    "ignition",
+    "deployments",
+    `chain-${chainId}`
+  );
+}
+
+// Usage: CBDC_DEPLOY_PARAMETERS=<parameters.json> npx hardhat run scripts/deploy.js --network <network>
+async function main() {
+  const parametersPath = process.env.CBDC_DEPLOY_PARAMETERS;
+  if (parametersPath === undefined) {
+    throw new Error(
+      "Set CBDC_DEPLOY_PARAMETERS to an Ignition parameters file"
+    );
+  }
+
+  const cbdcToken = await deployCBDCToken(
+    hre,
+    await readDeploymentParameters(parametersPath),
+    { deploymentDir: await getDeploymentDir(hre) }
+  );
+  console.log(`CBDCToken deployed to ${cbdcToken.address}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { runIgnitionModule, deployCBDCToken, getDeploymentDir };
@@ -0,0 +1,56 @@
+const hre = require("hardhat");
+const {
+  readDeploymentParameters,
+} = require("@nomicfoundation/hardhat-ignition/helpers");
+const CBDCGovernanceModule = require("../ignition/modules/CBDCGovernance");
+const { runIgnitionModule, getDeploymentDir } = require("./deploy");
+
+/**
+ * Runs the CBDCGovernance Ignition module and returns the deployed token and
+ * the governor holding all of its roles.
+ */
+async function deployCBDCGovernance(hre, deploymentParameters, options) {
+  const addresses = await runIgnitionModule(
+    hre,
+    CBDCGovernanceModule,
+    deploymentParameters,
+    options
+  );
+  return {
+    cbdcToken: await hre.ethers.getContractAt(
+      "CBDCToken",
+      addresses["CBDCGovernanceModule#CBDCToken"]
+    ),
+    governor: await hre.ethers.getContractAt(
+      "CBDCGovernor",
+      addresses["CBDCGovernanceModule#CBDCGovernor"]
+    ),
+  };
+}
+
+// Usage: CBDC_DEPLOY_PARAMETERS=<parameters.json> npx hardhat run scripts/deployGovernance.js --network <network>
+async function main() {
+  const parametersPath = process.env.CBDC_DEPLOY_PARAMETERS;
+  if (parametersPath === undefined) {
+    throw new Error(
+      "Set CBDC_DEPLOY_PARAMETERS to an Ignition parameters file"
+    );
+  }
+
+  const { cbdcToken, governor } = await deployCBDCGovernance(
+    hre,
+    await readDeploymentParameters(parametersPath),
+    { deploymentDir: await getDeploymentDir(hre) }
+  );
+  console.log(`CBDCToken deployed to ${cbdcToken.address}`);
+  console.log(`CBDCGovernor deployed to ${governor.address}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { deployCBDCGovernance };
@@ -0,0 +1,27 @@
+// Contracts CBDCToken and CBDCTokenUpgradeable delegate to, keyed like the
+// fields of their Modules constructor argument.
+const MODULE_CONTRACTS = {
+  payments: "CBDCPaymentsModule",
+  offline: "CBDCOfflineModule",
+  compliance: "CBDCComplianceModule",
+  recovery: "CBDCRecoveryModule",
+  policy: "CBDCPolicyModule",
+};
+
+/**
+ * Deploys one of each module contract and returns their addresses, ready to
+ * be passed as the token's constructor argument. Upgrades deploy a fresh set
+ * so the modules always come from the same build as the implementation.
+ */
+async function deployCBDCTokenModules(hre) {
+  const modules = {};
+  for (const [field, contractName] of Object.entries(MODULE_CONTRACTS)) {
+    const factory = await hre.ethers.getContractFactory(contractName);
+    const module = await factory.deploy();
+    await module.deployed();
+    modules[field] = module.address;
+  }
+  return modules;
+}
+
+module.exports = { MODULE_CONTRACTS, deployCBDCTokenModules };
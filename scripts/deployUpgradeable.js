@@ -0,0 +1,50 @@
+const hre = require("hardhat");
+const { deployCBDCTokenModules } = require("./deployModules");
+
+/**
+ * Deploys CBDCTokenUpgradeable behind a UUPS proxy and initializes it with
+ * `admin` as the holder of every role. The implementation delegates to a new
+ * set of module contracts. hardhat-upgrades validates the implementation for
+ * upgrade safety before deploying it.
+ */
+async function deployCBDCTokenProxy(hre, admin) {
+  const CBDCTokenUpgradeable = await hre.ethers.getContractFactory(
+    "CBDCTokenUpgradeable"
+  );
+  const cbdcToken = await hre.upgrades.deployProxy(
+    CBDCTokenUpgradeable,
+    [admin],
+    {
+      kind: "uups",
+      initializer: "initialize",
+      constructorArgs: [await deployCBDCTokenModules(hre)],
+    }
+  );
+  await cbdcToken.deployed();
+  return cbdcToken;
+}
+
+// Usage: CBDC_ADMIN=<address> npx hardhat run scripts/deployUpgradeable.js --network <network>
+async function main() {
+  const admin = process.env.CBDC_ADMIN;
+  if (admin === undefined) {
+    throw new Error("Set CBDC_ADMIN to the address receiving every role");
+  }
+
+  const cbdcToken = await deployCBDCTokenProxy(hre, admin);
+  console.log(`CBDCTokenUpgradeable proxy deployed to ${cbdcToken.address}`);
+  console.log(
+    `Implementation deployed to ${await hre.upgrades.erc1967.getImplementationAddress(
+      cbdcToken.address
+    )}`
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { deployCBDCTokenProxy };
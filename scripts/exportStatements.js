@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { exportStatements } = require("../lib/statements");
+
+// Usage: CBDC_TOKEN=<address> CBDC_AUDITOR_KEY=<auditor public key> CBDC_STATEMENTS_DIR=<output directory>
+//   [CBDC_VIEWING_KEYS=<JSON file mapping holders to viewing public keys>]
+//   npx hardhat run scripts/exportStatements.js --network <network>
+async function main() {
+  const tokenAddress = process.env.CBDC_TOKEN;
+  const auditorPublicKey = process.env.CBDC_AUDITOR_KEY;
+  const outputDir = process.env.CBDC_STATEMENTS_DIR;
+  if (
+    tokenAddress === undefined ||
+    auditorPublicKey === undefined ||
+    outputDir === undefined
+  ) {
+    throw new Error("Set CBDC_TOKEN, CBDC_AUDITOR_KEY and CBDC_STATEMENTS_DIR");
+  }
+  const viewingKeys =
+    process.env.CBDC_VIEWING_KEYS === undefined
+      ? {}
+      : JSON.parse(fs.readFileSync(process.env.CBDC_VIEWING_KEYS, "utf8"));
+
+  const cbdcToken = await hre.ethers.getContractAt("CBDCToken", tokenAddress);
+  const statements = await exportStatements(cbdcToken, {
+    viewingKeys,
+    auditorPublicKey,
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const statement of statements) {
+    fs.writeFileSync(
+      path.join(outputDir, `${statement.holder}.json`),
+      JSON.stringify(statement, null, 2)
+    );
+  }
+  console.log(`Wrote ${statements.length} statements to ${outputDir}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { openDatabase } = require("../lib/indexer");
+const {
+  addressStatement,
+  exportReport,
+  largeTransactionReport,
+  structuringReport,
+  supplyReconciliation,
+} = require("../lib/reports");
+
+// Usage: CBDC_INDEX_DB=<database file> CBDC_REPORT=<report> [CBDC_REPORT_FORMAT=json|csv]
+//   [CBDC_REPORT_FILE=<output file>] npx hardhat run scripts/generateReport.js --network <network>
+//
+// Reports and their settings:
+//   large-transactions  CBDC_THRESHOLD=<amount> [CBDC_FROM_TIMESTAMP] [CBDC_TO_TIMESTAMP]
+//   structuring         [CBDC_TOKEN=<address>, for the limit before the first indexed update]
+//                       [CBDC_MARGIN_BPS] [CBDC_WINDOW=<seconds>] [CBDC_MIN_COUNT]
+//   statement           CBDC_ADDRESS=<address> [CBDC_FROM_TIMESTAMP] [CBDC_TO_TIMESTAMP]
+//   reconciliation      CBDC_TOKEN=<address>
+//
+// Only structuring (with CBDC_TOKEN) and reconciliation read from the network.
+async function generateReport(database, env) {
+  const optionalNumber = (name) =>
+    env[name] === undefined ? undefined : Number(env[name]);
+  const getToken = () => {
+    if (env.CBDC_TOKEN === undefined) {
+      throw new Error("Set CBDC_TOKEN");
+    }
+    return hre.ethers.getContractAt("CBDCToken", env.CBDC_TOKEN);
+  };
+
+  switch (env.CBDC_REPORT) {
+    case "large-transactions":
+      if (env.CBDC_THRESHOLD === undefined) {
+        throw new Error("Set CBDC_THRESHOLD");
+      }
+      return largeTransactionReport(database, {
+        threshold: env.CBDC_THRESHOLD,
+        fromTimestamp: optionalNumber("CBDC_FROM_TIMESTAMP"),
+        toTimestamp: optionalNumber("CBDC_TO_TIMESTAMP"),
+      });
+    case "structuring":
+      return structuringReport(database, {
+        maxTransactionAmount:
+          env.CBDC_TOKEN === undefined
+            ? undefined
+            : await (await getToken()).maxTransactionAmount(),
+        marginBps: optionalNumber("CBDC_MARGIN_BPS"),
+        window: optionalNumber("CBDC_WINDOW"),
+        minCount: optionalNumber("CBDC_MIN_COUNT"),
+      });
+    case "statement":
+      if (env.CBDC_ADDRESS === undefined) {
+        throw new Error("Set CBDC_ADDRESS");
+      }
+      return addressStatement(database, env.CBDC_ADDRESS, {
+        fromTimestamp: optionalNumber("CBDC_FROM_TIMESTAMP"),
+        toTimestamp: optionalNumber("CBDC_TO_TIMESTAMP"),
+      });
+    case "reconciliation":
+      return supplyReconciliation(database, await getToken());
+    default:
+      throw new Error(
+        "Set CBDC_REPORT to large-transactions, structuring, statement or reconciliation"
+      );
+  }
+}
+
+async function main() {
+  const databaseFile = process.env.CBDC_INDEX_DB;
+  if (databaseFile === undefined) {
+    throw new Error("Set CBDC_INDEX_DB");
+  }
+  const database = openDatabase(databaseFile);
+  const report = await generateReport(database, process.env);
+  database.close();
+
+  const output = exportReport(report, process.env.CBDC_REPORT_FORMAT);
+  if (process.env.CBDC_REPORT_FILE === undefined) {
+    console.log(output);
+  } else {
+    fs.writeFileSync(process.env.CBDC_REPORT_FILE, output);
+    console.log(
+      `Wrote ${report.rows.length} rows to ${process.env.CBDC_REPORT_FILE}`
+    );
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { generateReport };
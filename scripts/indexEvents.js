@@ -0,0 +1,48 @@
+const hre = require("hardhat");
+const { EventIndexer, openDatabase } = require("../lib/indexer");
+
+// Usage: CBDC_TOKEN=<address> CBDC_INDEX_DB=<database file> [CBDC_FROM_BLOCK=<deployment block>]
+//   [CBDC_CONFIRMATIONS=<blocks>] [CBDC_FOLLOW=true]
+//   npx hardhat run scripts/indexEvents.js --network <network>
+//
+// Syncs the database up to the current head. With CBDC_FOLLOW=true it keeps
+// polling for new blocks until interrupted.
+async function main() {
+  const tokenAddress = process.env.CBDC_TOKEN;
+  const databaseFile = process.env.CBDC_INDEX_DB;
+  if (tokenAddress === undefined || databaseFile === undefined) {
+    throw new Error("Set CBDC_TOKEN and CBDC_INDEX_DB");
+  }
+
+  const cbdcToken = await hre.ethers.getContractAt("CBDCToken", tokenAddress);
+  const database = openDatabase(databaseFile);
+  const indexer = new EventIndexer(cbdcToken, database, {
+    fromBlock: Number(process.env.CBDC_FROM_BLOCK || 0),
+    confirmations: Number(process.env.CBDC_CONFIRMATIONS || 0),
+  });
+  const logSync = ({ fromBlock, toBlock, events }) => {
+    if (toBlock >= fromBlock) {
+      console.log(
+        `Indexed ${events} events from blocks ${fromBlock} to ${toBlock}`
+      );
+    }
+  };
+
+  if (process.env.CBDC_FOLLOW !== "true") {
+    logSync(await indexer.sync());
+    database.close();
+    return;
+  }
+  const stop = indexer.follow({ onSync: logSync });
+  process.once("SIGINT", () => {
+    stop();
+    database.close();
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+const { decryptStatement, generateViewingKey } = require("../lib/statements");
+
+function statementFiles(paths) {
+  return paths.flatMap((target) =>
+    fs.statSync(target).isDirectory()
+      ? fs
+          .readdirSync(target)
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => path.join(target, name))
+      : [target]
+  );
+}
+
+// Usage: node scripts/readStatements.js --generate-key
+//        CBDC_VIEWING_KEY=<private key> node scripts/readStatements.js <statement file or directory>...
+//
+// Needs no network connection. With a holder's viewing key, statements of
+// other holders are reported as unreadable; with the auditor key (regulator
+// mode) every statement in the given directories is decrypted.
+function main() {
+  const args = process.argv.slice(2);
+  if (args[0] === "--generate-key") {
+    console.log(JSON.stringify(generateViewingKey(), null, 2));
+    return;
+  }
+
+  const privateKey = process.env.CBDC_VIEWING_KEY;
+  if (privateKey === undefined || args.length === 0) {
+    throw new Error(
+      "Set CBDC_VIEWING_KEY and pass statement files or directories"
+    );
+  }
+
+  const results = statementFiles(args).map((file) => {
+    const envelope = JSON.parse(fs.readFileSync(file, "utf8"));
+    try {
+      return { file, statement: decryptStatement(envelope, privateKey) };
+    } catch (error) {
+      return { file, holder: envelope.holder, error: error.message };
+    }
+  });
+  console.log(JSON.stringify(results, null, 2));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
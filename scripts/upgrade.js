@@ -0,0 +1,61 @@
+const hre = require("hardhat");
+const { MODULE_CONTRACTS, deployCBDCTokenModules } = require("./deployModules");
+
+/**
+ * Upgrades a CBDCTokenUpgradeable proxy to `contractName`. The new
+ * implementation's storage layout is checked against the one recorded for the
+ * proxy, and the upgrade is aborted if they are incompatible. The new
+ * implementation delegates to a new set of module contracts, which are only
+ * deployed once that check has passed. The signer must hold UPGRADER_ROLE.
+ */
+async function upgradeCBDCTokenProxy(hre, proxyAddress, contractName) {
+  const implementation = await hre.ethers.getContractFactory(contractName);
+  // The check only looks at the implementation's code, so the constructor
+  // argument it encodes can name modules that are not deployed yet.
+  const undeployedModules = Object.fromEntries(
+    Object.keys(MODULE_CONTRACTS).map((field) => [
+      field,
+      hre.ethers.constants.AddressZero,
+    ])
+  );
+  await hre.upgrades.validateUpgrade(proxyAddress, implementation, {
+    kind: "uups",
+    constructorArgs: [undeployedModules],
+  });
+  const cbdcToken = await hre.upgrades.upgradeProxy(
+    proxyAddress,
+    implementation,
+    { kind: "uups", constructorArgs: [await deployCBDCTokenModules(hre)] }
+  );
+  await cbdcToken.deployed();
+  return cbdcToken;
+}
+
+// Usage: CBDC_PROXY=<address> CBDC_IMPLEMENTATION=<contract name> npx hardhat run scripts/upgrade.js --network <network>
+async function main() {
+  const proxyAddress = process.env.CBDC_PROXY;
+  const contractName = process.env.CBDC_IMPLEMENTATION;
+  if (proxyAddress === undefined || contractName === undefined) {
+    throw new Error("Set CBDC_PROXY and CBDC_IMPLEMENTATION");
+  }
+
+  const cbdcToken = await upgradeCBDCTokenProxy(
+    hre,
+    proxyAddress,
+    contractName
+  );
+  const implementationAddress =
+    await hre.upgrades.erc1967.getImplementationAddress(cbdcToken.address);
+  console.log(
+    `${cbdcToken.address} now uses ${contractName} at ${implementationAddress}`
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { upgradeCBDCTokenProxy };
@@ -0,0 +1,391 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { toBulkArguments } = require("../lib/offlineVouchers");
+const {
+  CBDCClient,
+  ROLE_NAMES,
+  roleHash,
+  toReasonCode,
+} = require("../lib/sdk/client");
+const { toCBDCError } = require("../lib/sdk/errors");
+
+// cbdc:policy names and the setters they map to. Multi-value policies take
+// comma-separated values in the setter's argument order.
+const POLICY_SETTERS = {
+  transactionCoolDown: "setTransactionCoolDown",
+  maxTransactionAmount: "setMaxTransactionAmount",
+  kycValidityPeriod: "setKYCValidityPeriod",
+  offlineLockPeriod: "setOfflineLockPeriod",
+  redemptionExpiryPeriod: "setRedemptionExpiryPeriod",
+  recoveryDelay: "setRecoveryDelay",
+  velocityLimit: "setVelocityLimit",
+  mintCeiling: "setMintCeiling",
+  policyTier: "setPolicyTier",
+  interestTier: "setInterestTier",
+  feeSchedule: "setFeeSchedule",
+  feeCollector: "setFeeCollector",
+  feeExemption: "setFeeExemption",
+};
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_MAX_GAS = 10_000_000;
+
+function roleName(hash) {
+  return ROLE_NAMES.find((name) => roleHash(name) === hash) || hash;
+}
+
+// Converts an ethers Result into an object with its named fields.
+function namedArgs(args) {
+  return Object.fromEntries(
+    Object.entries(args).filter(([key]) => Number.isNaN(Number(key)))
+  );
+}
+
+function printOutput(result) {
+  console.log(
+    JSON.stringify(
+      result,
+      (key, value) =>
+        value && value.type === "BigNumber"
+          ? ethers.BigNumber.from(value.hex).toString()
+          : value,
+      2
+    )
+  );
+}
+
+async function getToken(hre, { token, from }) {
+  const address = token || process.env.CBDC_TOKEN;
+  if (address === undefined) {
+    throw new Error("Pass --token or set CBDC_TOKEN");
+  }
+  const signer =
+    from === undefined
+      ? (await hre.ethers.getSigners())[0]
+      : await hre.ethers.getSigner(from);
+  return hre.ethers.getContractAt("CBDCToken", address, signer);
+}
+
+/**
+ * Sends a token call, or only simulates it with callStatic and estimates its
+ * gas in dry-run mode.
+ */
+async function submit(token, method, args, dryRun) {
+  if (dryRun) {
+    await token.callStatic[method](...args);
+    return {
+      method,
+      args,
+      gasEstimate: await token.estimateGas[method](...args),
+    };
+  }
+  const receipt = await (await token[method](...args)).wait();
+  return {
+    method,
+    args,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    events: receipt.events
+      .filter(({ event }) => event !== undefined)
+      .map(({ event, args: eventArgs }) => ({
+        event,
+        args: namedArgs(eventArgs),
+      })),
+  };
+}
+
+/**
+ * Declares a task with the options every cbdc task shares. `action` returns
+ * the task's result, which is printed as JSON; failures are printed the same
+ * way with `ok: false` and set a non-zero exit code.
+ */
+function cbdcTask(name, description, action) {
+  return task(name, description)
+    .addOptionalParam("token", "CBDCToken address, defaults to CBDC_TOKEN")
+    .addOptionalParam("from", "Operator account, defaults to the first signer")
+    .addFlag("dryRun", "Simulate with callStatic instead of sending")
+    .setAction(async (taskArgs, hre) => {
+      let output;
+      try {
+        const token = await getToken(hre, taskArgs);
+        output = {
+          ok: true,
+          task: name,
+          dryRun: taskArgs.dryRun,
+          ...(await action(taskArgs, hre, token)),
+        };
+      } catch (error) {
+        const converted = toCBDCError(error);
+        output = {
+          ok: false,
+          task: name,
+          dryRun: taskArgs.dryRun,
+          ...error.partialOutput,
+          error: {
+            name: converted.name,
+            message: converted.reason || converted.message,
+          },
+        };
+        process.exitCode = 1;
+      }
+      printOutput(output);
+      return output;
+    });
+}
+
+// Accepts "true"/"false" for boolean arguments and passes everything else to
+// ethers unchanged.
+function parsePolicyValue(value) {
+  const trimmed = value.trim();
+  if (trimmed === "true" || trimmed === "false") {
+    return trimmed === "true";
+  }
+  return trimmed;
+}
+
+function parseCsv(content) {
+  const [header, ...rows] = content.trim().split(/\r?\n/);
+  const columns = header.split(",").map((column) => column.trim());
+  return rows
+    .filter((row) => row.trim() !== "")
+    .map((row) => {
+      const cells = row.split(",");
+      return Object.fromEntries(
+        columns.map((column, i) => [column, (cells[i] || "").trim()])
+      );
+    });
+}
+
+/**
+ * Reads signed vouchers from a JSON file (an array of `{ voucher, signature }`
+ * or of flat voucher records) or a CSV file with the columns
+ * from,to,amount,nonce,expirationTimestamp,signature.
+ */
+function readVoucherFile(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const records =
+    path.extname(file).toLowerCase() === ".csv"
+      ? parseCsv(content)
+      : JSON.parse(content);
+  return records.map((record) => {
+    if (record.voucher !== undefined) {
+      return record;
+    }
+    const { signature, ...voucher } = record;
+    return { voucher, signature };
+  });
+}
+
+// Submits vouchers through processBulkOfflineTransactions, halving a batch
+// until its gas estimate fits under maxGas. Results are appended to `chunks`
+// as they complete, so a failure still reports what was settled before it.
+async function settleVoucherBatch(
+  token,
+  signedVouchers,
+  firstIndex,
+  { dryRun, maxGas },
+  chunks
+) {
+  const args = toBulkArguments(signedVouchers);
+  let gasEstimate;
+  try {
+    gasEstimate = await token.estimateGas.processBulkOfflineTransactions(
+      ...args
+    );
+  } catch (error) {
+    error.partialOutput = {
+      chunks,
+      failedChunk: { firstIndex, count: signedVouchers.length },
+    };
+    throw error;
+  }
+  if (gasEstimate.gt(maxGas) && signedVouchers.length > 1) {
+    const half = Math.ceil(signedVouchers.length / 2);
+    await settleVoucherBatch(
+      token,
+      signedVouchers.slice(0, half),
+      firstIndex,
+      { dryRun, maxGas },
+      chunks
+    );
+    await settleVoucherBatch(
+      token,
+      signedVouchers.slice(half),
+      firstIndex + half,
+      { dryRun, maxGas },
+      chunks
+    );
+    return;
+  }
+
+  const chunk = { firstIndex, count: signedVouchers.length, gasEstimate };
+  if (dryRun) {
+    await token.callStatic.processBulkOfflineTransactions(...args);
+  } else {
+    const receipt = await (
+      await token.processBulkOfflineTransactions(...args)
+    ).wait();
+    chunk.transactionHash = receipt.transactionHash;
+    chunk.gasUsed = receipt.gasUsed;
+  }
+  chunks.push(chunk);
+}
+
+cbdcTask(
+  "cbdc:mint",
+  "Issues tokens to an account",
+  async ({ to, amount, reason, dryRun }, hre, token) =>
+    submit(token, "mint", [to, amount, toReasonCode(reason)], dryRun)
+)
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in base units")
+  .addOptionalParam("reason", "Reason code", "ISSUANCE");
+
+cbdcTask(
+  "cbdc:redemption",
+  "Settles (burns) or rejects a redemption request",
+  async ({ id, action, reason, dryRun }, hre, token) => {
+    if (action !== "settle" && action !== "reject") {
+      throw new Error(`Unknown action ${action}`);
+    }
+    return submit(
+      token,
+      `${action}Redemption`,
+      [id, toReasonCode(reason)],
+      dryRun
+    );
+  }
+)
+  .addParam("id", "Redemption request ID")
+  .addOptionalParam("action", "settle or reject", "settle")
+  .addOptionalParam("reason", "Reason code", "REDEMPTION");
+
+cbdcTask(
+  "cbdc:blacklist",
+  "Blacklists an account or lifts its blacklisting",
+  async ({ account, remove, dryRun }, hre, token) =>
+    submit(token, "setBlacklistStatus", [account, !remove], dryRun)
+)
+  .addParam("account", "Account address")
+  .addFlag("remove", "Remove the account from the blacklist");
+
+cbdcTask(
+  "cbdc:pause",
+  "Pauses or unpauses the token",
+  async ({ unpause, dryRun }, hre, token) =>
+    submit(token, unpause ? "unpause" : "pause", [], dryRun)
+).addFlag("unpause", "Unpause instead of pausing");
+
+cbdcTask(
+  "cbdc:policy",
+  "Shows the current policies or changes one of them",
+  async ({ set, value, dryRun }, hre, token) => {
+    if (set === undefined) {
+      return { policy: await new CBDCClient(token).policy.get() };
+    }
+    const setter = POLICY_SETTERS[set];
+    if (setter === undefined || value === undefined) {
+      throw new Error(
+        `Pass --value and one of --set ${Object.keys(POLICY_SETTERS).join(
+          ", "
+        )}`
+      );
+    }
+    return submit(
+      token,
+      setter,
+      value.split(",").map(parsePolicyValue),
+      dryRun
+    );
+  }
+)
+  .addOptionalParam(
+    "set",
+    `Policy to change: ${Object.keys(POLICY_SETTERS).join(", ")}`
+  )
+  .addOptionalParam(
+    "value",
+    "New value; comma-separated for policies with several values"
+  );
+
+cbdcTask(
+  "cbdc:roles",
+  "Lists role holders, or grants or revokes a role",
+  async ({ account, grant, revoke, dryRun }, hre, token) => {
+    if (grant !== undefined || revoke !== undefined) {
+      if (account === undefined) {
+        throw new Error("Pass --account to grant or revoke a role");
+      }
+      const [method, role] =
+        grant !== undefined ? ["grantRole", grant] : ["revokeRole", revoke];
+      return submit(token, method, [roleHash(role), account], dryRun);
+    }
+    if (account !== undefined) {
+      const held = await Promise.all(
+        ROLE_NAMES.map((name) => token.hasRole(roleHash(name), account))
+      );
+      return { account, roles: ROLE_NAMES.filter((name, i) => held[i]) };
+    }
+
+    // Role membership is not enumerable on-chain, so replay the role events
+    const events = [
+      ...(await token.queryFilter(token.filters.RoleGranted())),
+      ...(await token.queryFilter(token.filters.RoleRevoked())),
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    const holders = {};
+    for (const { event, args } of events) {
+      const name = roleName(args.role);
+      holders[name] = holders[name] || new Set();
+      if (event === "RoleGranted") {
+        holders[name].add(args.account);
+      } else {
+        holders[name].delete(args.account);
+      }
+    }
+    return {
+      roles: Object.fromEntries(
+        Object.entries(holders).map(([name, accounts]) => [name, [...accounts]])
+      ),
+    };
+  }
+)
+  .addOptionalParam("account", "Account to show, grant or revoke roles for")
+  .addOptionalParam("grant", "Role to grant, e.g. MINTER_ROLE")
+  .addOptionalParam("revoke", "Role to revoke");
+
+cbdcTask(
+  "cbdc:settle-vouchers",
+  "Settles a JSON or CSV file of signed offline vouchers in batches",
+  async ({ file, batchSize, maxGas, dryRun }, hre, token) => {
+    const signedVouchers = readVoucherFile(file);
+    const chunks = [];
+    for (let start = 0; start < signedVouchers.length; start += batchSize) {
+      await settleVoucherBatch(
+        token,
+        signedVouchers.slice(start, start + batchSize),
+        start,
+        { dryRun, maxGas },
+        chunks
+      );
+    }
+    return { vouchers: signedVouchers.length, chunks };
+  }
+)
+  .addParam("file", "JSON or CSV file of signed vouchers")
+  .addOptionalParam(
+    "batchSize",
+    "Vouchers per transaction",
+    DEFAULT_BATCH_SIZE,
+    types.int
+  )
+  .addOptionalParam(
+    "maxGas",
+    "Gas limit per transaction; larger batches are split",
+    DEFAULT_MAX_GAS,
+    types.int
+  );
+
+module.exports = { ROLE_NAMES, POLICY_SETTERS, readVoucherFile };
@@ -0,0 +1,518 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCBDCGovernance } = require("../scripts/deployGovernance");
+
+const { ethers } = hre;
+
+describe("CBDCGovernor", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const REASON_CODE = ethers.utils.formatBytes32String("ISSUANCE");
+  const ROLE_NAMES = [
+    "DEFAULT_ADMIN_ROLE",
+    "MINTER_ROLE",
+    "PAUSER_ROLE",
+    "BURNER_ROLE",
+    "POLICY_SETTER_ROLE",
+    "KYC_ADMIN_ROLE",
+    "COMPLIANCE_ROLE",
+    "SEIZURE_ROLE",
+  ];
+
+  let cbdcToken, governor;
+  let deployer, officer1, officer2, officer3, addr1, addr2;
+
+  beforeEach(async function () {
+    [deployer, officer1, officer2, officer3, addr1, addr2] =
+      await ethers.getSigners();
+    ({ cbdcToken, governor } = await deployCBDCGovernance(hre, {
+      CBDCGovernanceModule: {
+        officers: [officer1.address, officer2.address, officer3.address],
+        threshold: 2,
+        executionDelay: ONE_DAY,
+      },
+    }));
+  });
+
+  // Proposes a call on `target` as officer1, approves it as officer2 and
+  // returns the proposal id.
+  async function proposeAndApprove(target, functionName, args) {
+    const data = target.interface.encodeFunctionData(functionName, args);
+    const proposalId = (await governor.proposalCount()).add(1);
+    await governor
+      .connect(officer1)
+      .propose(target.address, data, `${functionName}`);
+    await governor.connect(officer2).approve(proposalId);
+    return proposalId;
+  }
+
+  async function proposeAndExecute(target, functionName, args) {
+    const proposalId = await proposeAndApprove(target, functionName, args);
+    await time.increase(ONE_DAY);
+    await governor.connect(officer1).execute(proposalId);
+    return proposalId;
+  }
+
+  describe("Deployment", function () {
+    it("Should hold every token role instead of the deployer", async function () {
+      for (const roleName of ROLE_NAMES) {
+        const role = await cbdcToken[roleName]();
+        expect(await cbdcToken.hasRole(role, governor.address)).to.equal(
+          true,
+          `${roleName} governor`
+        );
+        expect(await cbdcToken.hasRole(role, deployer.address)).to.equal(
+          false,
+          `${roleName} deployer`
+        );
+      }
+    });
+
+    it("Should set the officers, threshold and delay", async function () {
+      expect(await governor.token()).to.equal(cbdcToken.address);
+      expect(await governor.officerCount()).to.equal(3);
+      expect(await governor.isOfficer(officer1.address)).to.equal(true);
+      expect(await governor.isOfficer(deployer.address)).to.equal(false);
+      expect(await governor.threshold()).to.equal(2);
+      expect(await governor.executionDelay()).to.equal(ONE_DAY);
+    });
+
+    it("Should reject a threshold above the number of officers", async function () {
+      const CBDCGovernor = await ethers.getContractFactory("CBDCGovernor");
+      await expect(
+        CBDCGovernor.deploy(cbdcToken.address, [officer1.address], 2, ONE_DAY)
+      ).to.be.revertedWith("Invalid threshold");
+      await expect(
+        CBDCGovernor.deploy(cbdcToken.address, [officer1.address], 0, ONE_DAY)
+      ).to.be.revertedWith("Invalid threshold");
+    });
+
+    it("Should reject duplicate officers", async function () {
+      const CBDCGovernor = await ethers.getContractFactory("CBDCGovernor");
+      await expect(
+        CBDCGovernor.deploy(
+          cbdcToken.address,
+          [officer1.address, officer1.address],
+          1,
+          ONE_DAY
+        )
+      ).to.be.revertedWith("Already an officer");
+    });
+
+    it("Should leave no single key able to mint", async function () {
+      await expect(cbdcToken.mint(addr1.address, 100, REASON_CODE)).to.be
+        .reverted;
+      await expect(
+        cbdcToken.connect(officer1).mint(addr1.address, 100, REASON_CODE)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should create a proposal with the proposer's approval", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+
+      await expect(
+        governor.connect(officer1).propose(cbdcToken.address, data, "Issue")
+      )
+        .to.emit(governor, "ProposalCreated")
+        .withArgs(1, officer1.address, cbdcToken.address, data, "Issue")
+        .and.to.emit(governor, "ProposalApproved")
+        .withArgs(1, officer1.address, 1);
+
+      const proposal = await governor.getProposal(1);
+      expect(proposal.target).to.equal(cbdcToken.address);
+      expect(proposal.data).to.equal(data);
+      expect(proposal.proposer).to.equal(officer1.address);
+      expect(proposal.approvals).to.equal(1);
+      expect(proposal.executableAt).to.equal(0);
+      expect(await governor.hasApproved(1, officer1.address)).to.equal(true);
+    });
+
+    it("Should only let officers propose", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("pause");
+      await expect(
+        governor.connect(addr1).propose(cbdcToken.address, data, "")
+      ).to.be.revertedWith("Caller is not an officer");
+    });
+
+    it("Should reject targets other than the token and the governor", async function () {
+      await expect(
+        governor.connect(officer1).propose(addr1.address, "0x", "")
+      ).to.be.revertedWith("Unsupported target");
+    });
+
+    it("Should queue a proposal once the threshold is reached", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await governor.connect(officer1).propose(cbdcToken.address, data, "");
+
+      const tx = await governor.connect(officer2).approve(1);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const executableAt = timestamp + ONE_DAY;
+      await expect(tx)
+        .to.emit(governor, "ProposalQueued")
+        .withArgs(1, executableAt);
+      expect((await governor.getProposal(1)).executableAt).to.equal(
+        executableAt
+      );
+    });
+
+    it("Should not count an officer's approval twice", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("pause");
+      await governor.connect(officer1).propose(cbdcToken.address, data, "");
+      await expect(governor.connect(officer1).approve(1)).to.be.revertedWith(
+        "Already approved"
+      );
+    });
+
+    it("Should reject approvals of unknown proposals", async function () {
+      await expect(governor.connect(officer1).approve(7)).to.be.revertedWith(
+        "Unknown proposal"
+      );
+    });
+  });
+
+  describe("Execution", function () {
+    beforeEach(async function () {
+      await proposeAndExecute(cbdcToken, "setMintAllowance", [
+        governor.address,
+        1000000,
+      ]);
+    });
+
+    it("Should mint after approval and delay", async function () {
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await time.increase(ONE_DAY);
+
+      await expect(governor.connect(officer3).execute(proposalId))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId, officer3.address)
+        .and.to.emit(cbdcToken, "Transfer")
+        .withArgs(ethers.constants.AddressZero, addr1.address, 1000);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1000);
+      expect((await governor.getProposal(proposalId)).executed).to.equal(true);
+    });
+
+    it("Should apply policy changes", async function () {
+      const newMax = ethers.utils.parseEther("5000");
+      await proposeAndExecute(cbdcToken, "setMaxTransactionAmount", [newMax]);
+      expect(await cbdcToken.maxTransactionAmount()).to.equal(newMax);
+
+      await proposeAndExecute(cbdcToken, "setTransactionCoolDown", [300]);
+      expect(await cbdcToken.transactionCoolDown()).to.equal(300);
+
+      await proposeAndExecute(cbdcToken, "setBlacklistStatus", [
+        addr2.address,
+        true,
+      ]);
+      expect(await cbdcToken.isBlacklisted(addr2.address)).to.equal(true);
+    });
+
+    it("Should not execute before the delay has passed", async function () {
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await time.increase(ONE_DAY - 10);
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Execution delay not passed");
+    });
+
+    it("Should not execute without enough approvals", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await governor.connect(officer1).propose(cbdcToken.address, data, "");
+      await time.increase(ONE_DAY);
+      await expect(
+        governor.connect(officer1).execute(await governor.proposalCount())
+      ).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should not execute twice", async function () {
+      const proposalId = await proposeAndExecute(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Proposal already executed");
+      await expect(
+        governor.connect(officer3).approve(proposalId)
+      ).to.be.revertedWith("Proposal already executed");
+    });
+
+    it("Should only let officers execute", async function () {
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await time.increase(ONE_DAY);
+      await expect(
+        governor.connect(addr1).execute(proposalId)
+      ).to.be.revertedWith("Caller is not an officer");
+    });
+
+    it("Should bubble up the token's revert reason and stay executable", async function () {
+      await proposeAndExecute(cbdcToken, "setBlacklistStatus", [
+        addr1.address,
+        true,
+      ]);
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await time.increase(ONE_DAY);
+
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Blacklisted address");
+      expect((await governor.getProposal(proposalId)).executed).to.equal(false);
+
+      await proposeAndExecute(cbdcToken, "setBlacklistStatus", [
+        addr1.address,
+        false,
+      ]);
+      await governor.connect(officer1).execute(proposalId);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1000);
+    });
+  });
+
+  describe("Cancellation", function () {
+    beforeEach(async function () {
+      await proposeAndExecute(cbdcToken, "setMintAllowance", [
+        governor.address,
+        1000000,
+      ]);
+    });
+
+    it("Should let the proposer cancel", async function () {
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await expect(governor.connect(officer1).cancel(proposalId))
+        .to.emit(governor, "ProposalCancelled")
+        .withArgs(proposalId);
+
+      await time.increase(ONE_DAY);
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Proposal cancelled");
+      await expect(
+        governor.connect(officer3).approve(proposalId)
+      ).to.be.revertedWith("Proposal cancelled");
+    });
+
+    it("Should not let other accounts cancel", async function () {
+      const proposalId = await proposeAndApprove(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await expect(
+        governor.connect(officer2).cancel(proposalId)
+      ).to.be.revertedWith("Only the proposer can cancel");
+    });
+
+    it("Should let officers veto a queued proposal by threshold", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("pause");
+      await governor.connect(officer1).propose(cbdcToken.address, data, "");
+      await expect(governor.connect(officer3).veto(2)).to.be.revertedWith(
+        "Proposal not queued"
+      );
+      await governor.connect(officer2).approve(2);
+
+      await expect(governor.connect(addr1).veto(2)).to.be.revertedWith(
+        "Caller is not an officer"
+      );
+      await expect(governor.connect(officer3).veto(2))
+        .to.emit(governor, "ProposalVetoed")
+        .withArgs(2, officer3.address, 1)
+        .and.not.to.emit(governor, "ProposalCancelled");
+      await expect(governor.connect(officer3).veto(2)).to.be.revertedWith(
+        "Already vetoed"
+      );
+      expect(await governor.vetoCount(2)).to.equal(1);
+
+      await expect(governor.connect(officer2).veto(2))
+        .to.emit(governor, "ProposalVetoed")
+        .withArgs(2, officer2.address, 2)
+        .and.to.emit(governor, "ProposalCancelled")
+        .withArgs(2);
+      await time.increase(ONE_DAY);
+      await expect(governor.connect(officer1).execute(2)).to.be.revertedWith(
+        "Proposal cancelled"
+      );
+    });
+
+    it("Should not cancel an executed proposal", async function () {
+      const proposalId = await proposeAndExecute(cbdcToken, "mint", [
+        addr1.address,
+        1000,
+        REASON_CODE,
+      ]);
+      await expect(
+        governor.connect(officer1).cancel(proposalId)
+      ).to.be.revertedWith("Proposal already executed");
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    it("Should let a single officer pause instantly", async function () {
+      await expect(governor.connect(officer3).pause())
+        .to.emit(governor, "EmergencyPause")
+        .withArgs(officer3.address)
+        .and.to.emit(cbdcToken, "Paused")
+        .withArgs(governor.address);
+      expect(await cbdcToken.paused()).to.equal(true);
+    });
+
+    it("Should not let other accounts pause", async function () {
+      await expect(governor.connect(addr1).pause()).to.be.revertedWith(
+        "Caller is not an officer"
+      );
+    });
+
+    it("Should unpause through a proposal", async function () {
+      await governor.connect(officer1).pause();
+      await proposeAndExecute(cbdcToken, "unpause", []);
+      expect(await cbdcToken.paused()).to.equal(false);
+    });
+  });
+
+  describe("Governance Settings", function () {
+    it("Should only change settings through executed proposals", async function () {
+      await expect(
+        governor.connect(officer1).addOfficer(addr1.address)
+      ).to.be.revertedWith("Caller is not governance");
+      await expect(
+        governor.connect(officer1).removeOfficer(officer2.address)
+      ).to.be.revertedWith("Caller is not governance");
+      await expect(
+        governor.connect(officer1).setThreshold(1)
+      ).to.be.revertedWith("Caller is not governance");
+      await expect(
+        governor.connect(officer1).setExecutionDelay(0)
+      ).to.be.revertedWith("Caller is not governance");
+    });
+
+    it("Should add and remove officers", async function () {
+      let proposalId = await proposeAndApprove(governor, "addOfficer", [
+        addr1.address,
+      ]);
+      await time.increase(ONE_DAY);
+      await expect(governor.connect(officer1).execute(proposalId))
+        .to.emit(governor, "OfficerAdded")
+        .withArgs(addr1.address);
+      expect(await governor.isOfficer(addr1.address)).to.equal(true);
+      expect(await governor.officerCount()).to.equal(4);
+
+      proposalId = await proposeAndApprove(governor, "removeOfficer", [
+        officer3.address,
+      ]);
+      await time.increase(ONE_DAY);
+      await expect(governor.connect(officer1).execute(proposalId))
+        .to.emit(governor, "OfficerRemoved")
+        .withArgs(officer3.address);
+      expect(await governor.isOfficer(officer3.address)).to.equal(false);
+      expect(await governor.officerCount()).to.equal(3);
+    });
+
+    it("Should only count approvals of current officers", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("pause");
+      await governor.connect(officer1).propose(cbdcToken.address, data, "");
+      await governor.connect(officer3).approve(1);
+      await proposeAndExecute(governor, "removeOfficer", [officer3.address]);
+
+      expect((await governor.getProposal(1)).approvals).to.equal(1);
+      expect(await governor.hasApproved(1, officer3.address)).to.equal(false);
+      await expect(governor.connect(officer1).execute(1)).to.be.revertedWith(
+        "Not enough approvals"
+      );
+
+      // Approvals from an earlier term do not come back with the officer
+      await proposeAndExecute(governor, "addOfficer", [officer3.address]);
+      expect((await governor.getProposal(1)).approvals).to.equal(1);
+      await expect(governor.connect(officer1).execute(1)).to.be.revertedWith(
+        "Not enough approvals"
+      );
+
+      await governor.connect(officer3).approve(1);
+      await governor.connect(officer1).execute(1);
+      expect(await cbdcToken.paused()).to.equal(true);
+    });
+
+    it("Should not queue proposals on approvals of removed officers", async function () {
+      const data = cbdcToken.interface.encodeFunctionData("pause");
+      await governor.connect(officer3).propose(cbdcToken.address, data, "");
+      await proposeAndExecute(governor, "removeOfficer", [officer3.address]);
+
+      await governor.connect(officer1).approve(1);
+      expect((await governor.getProposal(1)).executableAt).to.equal(0);
+      await governor.connect(officer2).approve(1);
+      expect((await governor.getProposal(1)).executableAt).to.not.equal(0);
+    });
+
+    it("Should keep enough officers to reach the threshold", async function () {
+      await proposeAndExecute(governor, "removeOfficer", [officer3.address]);
+      const proposalId = await proposeAndApprove(governor, "removeOfficer", [
+        officer2.address,
+      ]);
+      await time.increase(ONE_DAY);
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Officers below threshold");
+    });
+
+    it("Should update the threshold and delay", async function () {
+      const proposalId = await proposeAndApprove(governor, "setThreshold", [3]);
+      await time.increase(ONE_DAY);
+      await expect(governor.connect(officer1).execute(proposalId))
+        .to.emit(governor, "GovernanceUpdated")
+        .withArgs("Threshold", 3);
+      expect(await governor.threshold()).to.equal(3);
+
+      const data = governor.interface.encodeFunctionData("setExecutionDelay", [
+        2 * ONE_DAY,
+      ]);
+      await governor.connect(officer1).propose(governor.address, data, "");
+      await governor.connect(officer2).approve(2);
+      expect((await governor.getProposal(2)).executableAt).to.equal(0);
+      await governor.connect(officer3).approve(2);
+      await time.increase(ONE_DAY);
+      await expect(governor.connect(officer1).execute(2))
+        .to.emit(governor, "GovernanceUpdated")
+        .withArgs("ExecutionDelay", 2 * ONE_DAY);
+      expect(await governor.executionDelay()).to.equal(2 * ONE_DAY);
+    });
+
+    it("Should reject a threshold above the number of officers", async function () {
+      const proposalId = await proposeAndApprove(governor, "setThreshold", [4]);
+      await time.increase(ONE_DAY);
+      await expect(
+        governor.connect(officer1).execute(proposalId)
+      ).to.be.revertedWith("Invalid threshold");
+    });
+  });
+});
@@ -1,107 +1,2331 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  getVoucherDomain,
+  hashVoucher,
+  signVoucher,
+  toBulkArguments,
+  verifyVoucher,
+} = require("../lib/offlineVouchers");
+const {
+  buildForwardRequest,
+  getEip712Domain,
+  signForwardRequest,
+  signPermit,
+} = require("../lib/metaTransactions");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
 
 describe("CBDCToken", function () {
-  let CBDCToken, cbdcToken, owner, addr1, addr2, addr3, addr4;
-  let MINTER_ROLE, PAUSER_ROLE, BURNER_ROLE, POLICY_SETTER_ROLE;
+  let CBDCToken, cbdcToken, owner, addr1, addr2, addr3, addr4, addr5;
+  let MINTER_ROLE, PAUSER_ROLE, BURNER_ROLE, POLICY_SETTER_ROLE, KYC_ADMIN_ROLE;
+  let domain, modules;
+
+  const REASON_CODE = ethers.utils.formatBytes32String("ISSUANCE");
+
+  // The modules hold no state of their own, so every deployment can share them
+  before(async function () {
+    modules = await deployCBDCTokenModules(hre);
+  });
 
   beforeEach(async function () {
     CBDCToken = await ethers.getContractFactory("CBDCToken");
-    [owner, addr1, addr2, addr3, addr4] = await ethers.getSigners();
-    cbdcToken = await CBDCToken.deploy();
+    [owner, addr1, addr2, addr3, addr4, addr5] = await ethers.getSigners();
+    cbdcToken = await CBDCToken.deploy(modules);
     await cbdcToken.deployed();
 
-    MINTER_ROLE = await cbdcToken.MINTER_ROLE();
-    PAUSER_ROLE = await cbdcToken.PAUSER_ROLE();
-    BURNER_ROLE = await cbdcToken.BURNER_ROLE();
-    POLICY_SETTER_ROLE = await cbdcToken.POLICY_SETTER_ROLE();
+    MINTER_ROLE = await cbdcToken.MINTER_ROLE();
+    PAUSER_ROLE = await cbdcToken.PAUSER_ROLE();
+    BURNER_ROLE = await cbdcToken.BURNER_ROLE();
+    POLICY_SETTER_ROLE = await cbdcToken.POLICY_SETTER_ROLE();
+    KYC_ADMIN_ROLE = await cbdcToken.KYC_ADMIN_ROLE();
+    domain = await getVoucherDomain(cbdcToken);
+
+    const maxSupply = await cbdcToken.MAX_SUPPLY();
+    await cbdcToken.setMintAllowance(owner.address, maxSupply);
+    await cbdcToken.setBurnAllowance(owner.address, maxSupply);
+
+    // addr5 is deliberately left unverified
+    for (const account of [owner, addr1, addr2, addr3, addr4]) {
+      await cbdcToken.setKYCStatus(account.address, true, 1);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the right owner", async function () {
+      expect(
+        await cbdcToken.hasRole(
+          await cbdcToken.DEFAULT_ADMIN_ROLE(),
+          owner.address
+        )
+      ).to.equal(true);
+    });
+
+    it("Should assign the minter role to the owner", async function () {
+      expect(await cbdcToken.hasRole(MINTER_ROLE, owner.address)).to.equal(
+        true
+      );
+    });
+
+    it("Should have correct name and symbol", async function () {
+      expect(await cbdcToken.name()).to.equal("CBDC Token");
+      expect(await cbdcToken.symbol()).to.equal("CBDC");
+    });
+
+    it("Should fit every contract within the EIP-170 code size limit", async function () {
+      for (const contractName of [
+        "CBDCToken",
+        "CBDCTokenUpgradeable",
+        "CBDCPaymentsModule",
+        "CBDCOfflineModule",
+        "CBDCComplianceModule",
+        "CBDCRecoveryModule",
+        "CBDCPolicyModule",
+      ]) {
+        const { deployedBytecode } = await hre.artifacts.readArtifact(
+          contractName
+        );
+        expect(ethers.utils.hexDataLength(deployedBytecode)).to.be.at.most(
+          24576,
+          contractName
+        );
+      }
+    });
+
+    it("Should reject modules without code", async function () {
+      await expect(
+        CBDCToken.deploy({ ...modules, recovery: addr1.address })
+      ).to.be.revertedWith("Invalid module");
+    });
+
+    it("Should only run modules on the token's storage", async function () {
+      const policyModule = await ethers.getContractAt(
+        "CBDCPolicyModule",
+        modules.policy
+      );
+      await expect(policyModule.setTransactionCoolDown(0)).to.be.reverted;
+
+      await cbdcToken.setTransactionCoolDown(5);
+      expect(await cbdcToken.transactionCoolDown()).to.equal(5);
+      expect(await policyModule.transactionCoolDown()).to.equal(0);
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should allow minting by minter role", async function () {
+      await cbdcToken.mint(addr1.address, 100, REASON_CODE);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(100);
+    });
+
+    it("Should fail if minting by non-minter", async function () {
+      await expect(
+        cbdcToken.connect(addr1).mint(addr2.address, 100, REASON_CODE)
+      ).to.be.reverted;
+    });
+
+    it("Should not allow minting beyond max supply", async function () {
+      const maxSupply = await cbdcToken.MAX_SUPPLY();
+      await expect(
+        cbdcToken.mint(addr1.address, maxSupply.add(1), REASON_CODE)
+      ).to.be.revertedWith("Exceeds maximum supply");
+    });
+  });
+
+  describe("Redemption", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const BANK_ACCOUNT = ethers.utils.formatBytes32String("DE89370400440532");
+    const PAYOUT = ethers.utils.formatBytes32String("PAYOUT-1");
+    const REJECTED = ethers.utils.formatBytes32String("ACCOUNT_CLOSED");
+    const Status = { None: 0, Pending: 1, Settled: 2, Rejected: 3, Expired: 4 };
+
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+    });
+
+    it("Should escrow the amount and file a request", async function () {
+      const tx = await cbdcToken
+        .connect(addr1)
+        .requestRedemption(300, BANK_ACCOUNT);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const expiresAt = timestamp + 7 * ONE_DAY;
+
+      await expect(tx)
+        .to.emit(cbdcToken, "RedemptionRequested")
+        .withArgs(1, addr1.address, 300, BANK_ACCOUNT, expiresAt);
+      const request = await cbdcToken.getRedemptionRequest(1);
+      expect(request.holder).to.equal(addr1.address);
+      expect(request.amount).to.equal(300);
+      expect(request.bankAccountReference).to.equal(BANK_ACCOUNT);
+      expect(request.expiresAt).to.equal(expiresAt);
+      expect(request.status).to.equal(Status.Pending);
+      expect(await cbdcToken.redemptionRequestCount()).to.equal(1);
+      expect(await cbdcToken.redemptionEscrowOf(addr1.address)).to.equal(300);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1000);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(700);
+    });
+
+    it("Should not let the holder spend escrowed funds", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 701)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        cbdcToken.connect(addr1).requestRedemption(701, BANK_ACCOUNT)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should burn the escrowed amount on settlement", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+
+      await expect(cbdcToken.settleRedemption(1, PAYOUT))
+        .to.emit(cbdcToken, "RedemptionSettled")
+        .withArgs(1, owner.address)
+        .and.to.emit(cbdcToken, "Redeemed")
+        .withArgs(owner.address, addr1.address, 300, PAYOUT);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(700);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(700);
+      expect(await cbdcToken.redemptionEscrowOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.totalSupply()).to.equal(700);
+      expect((await cbdcToken.getRedemptionRequest(1)).status).to.equal(
+        Status.Settled
+      );
+    });
+
+    it("Should refund the escrowed amount on rejection", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+
+      await expect(cbdcToken.rejectRedemption(1, REJECTED))
+        .to.emit(cbdcToken, "RedemptionRejected")
+        .withArgs(1, owner.address, REJECTED);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1000);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(1000);
+      expect((await cbdcToken.getRedemptionRequest(1)).status).to.equal(
+        Status.Rejected
+      );
+    });
+
+    it("Should only settle or reject pending requests", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await cbdcToken.settleRedemption(1, PAYOUT);
+
+      await expect(cbdcToken.settleRedemption(1, PAYOUT)).to.be.revertedWith(
+        "Redemption not pending"
+      );
+      await expect(cbdcToken.rejectRedemption(1, REJECTED)).to.be.revertedWith(
+        "Redemption not pending"
+      );
+      await expect(cbdcToken.settleRedemption(2, PAYOUT)).to.be.revertedWith(
+        "Redemption not pending"
+      );
+    });
+
+    it("Should only let the burner role settle or reject", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await expect(cbdcToken.connect(addr1).settleRedemption(1, PAYOUT)).to.be
+        .reverted;
+      await expect(cbdcToken.connect(addr1).rejectRedemption(1, REJECTED)).to.be
+        .reverted;
+    });
+
+    it("Should not settle an expired request", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await time.increase(7 * ONE_DAY + 1);
+
+      await expect(cbdcToken.settleRedemption(1, PAYOUT)).to.be.revertedWith(
+        "Redemption expired"
+      );
+    });
+
+    it("Should release the escrow of an expired request", async function () {
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await expect(
+        cbdcToken.connect(addr2).expireRedemption(1)
+      ).to.be.revertedWith("Redemption not expired");
+
+      await time.increase(7 * ONE_DAY + 1);
+      await expect(cbdcToken.connect(addr2).expireRedemption(1))
+        .to.emit(cbdcToken, "RedemptionExpired")
+        .withArgs(1);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(1000);
+      expect((await cbdcToken.getRedemptionRequest(1)).status).to.equal(
+        Status.Expired
+      );
+      await expect(cbdcToken.rejectRedemption(1, REJECTED)).to.be.revertedWith(
+        "Redemption not pending"
+      );
+    });
+
+    it("Should let the policy setter change the expiry period", async function () {
+      await expect(cbdcToken.setRedemptionExpiryPeriod(ONE_DAY))
+        .to.emit(cbdcToken, "PolicyUpdated")
+        .withArgs("RedemptionExpiryPeriod", ONE_DAY);
+      await cbdcToken.connect(addr1).requestRedemption(300, BANK_ACCOUNT);
+      await time.increase(ONE_DAY + 1);
+      await cbdcToken.expireRedemption(1);
+
+      await expect(cbdcToken.connect(addr1).setRedemptionExpiryPeriod(1)).to.be
+        .reverted;
+    });
+
+    it("Should require KYC verification to request a redemption", async function () {
+      await cbdcToken.mint(addr5.address, 100, REASON_CODE);
+      await expect(
+        cbdcToken.connect(addr5).requestRedemption(100, BANK_ACCOUNT)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should reject zero-amount requests", async function () {
+      await expect(
+        cbdcToken.connect(addr1).requestRedemption(0, BANK_ACCOUNT)
+      ).to.be.revertedWith("Invalid redemption amount");
+    });
+
+    it("Should not accept requests while paused", async function () {
+      await cbdcToken.pause();
+      await expect(
+        cbdcToken.connect(addr1).requestRedemption(100, BANK_ACCOUNT)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should no longer let the burner role burn holders' balances directly", async function () {
+      expect(cbdcToken.burn).to.equal(undefined);
+    });
+  });
+
+  describe("Issuance Quotas", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const REDEMPTION = ethers.utils.formatBytes32String("REDEMPTION");
+
+    beforeEach(async function () {
+      await cbdcToken.grantRole(MINTER_ROLE, addr3.address);
+      await cbdcToken.grantRole(BURNER_ROLE, addr3.address);
+      await cbdcToken.setMintAllowance(addr3.address, 1000);
+      await cbdcToken.setBurnAllowance(addr3.address, 300);
+    });
+
+    it("Should emit Issued with the reason code and use up the minter allowance", async function () {
+      await expect(
+        cbdcToken.connect(addr3).mint(addr1.address, 400, REASON_CODE)
+      )
+        .to.emit(cbdcToken, "Issued")
+        .withArgs(addr3.address, addr1.address, 400, REASON_CODE);
+      expect(await cbdcToken.mintAllowance(addr3.address)).to.equal(600);
+      expect(await cbdcToken.totalIssued()).to.equal(400);
+    });
+
+    it("Should not mint beyond the minter allowance", async function () {
+      await cbdcToken.connect(addr3).mint(addr1.address, 1000, REASON_CODE);
+      await expect(
+        cbdcToken.connect(addr3).mint(addr1.address, 1, REASON_CODE)
+      ).to.be.revertedWith("Exceeds minter allowance");
+    });
+
+    it("Should let the admin replenish and revoke allowances", async function () {
+      await cbdcToken.connect(addr3).mint(addr1.address, 1000, REASON_CODE);
+
+      await expect(cbdcToken.setMintAllowance(addr3.address, 500))
+        .to.emit(cbdcToken, "MintAllowanceUpdated")
+        .withArgs(addr3.address, 500);
+      await cbdcToken.connect(addr3).mint(addr1.address, 500, REASON_CODE);
+
+      await cbdcToken.setMintAllowance(addr3.address, 500);
+      await cbdcToken.setMintAllowance(addr3.address, 0);
+      await expect(
+        cbdcToken.connect(addr3).mint(addr1.address, 1, REASON_CODE)
+      ).to.be.revertedWith("Exceeds minter allowance");
+    });
+
+    it("Should only let the admin set allowances", async function () {
+      await expect(
+        cbdcToken.connect(addr3).setMintAllowance(addr3.address, 10000)
+      ).to.be.reverted;
+      await expect(
+        cbdcToken.connect(addr3).setBurnAllowance(addr3.address, 10000)
+      ).to.be.reverted;
+    });
+
+    it("Should emit Redeemed with the reason code and use up the burner allowance", async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.connect(addr1).requestRedemption(200, REDEMPTION);
+      await cbdcToken.connect(addr1).requestRedemption(101, REDEMPTION);
+
+      await expect(cbdcToken.connect(addr3).settleRedemption(1, REDEMPTION))
+        .to.emit(cbdcToken, "Redeemed")
+        .withArgs(addr3.address, addr1.address, 200, REDEMPTION);
+      expect(await cbdcToken.burnAllowance(addr3.address)).to.equal(100);
+      expect(await cbdcToken.totalRedeemed()).to.equal(200);
+
+      await expect(
+        cbdcToken.connect(addr3).settleRedemption(2, REDEMPTION)
+      ).to.be.revertedWith("Exceeds burner allowance");
+      await expect(cbdcToken.setBurnAllowance(addr3.address, 1000))
+        .to.emit(cbdcToken, "BurnAllowanceUpdated")
+        .withArgs(addr3.address, 1000);
+      await cbdcToken.connect(addr3).settleRedemption(2, REDEMPTION);
+    });
+
+    it("Should reconcile total supply with issuance and redemption", async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.connect(addr3).mint(addr2.address, 700, REASON_CODE);
+      await cbdcToken.connect(addr1).requestRedemption(300, REDEMPTION);
+      await cbdcToken.connect(addr3).settleRedemption(1, REDEMPTION);
+      await cbdcToken.setCustodyAccount(owner.address);
+      await cbdcToken.seize(addr2.address, 100, REDEMPTION);
+
+      const issued = await cbdcToken.totalIssued();
+      const redeemed = await cbdcToken.totalRedeemed();
+      expect(issued).to.equal(1700);
+      expect(redeemed).to.equal(300);
+      expect(await cbdcToken.totalSupply()).to.equal(issued.sub(redeemed));
+    });
+
+    describe("Epoch Ceilings", function () {
+      beforeEach(async function () {
+        await cbdcToken.setMintCeiling(ONE_DAY, 1000);
+      });
+
+      it("Should emit PolicyUpdated events", async function () {
+        await expect(cbdcToken.setMintCeiling(2 * ONE_DAY, 500))
+          .to.emit(cbdcToken, "PolicyUpdated")
+          .withArgs("MintEpochLength", 2 * ONE_DAY)
+          .and.to.emit(cbdcToken, "PolicyUpdated")
+          .withArgs("MaxMintPerEpoch", 500);
+      });
+
+      it("Should cap issuance across all minters within an epoch", async function () {
+        await time.increaseTo(
+          Math.ceil(((await time.latest()) + 1) / ONE_DAY) * ONE_DAY
+        );
+        await cbdcToken.mint(addr1.address, 600, REASON_CODE);
+        expect(await cbdcToken.getEpochMintAllowance()).to.equal(400);
+
+        await expect(
+          cbdcToken.connect(addr3).mint(addr2.address, 500, REASON_CODE)
+        ).to.be.revertedWith("Exceeds epoch mint ceiling");
+        await cbdcToken.connect(addr3).mint(addr2.address, 400, REASON_CODE);
+        expect(await cbdcToken.getEpochMintAllowance()).to.equal(0);
+      });
+
+      it("Should reset the ceiling in the next epoch", async function () {
+        await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+        await time.increase(ONE_DAY);
+
+        expect(await cbdcToken.getEpochMintAllowance()).to.equal(1000);
+        await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+        expect(await cbdcToken.totalSupply()).to.equal(2000);
+      });
+
+      it("Should not apply the ceiling when the epoch length is zero", async function () {
+        await cbdcToken.setMintCeiling(0, 0);
+        expect(await cbdcToken.getEpochMintAllowance()).to.equal(
+          ethers.constants.MaxUint256
+        );
+        await cbdcToken.mint(addr1.address, 5000, REASON_CODE);
+      });
+
+      it("Should only let the policy setter change the ceiling", async function () {
+        await expect(cbdcToken.connect(addr3).setMintCeiling(ONE_DAY, 1)).to.be
+          .reverted;
+      });
+    });
+  });
+
+  describe("Purpose-Bound Funds", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const FOOD = ethers.utils.formatBytes32String("FOOD");
+    const TRANSPORT = ethers.utils.formatBytes32String("TRANSPORT");
+    const WELFARE = ethers.utils.formatBytes32String("WELFARE");
+    let expiresAt;
+
+    beforeEach(async function () {
+      await cbdcToken.setTransactionCoolDown(0);
+      await cbdcToken.setMerchantCategory(addr3.address, FOOD);
+      await cbdcToken.setMerchantCategory(addr4.address, TRANSPORT);
+      expiresAt = (await time.latest()) + 30 * ONE_DAY;
+      await cbdcToken.mintRestricted(
+        addr1.address,
+        500,
+        FOOD,
+        expiresAt,
+        WELFARE
+      );
+    });
+
+    it("Should issue restricted funds tagged with category, expiry and issuer", async function () {
+      await expect(
+        cbdcToken.mintRestricted(addr2.address, 300, FOOD, expiresAt, WELFARE)
+      )
+        .to.emit(cbdcToken, "RestrictedFundsIssued")
+        .withArgs(addr2.address, 300, FOOD, expiresAt, owner.address)
+        .and.to.emit(cbdcToken, "Issued")
+        .withArgs(owner.address, addr2.address, 300, WELFARE);
+
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(500);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(500);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(0);
+      const [restricted] = await cbdcToken.getRestrictedBalances(addr1.address);
+      expect(restricted.amount).to.equal(500);
+      expect(restricted.category).to.equal(FOOD);
+      expect(restricted.expiresAt).to.equal(expiresAt);
+      expect(restricted.issuer).to.equal(owner.address);
+    });
+
+    it("Should spend restricted funds at merchants of the matching category", async function () {
+      await cbdcToken.connect(addr1).transfer(addr3.address, 200);
+
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(300);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(200);
+      expect(await cbdcToken.availableBalanceOf(addr3.address)).to.equal(200);
+    });
+
+    it("Should not spend restricted funds anywhere else", async function () {
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr4.address, 1)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        cbdcToken.connect(addr1).lockOfflineFunds(1)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        cbdcToken.connect(addr1).requestRedemption(1, WELFARE)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should use restricted funds first and unrestricted funds for the rest", async function () {
+      await cbdcToken.mint(addr1.address, 100, REASON_CODE);
+      await cbdcToken.connect(addr1).transfer(addr3.address, 550);
+
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.getRestrictedBalances(addr1.address)).to.be.empty;
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(50);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr3.address, 51)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should consume restricted funds through transferFrom and offline vouchers", async function () {
+      await cbdcToken.connect(addr1).approve(addr2.address, 100);
+      await cbdcToken
+        .connect(addr2)
+        .transferFrom(addr1.address, addr3.address, 100);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(400);
+
+      const voucher = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 150,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await cbdcToken.processOfflineTransaction(
+        voucher.from,
+        voucher.to,
+        voucher.amount,
+        voucher.nonce,
+        voucher.expirationTimestamp,
+        await signVoucher(addr1, domain, voucher)
+      );
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(250);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(250);
+    });
+
+    it("Should merge issuances with the same category, expiry and issuer", async function () {
+      await cbdcToken.mintRestricted(
+        addr1.address,
+        100,
+        FOOD,
+        expiresAt,
+        WELFARE
+      );
+      await cbdcToken.mintRestricted(
+        addr1.address,
+        100,
+        FOOD,
+        expiresAt + 1,
+        WELFARE
+      );
+
+      const restricted = await cbdcToken.getRestrictedBalances(addr1.address);
+      expect(restricted.length).to.equal(2);
+      expect(restricted[0].amount).to.equal(600);
+      expect(restricted[1].amount).to.equal(100);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(700);
+    });
+
+    it("Should limit the number of restricted balances per holder", async function () {
+      const limit = await cbdcToken.MAX_RESTRICTED_BALANCES();
+      for (let i = 1; i < limit; i++) {
+        await cbdcToken.mintRestricted(
+          addr1.address,
+          1,
+          FOOD,
+          expiresAt + i,
+          WELFARE
+        );
+      }
+      await expect(
+        cbdcToken.mintRestricted(
+          addr1.address,
+          1,
+          FOOD,
+          expiresAt + limit.toNumber(),
+          WELFARE
+        )
+      ).to.be.revertedWith("Too many restricted balances");
+    });
+
+    it("Should not spend expired restricted funds", async function () {
+      await time.increaseTo(expiresAt);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr3.address, 1)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should return expired restricted funds to the issuer", async function () {
+      await cbdcToken.grantRole(MINTER_ROLE, addr2.address);
+      await cbdcToken.setMintAllowance(addr2.address, 1000);
+      await cbdcToken
+        .connect(addr2)
+        .mintRestricted(addr1.address, 200, TRANSPORT, expiresAt * 2, WELFARE);
+      await cbdcToken.connect(addr1).transfer(addr3.address, 100);
+
+      await time.increaseTo(expiresAt);
+      await expect(
+        cbdcToken.connect(addr5).returnExpiredRestrictedFunds(addr1.address)
+      )
+        .to.emit(cbdcToken, "RestrictedFundsReturned")
+        .withArgs(addr1.address, owner.address, 400, FOOD);
+
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(200);
+      expect(await cbdcToken.balanceOf(owner.address)).to.equal(400);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(200);
+      const [remaining] = await cbdcToken.getRestrictedBalances(addr1.address);
+      expect(remaining.category).to.equal(TRANSPORT);
+      expect(remaining.issuer).to.equal(addr2.address);
+    });
+
+    it("Should return expired funds regardless of pause and blacklist", async function () {
+      await time.increaseTo(expiresAt);
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      await cbdcToken.pause();
+
+      await cbdcToken.returnExpiredRestrictedFunds(addr1.address);
+      expect(await cbdcToken.balanceOf(owner.address)).to.equal(500);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should validate restricted issuance", async function () {
+      await expect(
+        cbdcToken.mintRestricted(
+          addr1.address,
+          1,
+          ethers.constants.HashZero,
+          expiresAt,
+          WELFARE
+        )
+      ).to.be.revertedWith("Invalid merchant category");
+      await expect(
+        cbdcToken.mintRestricted(
+          addr1.address,
+          1,
+          FOOD,
+          await time.latest(),
+          WELFARE
+        )
+      ).to.be.revertedWith("Invalid expiry");
+      await expect(
+        cbdcToken
+          .connect(addr1)
+          .mintRestricted(addr1.address, 1, FOOD, expiresAt, WELFARE)
+      ).to.be.reverted;
+    });
+
+    it("Should let the KYC admin manage the merchant registry", async function () {
+      await expect(cbdcToken.setMerchantCategory(addr2.address, FOOD))
+        .to.emit(cbdcToken, "MerchantCategoryChanged")
+        .withArgs(addr2.address, FOOD);
+      expect(await cbdcToken.merchantCategoryOf(addr2.address)).to.equal(FOOD);
+
+      await expect(
+        cbdcToken.connect(addr1).setMerchantCategory(addr1.address, FOOD)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Interest and Holding Fees", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+    const BALANCE = 1000000;
+    let mintedAt;
+
+    // Mines the next transaction exactly `seconds` after the mint
+    async function after(seconds) {
+      await time.setNextBlockTimestamp(mintedAt + seconds);
+    }
+
+    beforeEach(async function () {
+      await cbdcToken.setTransactionCoolDown(0);
+      // Keep KYC verifications valid across the time travel below
+      await cbdcToken.setKYCValidityPeriod(100 * YEAR);
+      for (const account of [addr1, addr2]) {
+        await cbdcToken.setKYCStatus(account.address, true, 1);
+      }
+      const tx = await cbdcToken.mint(addr1.address, BALANCE, REASON_CODE);
+      mintedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+    });
+
+    it("Should let the policy setter configure a tier", async function () {
+      await expect(cbdcToken.setInterestTier(1, -250, 5000, 100))
+        .to.emit(cbdcToken, "InterestTierUpdated")
+        .withArgs(1, -250, 5000, 100);
+      const tier = await cbdcToken.getInterestTier(1);
+      expect(tier.annualRateBps).to.equal(-250);
+      expect(tier.holdingFeeThreshold).to.equal(5000);
+      expect(tier.holdingFeeBps).to.equal(100);
+
+      await expect(cbdcToken.connect(addr1).setInterestTier(1, 100, 0, 0)).to.be
+        .reverted;
+    });
+
+    it("Should reject rates and fees above 100%", async function () {
+      await expect(
+        cbdcToken.setInterestTier(1, 10001, 0, 0)
+      ).to.be.revertedWith("Invalid interest rate");
+      await expect(
+        cbdcToken.setInterestTier(1, -10001, 0, 0)
+      ).to.be.revertedWith("Invalid interest rate");
+      await expect(
+        cbdcToken.setInterestTier(1, 0, 0, 10001)
+      ).to.be.revertedWith("Invalid holding fee");
+    });
+
+    it("Should accrue a positive rate over time", async function () {
+      await cbdcToken.setInterestTier(1, 500, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await time.increaseTo(mintedAt + YEAR);
+      const accrued = await cbdcToken.accruedInterestOf(addr1.address);
+      expect(accrued.interest).to.equal(BALANCE / 20);
+      expect(accrued.holdingFee).to.equal(0);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(BALANCE);
+
+      await after(2 * YEAR);
+      await expect(cbdcToken.accrueInterest(addr1.address))
+        .to.emit(cbdcToken, "InterestAccrued")
+        .withArgs(addr1.address, BALANCE / 10, 0);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1100000);
+      expect(await cbdcToken.totalInterestPaid()).to.equal(100000);
+    });
+
+    it("Should charge a negative rate", async function () {
+      await cbdcToken.setInterestTier(1, -200, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await after(YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(980000);
+      expect(await cbdcToken.totalInterestCharged()).to.equal(20000);
+    });
+
+    it("Should compound at each settlement", async function () {
+      await cbdcToken.setInterestTier(1, 500, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await after(YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      await after(2 * YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1102500);
+    });
+
+    it("Should apply each rate to the period it was in force", async function () {
+      await cbdcToken.setInterestTier(1, 500, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await after(YEAR);
+      await cbdcToken.setInterestTier(1, -300, 0, 0);
+      await after(3 * YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      // +5% for one year, then -3% for two years, without compounding in between
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(990000);
+    });
+
+    it("Should charge a holding fee on the balance above the threshold", async function () {
+      await cbdcToken.setInterestTier(1, 0, 100000, 100);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await time.increaseTo(mintedAt + YEAR);
+      const accrued = await cbdcToken.accruedInterestOf(addr1.address);
+      expect(accrued.interest).to.equal(0);
+      expect(accrued.holdingFee).to.equal(9000);
+
+      await after(YEAR + 1);
+      await cbdcToken.accrueInterest(addr1.address);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(991000);
+
+      await cbdcToken.mint(addr2.address, 100000, REASON_CODE);
+      await time.increase(YEAR);
+      expect(
+        (await cbdcToken.accruedInterestOf(addr2.address)).holdingFee
+      ).to.equal(0);
+    });
+
+    it("Should settle accrued interest when funds move", async function () {
+      await cbdcToken.setInterestTier(1, 1000, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await after(YEAR);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1099000);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(1000);
+    });
+
+    it("Should settle under the old schedule when the tier changes", async function () {
+      await cbdcToken.setInterestTier(1, 500, 0, 0);
+      await cbdcToken.accrueInterest(addr1.address);
+      mintedAt = await time.latest();
+
+      await after(YEAR);
+      await cbdcToken.setKYCStatus(addr1.address, true, 2);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1050000);
+
+      await time.increase(YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1050000);
+    });
+
+    it("Should not charge more than the balance", async function () {
+      await cbdcToken.setInterestTier(1, -10000, 0, 10000);
+      await cbdcToken.accrueInterest(addr1.address);
+
+      await time.increase(5 * YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.totalSupply()).to.equal(0);
+    });
+
+    it("Should settle the recipient's interest before checking the supply cap", async function () {
+      const maxSupply = await cbdcToken.MAX_SUPPLY();
+      await cbdcToken.setInterestTier(1, 10000, 0, 0);
+      await cbdcToken.mint(addr2.address, maxSupply.div(2), REASON_CODE);
+
+      await time.increase(180 * 24 * 60 * 60);
+      const headroom = maxSupply.sub(await cbdcToken.totalSupply());
+      await expect(
+        cbdcToken.mint(addr2.address, headroom, REASON_CODE)
+      ).to.be.revertedWith("Exceeds maximum supply");
+
+      await cbdcToken.accrueInterest(addr2.address);
+      const remaining = maxSupply.sub(await cbdcToken.totalSupply());
+      await cbdcToken.mint(addr2.address, remaining.div(2), REASON_CODE);
+      expect(await cbdcToken.totalSupply()).to.be.lte(maxSupply);
+    });
+
+    it("Should keep the supply reconcilable", async function () {
+      await cbdcToken.mint(addr2.address, BALANCE, REASON_CODE);
+      await cbdcToken.setKYCStatus(addr2.address, true, 2);
+      await cbdcToken.setInterestTier(1, 400, 0, 0);
+      await cbdcToken.setInterestTier(2, -100, 500000, 50);
+
+      await time.increase(3 * YEAR);
+      await cbdcToken.accrueInterest(addr1.address);
+      await cbdcToken.connect(addr2).transfer(addr1.address, 1);
+
+      const supply = (await cbdcToken.totalIssued())
+        .sub(await cbdcToken.totalRedeemed())
+        .add(await cbdcToken.totalInterestPaid())
+        .sub(await cbdcToken.totalInterestCharged());
+      expect(await cbdcToken.totalSupply()).to.equal(supply);
+      expect(await cbdcToken.totalInterestPaid()).to.be.gt(0);
+      expect(await cbdcToken.totalInterestCharged()).to.be.gt(0);
+    });
+  });
+
+  describe("Transaction Fees", function () {
+    const FeeType = { Transfer: 0, Offline: 1, Relayer: 2 };
+
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 10000, REASON_CODE);
+      await cbdcToken.setFeeCollector(addr4.address);
+    });
+
+    async function signOfflineVoucher(amount, nonce) {
+      const voucher = {
+        from: addr1.address,
+        to: addr2.address,
+        amount,
+        nonce,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      return { voucher, signature: await signVoucher(addr1, domain, voucher) };
+    }
+
+    it("Should combine the flat fee and basis points within the minimum and maximum", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 5, 100, 10, 50);
+
+      expect(await cbdcToken.calculateFee(FeeType.Transfer, 100)).to.equal(10);
+      expect(await cbdcToken.calculateFee(FeeType.Transfer, 2000)).to.equal(25);
+      expect(await cbdcToken.calculateFee(FeeType.Transfer, 10000)).to.equal(
+        50
+      );
+      expect(await cbdcToken.calculateFee(FeeType.Transfer, 4)).to.equal(4);
+    });
+
+    it("Should emit an event when a fee schedule changes", async function () {
+      await expect(cbdcToken.setFeeSchedule(FeeType.Offline, 1, 20, 0, 0))
+        .to.emit(cbdcToken, "FeeScheduleUpdated")
+        .withArgs(FeeType.Offline, 1, 20, 0, 0);
+
+      const schedule = await cbdcToken.getFeeSchedule(FeeType.Offline);
+      expect(schedule.flatFee).to.equal(1);
+      expect(schedule.feeBps).to.equal(20);
+    });
+
+    it("Should reject invalid fee schedules", async function () {
+      await expect(
+        cbdcToken.setFeeSchedule(FeeType.Transfer, 0, 10001, 0, 0)
+      ).to.be.revertedWith("Invalid fee schedule");
+      await expect(
+        cbdcToken.setFeeSchedule(FeeType.Transfer, 0, 100, 20, 10)
+      ).to.be.revertedWith("Invalid fee schedule");
+    });
+
+    it("Should only allow the policy setter to change fees", async function () {
+      await expect(
+        cbdcToken.connect(addr1).setFeeSchedule(FeeType.Transfer, 1, 0, 0, 0)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${POLICY_SETTER_ROLE}`
+      );
+      await expect(
+        cbdcToken.connect(addr1).setFeeCollector(addr1.address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${POLICY_SETTER_ROLE}`
+      );
+      await expect(
+        cbdcToken.connect(addr1).setFeeExemption(addr1.address, true)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${POLICY_SETTER_ROLE}`
+      );
+    });
+
+    it("Should deduct the transfer fee from the amount received", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 2, 100, 0, 0);
+
+      await expect(cbdcToken.connect(addr1).transfer(addr2.address, 1000))
+        .to.emit(cbdcToken, "FeeCharged")
+        .withArgs(addr2.address, addr4.address, 12, FeeType.Transfer);
+
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(9000);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(988);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(12);
+    });
+
+    it("Should charge the transfer fee on transferFrom", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 10, 0, 0, 0);
+      await cbdcToken.connect(addr1).approve(addr3.address, 500);
+
+      await cbdcToken
+        .connect(addr3)
+        .transferFrom(addr1.address, addr2.address, 500);
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(490);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(10);
+    });
+
+    it("Should not charge fees without a fee collector", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 10, 0, 0, 0);
+      await expect(cbdcToken.setFeeCollector(ethers.constants.AddressZero))
+        .to.emit(cbdcToken, "FeeCollectorChanged")
+        .withArgs(addr4.address, ethers.constants.AddressZero);
+
+      await cbdcToken.connect(addr1).transfer(addr2.address, 500);
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(500);
+    });
+
+    it("Should not charge fees to or from exempt addresses", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 10, 0, 0, 0);
+      await cbdcToken.mint(addr3.address, 1000, REASON_CODE);
+      await expect(cbdcToken.setFeeExemption(addr1.address, true))
+        .to.emit(cbdcToken, "FeeExemptionChanged")
+        .withArgs(addr1.address, true);
+
+      await cbdcToken.connect(addr1).transfer(addr2.address, 500);
+      await cbdcToken.connect(addr3).transfer(addr1.address, 500);
+
+      expect(await cbdcToken.isFeeExempt(addr1.address)).to.equal(true);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(500);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(10000);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(0);
+    });
+
+    it("Should charge the offline fee to the collector and the relayer fee to the submitter", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 100, 0, 0, 0);
+      await cbdcToken.setFeeSchedule(FeeType.Offline, 10, 0, 0, 0);
+      await cbdcToken.setFeeSchedule(FeeType.Relayer, 0, 100, 0, 0);
+      const { voucher, signature } = await signOfflineVoucher(1010, 1);
+
+      await expect(
+        cbdcToken
+          .connect(addr3)
+          .processOfflineTransaction(
+            voucher.from,
+            voucher.to,
+            voucher.amount,
+            voucher.nonce,
+            voucher.expirationTimestamp,
+            signature
+          )
+      )
+        .to.emit(cbdcToken, "FeeCharged")
+        .withArgs(addr2.address, addr4.address, 10, FeeType.Offline)
+        .and.to.emit(cbdcToken, "FeeCharged")
+        .withArgs(addr2.address, addr3.address, 10, FeeType.Relayer);
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(990);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(10);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(10);
+    });
+
+    it("Should not pay fees to blacklisted or unverified relayers and collectors", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Offline, 10, 0, 0, 0);
+      await cbdcToken.setFeeSchedule(FeeType.Relayer, 10, 0, 0, 0);
+      await cbdcToken.setTransactionCoolDown(0);
+      await cbdcToken.setBlacklistStatus(addr4.address, true);
+      await cbdcToken.setBlacklistStatus(addr5.address, true);
+      await cbdcToken.setKYCStatus(addr3.address, false, 0);
+
+      // addr5 is blacklisted and unverified, addr3 only unverified
+      for (const [relayer, nonce] of [
+        [addr5, 1],
+        [addr3, 2],
+      ]) {
+        const { voucher, signature } = await signOfflineVoucher(100, nonce);
+        await expect(
+          cbdcToken
+            .connect(relayer)
+            .processOfflineTransaction(
+              voucher.from,
+              voucher.to,
+              voucher.amount,
+              voucher.nonce,
+              voucher.expirationTimestamp,
+              signature
+            )
+        ).not.to.emit(cbdcToken, "FeeCharged");
+      }
+
+      await cbdcToken.setFeeSchedule(FeeType.Transfer, 10, 0, 0, 0);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(300);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(0);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(0);
+      expect(await cbdcToken.balanceOf(addr5.address)).to.equal(0);
+    });
+
+    it("Should pay the relayer fee to the submitter of a bulk batch", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Relayer, 5, 0, 0, 0);
+      await cbdcToken.setTransactionCoolDown(0);
+      const signedVouchers = [
+        await signOfflineVoucher(100, 1),
+        await signOfflineVoucher(200, 2),
+      ];
+
+      await cbdcToken
+        .connect(addr3)
+        .processBulkOfflineTransactions(...toBulkArguments(signedVouchers));
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(290);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(10);
+    });
+
+    it("Should pay the relayer fee to the submitter of a partial bulk batch", async function () {
+      await cbdcToken.setFeeSchedule(FeeType.Relayer, 5, 0, 0, 0);
+      await cbdcToken.setTransactionCoolDown(0);
+      const signedVouchers = [
+        await signOfflineVoucher(100, 1),
+        await signOfflineVoucher(200, 2),
+      ];
+
+      await cbdcToken
+        .connect(addr3)
+        .tryProcessBulkOfflineTransactions(...toBulkArguments(signedVouchers));
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(290);
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(10);
+      expect(await cbdcToken.balanceOf(cbdcToken.address)).to.equal(0);
+    });
+  });
+
+  describe("Meta-Transactions", function () {
+    describe("Permit", function () {
+      let deadline;
+
+      beforeEach(async function () {
+        await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+        deadline = (await time.latest()) + 3600;
+      });
+
+      async function signAddr1Permit(value, overrides = {}) {
+        return signPermit(addr1, domain, {
+          owner: addr1.address,
+          spender: addr2.address,
+          value,
+          nonce: await cbdcToken.nonces(addr1.address),
+          deadline,
+          ...overrides,
+        });
+      }
+
+      it("Should approve a spender with the owner's signature", async function () {
+        const { v, r, s } = await signAddr1Permit(500);
+
+        await expect(
+          cbdcToken
+            .connect(addr3)
+            .permit(addr1.address, addr2.address, 500, deadline, v, r, s)
+        )
+          .to.emit(cbdcToken, "Approval")
+          .withArgs(addr1.address, addr2.address, 500);
+
+        expect(
+          await cbdcToken.allowance(addr1.address, addr2.address)
+        ).to.equal(500);
+        expect(await cbdcToken.nonces(addr1.address)).to.equal(1);
+
+        await cbdcToken
+          .connect(addr2)
+          .transferFrom(addr1.address, addr3.address, 500);
+        expect(await cbdcToken.balanceOf(addr3.address)).to.equal(500);
+      });
+
+      it("Should reject an expired permit", async function () {
+        deadline = (await time.latest()) - 1;
+        const { v, r, s } = await signAddr1Permit(500);
+
+        await expect(
+          cbdcToken.permit(addr1.address, addr2.address, 500, deadline, v, r, s)
+        ).to.be.revertedWith("Permit expired");
+      });
+
+      it("Should reject a replayed or forged permit", async function () {
+        const { v, r, s } = await signAddr1Permit(500);
+        await cbdcToken.permit(
+          addr1.address,
+          addr2.address,
+          500,
+          deadline,
+          v,
+          r,
+          s
+        );
+
+        await expect(
+          cbdcToken.permit(addr1.address, addr2.address, 500, deadline, v, r, s)
+        ).to.be.revertedWith("Invalid signature");
+
+        const forged = await signPermit(addr2, domain, {
+          owner: addr1.address,
+          spender: addr2.address,
+          value: 500,
+          nonce: 1,
+          deadline,
+        });
+        await expect(
+          cbdcToken.permit(
+            addr1.address,
+            addr2.address,
+            500,
+            deadline,
+            forged.v,
+            forged.r,
+            forged.s
+          )
+        ).to.be.revertedWith("Invalid signature");
+      });
+
+      it("Should reject a permit from a blacklisted owner", async function () {
+        await cbdcToken.setBlacklistStatus(addr1.address, true);
+        const { v, r, s } = await signAddr1Permit(500);
+
+        await expect(
+          cbdcToken.permit(addr1.address, addr2.address, 500, deadline, v, r, s)
+        ).to.be.revertedWith("Blacklisted address");
+      });
+    });
+
+    describe("Trusted Forwarder", function () {
+      let forwarder, forwarderDomain, user;
+
+      beforeEach(async function () {
+        const ForwarderMock = await ethers.getContractFactory("ForwarderMock");
+        forwarder = await ForwarderMock.deploy();
+        await forwarder.deployed();
+        forwarderDomain = await getEip712Domain(forwarder);
+        await cbdcToken.setTrustedForwarder(forwarder.address);
+
+        // A retail user without any ETH for gas
+        user = ethers.Wallet.createRandom().connect(ethers.provider);
+        await cbdcToken.setKYCStatus(user.address, true, 1);
+        await cbdcToken.mint(user.address, 1000, REASON_CODE);
+      });
+
+      async function relay(signer, functionName, args) {
+        const request = buildForwardRequest({
+          from: signer.address,
+          to: cbdcToken.address,
+          data: cbdcToken.interface.encodeFunctionData(functionName, args),
+          nonce: await forwarder.getNonce(signer.address),
+        });
+        const signature = await signForwardRequest(
+          signer,
+          forwarderDomain,
+          request
+        );
+        return { request, signature };
+      }
+
+      // The forwarder reports a failed call instead of reverting
+      async function relayRevertReason(signer, functionName, args) {
+        const { request, signature } = await relay(signer, functionName, args);
+        const [success, returndata] = await forwarder
+          .connect(addr3)
+          .callStatic.execute(request, signature);
+        expect(success).to.equal(false);
+        return ethers.utils.defaultAbiCoder.decode(
+          ["string"],
+          ethers.utils.hexDataSlice(returndata, 4)
+        )[0];
+      }
+
+      it("Should let the admin set the trusted forwarder", async function () {
+        expect(await cbdcToken.trustedForwarder()).to.equal(forwarder.address);
+        expect(await cbdcToken.isTrustedForwarder(forwarder.address)).to.equal(
+          true
+        );
+        await expect(cbdcToken.setTrustedForwarder(addr3.address))
+          .to.emit(cbdcToken, "TrustedForwarderChanged")
+          .withArgs(forwarder.address, addr3.address);
+        await expect(
+          cbdcToken.connect(addr1).setTrustedForwarder(addr1.address)
+        ).to.be.revertedWith(
+          `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${await cbdcToken.DEFAULT_ADMIN_ROLE()}`
+        );
+      });
+
+      it("Should transfer on behalf of the signer while the relayer pays gas", async function () {
+        const { request, signature } = await relay(user, "transfer", [
+          addr2.address,
+          400,
+        ]);
+
+        await expect(forwarder.connect(addr3).execute(request, signature))
+          .to.emit(cbdcToken, "Transfer")
+          .withArgs(user.address, addr2.address, 400);
+
+        expect(await cbdcToken.balanceOf(user.address)).to.equal(600);
+        expect(await cbdcToken.balanceOf(addr2.address)).to.equal(400);
+        expect(await ethers.provider.getBalance(user.address)).to.equal(0);
+      });
+
+      it("Should apply compliance checks to the signer, not the relayer", async function () {
+        await cbdcToken.setBlacklistStatus(user.address, true);
+        expect(
+          await relayRevertReason(user, "transfer", [addr2.address, 100])
+        ).to.equal("Blacklisted address");
+
+        await cbdcToken.setBlacklistStatus(user.address, false);
+        const { request, signature } = await relay(user, "transfer", [
+          addr2.address,
+          100,
+        ]);
+        await forwarder.connect(addr3).execute(request, signature);
+        expect(
+          await relayRevertReason(user, "transfer", [addr2.address, 100])
+        ).to.equal("Transaction too soon");
+
+        // The cool-down belongs to the signer, so the relayer can still transact
+        await cbdcToken.mint(addr3.address, 100, REASON_CODE);
+        await cbdcToken.connect(addr3).transfer(addr2.address, 100);
+      });
+
+      it("Should check roles against the signer", async function () {
+        expect(
+          await relayRevertReason(user, "mint", [
+            user.address,
+            100,
+            REASON_CODE,
+          ])
+        ).to.equal(
+          `AccessControl: account ${user.address.toLowerCase()} is missing role ${MINTER_ROLE}`
+        );
+      });
+
+      it("Should ignore the appended sender of an untrusted forwarder", async function () {
+        await cbdcToken.setTrustedForwarder(ethers.constants.AddressZero);
+
+        expect(
+          await relayRevertReason(user, "transfer", [addr2.address, 100])
+        ).to.equal("KYC verification required");
+      });
+    });
+  });
+
+  describe("Two-Tier Banking", function () {
+    const BANK_A = ethers.utils.formatBytes32String("Bank A");
+    const BANK_B = ethers.utils.formatBytes32String("Bank B");
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+    let bankA, bankB;
+
+    beforeEach(async function () {
+      await cbdcToken.registerInstitution(addr1.address, BANK_A, 10000);
+      await cbdcToken.registerInstitution(addr2.address, BANK_B, 10000);
+      bankA = cbdcToken.connect(addr1);
+      bankB = cbdcToken.connect(addr2);
+      // The central bank hands its own KYC over and the customers consent to their institution
+      await cbdcToken.setKYCStatus(addr3.address, false, 0);
+      await cbdcToken.setKYCStatus(addr4.address, false, 0);
+      await cbdcToken
+        .connect(addr3)
+        .approveOnboarding(addr3.address, addr1.address);
+      await cbdcToken
+        .connect(addr4)
+        .approveOnboarding(addr4.address, addr2.address);
+      await bankA.onboardCustomer(addr3.address, 1);
+      await bankB.onboardCustomer(addr4.address, 1);
+    });
+
+    it("Should register institutions with a delegated issuance limit", async function () {
+      await expect(cbdcToken.registerInstitution(addr5.address, BANK_A, 500))
+        .to.emit(cbdcToken, "InstitutionRegistered")
+        .withArgs(addr5.address, BANK_A, 500)
+        .and.to.emit(cbdcToken, "MintAllowanceUpdated")
+        .withArgs(addr5.address, 500);
+
+      const institution = await cbdcToken.getInstitution(addr5.address);
+      expect(institution.registered).to.equal(true);
+      expect(institution.active).to.equal(true);
+      expect(institution.name).to.equal(BANK_A);
+      expect(await cbdcToken.mintAllowance(addr5.address)).to.equal(500);
+    });
+
+    it("Should reject invalid institution registrations", async function () {
+      await expect(
+        cbdcToken.registerInstitution(addr1.address, BANK_A, 0)
+      ).to.be.revertedWith("Institution already registered");
+      await expect(
+        cbdcToken.registerInstitution(addr3.address, BANK_A, 0)
+      ).to.be.revertedWith("Already a customer of an institution");
+      await expect(
+        cbdcToken.registerInstitution(ethers.constants.AddressZero, BANK_A, 0)
+      ).to.be.revertedWith("Invalid institution");
+      await expect(
+        cbdcToken.connect(addr1).registerInstitution(addr5.address, BANK_A, 0)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE}`
+      );
+    });
+
+    it("Should let institutions issue to themselves and their customers within their limit", async function () {
+      await expect(bankA.mint(addr3.address, 4000, REASON_CODE))
+        .to.emit(cbdcToken, "Issued")
+        .withArgs(addr1.address, addr3.address, 4000, REASON_CODE);
+      await bankA.mint(addr1.address, 6000, REASON_CODE);
+
+      expect(await cbdcToken.mintAllowance(addr1.address)).to.equal(0);
+      await expect(
+        bankA.mint(addr3.address, 1, REASON_CODE)
+      ).to.be.revertedWith("Exceeds minter allowance");
+      await expect(
+        bankB.mint(addr3.address, 1, REASON_CODE)
+      ).to.be.revertedWith("Not a customer of this institution");
+    });
+
+    it("Should onboard customers with their KYC tier", async function () {
+      await cbdcToken
+        .connect(addr5)
+        .approveOnboarding(addr5.address, addr1.address);
+      await expect(bankA.onboardCustomer(addr5.address, 2))
+        .to.emit(cbdcToken, "CustomerOnboarded")
+        .withArgs(addr1.address, addr5.address)
+        .and.to.emit(cbdcToken, "KYCStatusChanged");
+
+      expect(await cbdcToken.institutionOf(addr5.address)).to.equal(
+        addr1.address
+      );
+      expect(await cbdcToken.isKYCVerified(addr5.address)).to.equal(true);
+      expect(await cbdcToken.approvedInstitutionOf(addr5.address)).to.equal(
+        ethers.constants.AddressZero
+      );
+      expect(
+        (await cbdcToken.getKYCStatus(addr5.address)).verificationLevel
+      ).to.equal(2);
+      expect(
+        (await cbdcToken.getInstitution(addr1.address)).customerCount
+      ).to.equal(2);
+
+      await expect(bankB.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Already a customer of an institution"
+      );
+      await expect(bankA.onboardCustomer(addr2.address, 1)).to.be.revertedWith(
+        "Invalid customer"
+      );
+      await expect(
+        cbdcToken.connect(addr3).onboardCustomer(addr5.address, 1)
+      ).to.be.revertedWith("Not an active institution");
+    });
+
+    it("Should only onboard holders that approved the institution", async function () {
+      await expect(bankA.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Onboarding not approved"
+      );
+      await expect(
+        cbdcToken.connect(addr1).approveOnboarding(addr5.address, addr1.address)
+      ).to.be.revertedWith("Not the customer or KYC admin");
+
+      await expect(
+        cbdcToken.connect(addr5).approveOnboarding(addr5.address, addr2.address)
+      )
+        .to.emit(cbdcToken, "OnboardingApproved")
+        .withArgs(addr5.address, addr2.address, addr5.address);
+      await expect(bankA.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Onboarding not approved"
+      );
+
+      // KYC_ADMIN_ROLE can approve on the holder's behalf
+      await expect(cbdcToken.approveOnboarding(addr5.address, addr1.address))
+        .to.emit(cbdcToken, "OnboardingApproved")
+        .withArgs(addr5.address, addr1.address, owner.address);
+      await bankA.onboardCustomer(addr5.address, 1);
+
+      // The approval is used up by the onboarding
+      await bankA.offboardCustomer(addr5.address);
+      await expect(bankA.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Onboarding not approved"
+      );
+    });
+
+    it("Should not onboard holders the central bank verified", async function () {
+      await cbdcToken.setKYCStatus(addr5.address, true, 2);
+      await cbdcToken
+        .connect(addr5)
+        .approveOnboarding(addr5.address, addr1.address);
+
+      await expect(bankA.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Verified by the central bank"
+      );
+      expect(
+        (await cbdcToken.getKYCStatus(addr5.address)).verificationLevel
+      ).to.equal(2);
+      await expect(
+        bankA.setCustomerBlacklistStatus(addr5.address, true)
+      ).to.be.revertedWith("Not a customer of this institution");
+    });
+
+    it("Should limit KYC and blacklist management to the institution's own customers", async function () {
+      await bankA.setCustomerKYCStatus(addr3.address, true, 3);
+      expect(
+        (await cbdcToken.getKYCStatus(addr3.address)).verificationLevel
+      ).to.equal(3);
+      await bankA.setCustomerBlacklistStatus(addr3.address, true);
+      expect(await cbdcToken.isBlacklisted(addr3.address)).to.equal(true);
+      await bankA.setCustomerBlacklistStatus(addr3.address, false);
+      expect(await cbdcToken.isBlacklisted(addr3.address)).to.equal(false);
+
+      await expect(
+        bankB.setCustomerKYCStatus(addr3.address, false, 0)
+      ).to.be.revertedWith("Not a customer of this institution");
+      await expect(
+        bankB.setCustomerBlacklistStatus(addr3.address, true)
+      ).to.be.revertedWith("Not a customer of this institution");
+      await expect(
+        bankA.setCustomerKYCStatus(addr5.address, true, 1)
+      ).to.be.revertedWith("Not a customer of this institution");
+    });
+
+    it("Should not let institutions lift a central bank blacklisting", async function () {
+      await bankA.setCustomerBlacklistStatus(addr3.address, true);
+      await cbdcToken.setBlacklistStatus(addr3.address, true);
+
+      await expect(
+        bankA.setCustomerBlacklistStatus(addr3.address, false)
+      ).to.be.revertedWith("Blacklisted by the central bank");
+
+      await cbdcToken.setBlacklistStatus(addr3.address, false);
+      await bankA.setCustomerBlacklistStatus(addr3.address, true);
+      await bankA.setCustomerBlacklistStatus(addr3.address, false);
+    });
+
+    it("Should report aggregate customer balances per institution", async function () {
+      await cbdcToken.mint(addr5.address, 700, REASON_CODE);
+      await bankA.mint(addr3.address, 1000, REASON_CODE);
+      await bankB.mint(addr4.address, 500, REASON_CODE);
+      await cbdcToken.connect(addr3).transfer(addr4.address, 300);
+
+      expect(
+        (await cbdcToken.getInstitution(addr1.address)).customerBalance
+      ).to.equal(700);
+      expect(
+        (await cbdcToken.getInstitution(addr2.address)).customerBalance
+      ).to.equal(800);
+
+      // Existing balances are counted from onboarding on
+      await cbdcToken
+        .connect(addr5)
+        .approveOnboarding(addr5.address, addr1.address);
+      await bankA.onboardCustomer(addr5.address, 1);
+      expect(
+        (await cbdcToken.getInstitution(addr1.address)).customerBalance
+      ).to.equal(1400);
+    });
+
+    it("Should remove offboarded customers from the institution", async function () {
+      await bankA.mint(addr3.address, 1000, REASON_CODE);
+
+      await expect(bankA.offboardCustomer(addr3.address))
+        .to.emit(cbdcToken, "CustomerOffboarded")
+        .withArgs(addr1.address, addr3.address);
+
+      const institution = await cbdcToken.getInstitution(addr1.address);
+      expect(institution.customerCount).to.equal(0);
+      expect(institution.customerBalance).to.equal(0);
+      expect(await cbdcToken.institutionOf(addr3.address)).to.equal(
+        ethers.constants.AddressZero
+      );
+      expect(await cbdcToken.isKYCVerified(addr3.address)).to.equal(false);
+      await cbdcToken
+        .connect(addr3)
+        .approveOnboarding(addr3.address, addr2.address);
+      await bankB.onboardCustomer(addr3.address, 1);
+    });
+
+    it("Should distinguish interbank settlement from retail transfers", async function () {
+      await cbdcToken.setTransactionCoolDown(0);
+      await bankA.mint(addr1.address, 1000, REASON_CODE);
+      await bankA.mint(addr3.address, 1000, REASON_CODE);
+
+      await expect(bankA.transfer(addr2.address, 400))
+        .to.emit(cbdcToken, "InterbankSettlement")
+        .withArgs(addr1.address, addr2.address, 400);
+      await expect(
+        cbdcToken.connect(addr3).transfer(addr4.address, 100)
+      ).not.to.emit(cbdcToken, "InterbankSettlement");
+      await expect(bankA.transfer(addr3.address, 100)).not.to.emit(
+        cbdcToken,
+        "InterbankSettlement"
+      );
+    });
+
+    it("Should stop suspended institutions from issuing and managing customers", async function () {
+      await expect(cbdcToken.setInstitutionStatus(addr1.address, false))
+        .to.emit(cbdcToken, "InstitutionStatusChanged")
+        .withArgs(addr1.address, false);
+
+      await expect(
+        bankA.mint(addr3.address, 1, REASON_CODE)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${MINTER_ROLE}`
+      );
+      await expect(bankA.onboardCustomer(addr5.address, 1)).to.be.revertedWith(
+        "Not an active institution"
+      );
+      await expect(
+        bankA.setCustomerBlacklistStatus(addr3.address, true)
+      ).to.be.revertedWith("Not an active institution");
+      expect(await cbdcToken.isKYCVerified(addr3.address)).to.equal(true);
+
+      await cbdcToken.setInstitutionStatus(addr1.address, true);
+      await bankA.mint(addr3.address, 1, REASON_CODE);
+      await expect(
+        cbdcToken.setInstitutionStatus(addr5.address, true)
+      ).to.be.revertedWith("Invalid institution");
+    });
+  });
+
+  describe("Lost-Key Recovery", function () {
+    const DELAY = 3 * 24 * 60 * 60;
+    let guardian1, guardian2, guardian3, newAccount;
+
+    beforeEach(async function () {
+      [guardian1, guardian2, guardian3, newAccount] = (
+        await ethers.getSigners()
+      ).slice(6, 10);
+      await cbdcToken.setTransactionCoolDown(0);
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+    });
+
+    async function setGuardians() {
+      await cbdcToken
+        .connect(addr1)
+        .setRecoveryGuardians(
+          [guardian1.address, guardian2.address, guardian3.address],
+          2
+        );
+    }
+
+    async function approveWithGuardians() {
+      await setGuardians();
+      await cbdcToken
+        .connect(guardian1)
+        .initiateRecovery(addr1.address, newAccount.address);
+      await cbdcToken.connect(guardian2).approveRecovery(addr1.address);
+    }
+
+    it("Should let holders appoint guardians", async function () {
+      const guardians = [guardian1.address, guardian2.address];
+      await expect(cbdcToken.connect(addr1).setRecoveryGuardians(guardians, 2))
+        .to.emit(cbdcToken, "RecoveryGuardiansChanged")
+        .withArgs(addr1.address, guardians, 2);
+
+      const config = await cbdcToken.getRecoveryGuardians(addr1.address);
+      expect(config.guardians).to.deep.equal(guardians);
+      expect(config.threshold).to.equal(2);
+
+      for (const [list, threshold] of [
+        [guardians, 0],
+        [guardians, 3],
+        [[], 1],
+        [[guardian1.address, guardian1.address], 1],
+        [[addr1.address], 1],
+        [[ethers.constants.AddressZero], 1],
+      ]) {
+        await expect(
+          cbdcToken.connect(addr1).setRecoveryGuardians(list, threshold)
+        ).to.be.revertedWith("Invalid guardians");
+      }
+    });
+
+    it("Should queue a recovery once enough guardians approve", async function () {
+      await setGuardians();
+
+      await expect(
+        cbdcToken
+          .connect(guardian1)
+          .initiateRecovery(addr1.address, newAccount.address)
+      )
+        .to.emit(cbdcToken, "RecoveryInitiated")
+        .withArgs(addr1.address, newAccount.address, guardian1.address)
+        .and.to.emit(cbdcToken, "RecoveryApproved")
+        .withArgs(addr1.address, guardian1.address)
+        .and.not.to.emit(cbdcToken, "RecoveryQueued");
+
+      const tx = await cbdcToken
+        .connect(guardian2)
+        .approveRecovery(addr1.address);
+      const executableAt = (await time.latest()) + DELAY;
+      await expect(tx)
+        .to.emit(cbdcToken, "RecoveryQueued")
+        .withArgs(addr1.address, newAccount.address, executableAt);
+
+      const request = await cbdcToken.getRecoveryRequest(addr1.address);
+      expect(request.newAccount).to.equal(newAccount.address);
+      expect(request.approvals).to.equal(2);
+      expect(request.executableAt).to.equal(executableAt);
+      expect(
+        await cbdcToken.hasApprovedRecovery(addr1.address, guardian2.address)
+      ).to.equal(true);
+      expect(
+        await cbdcToken.hasApprovedRecovery(addr1.address, guardian3.address)
+      ).to.equal(false);
+    });
+
+    it("Should reject approvals from anyone but a guardian, and duplicate approvals", async function () {
+      await expect(
+        cbdcToken.connect(guardian1).approveRecovery(addr1.address)
+      ).to.be.revertedWith("No pending recovery");
+      await setGuardians();
+      await expect(
+        cbdcToken
+          .connect(addr2)
+          .initiateRecovery(addr1.address, newAccount.address)
+      ).to.be.revertedWith("Not a guardian");
+
+      await cbdcToken
+        .connect(guardian1)
+        .initiateRecovery(addr1.address, newAccount.address);
+      await expect(
+        cbdcToken.connect(guardian1).approveRecovery(addr1.address)
+      ).to.be.revertedWith("Already approved");
+      await expect(
+        cbdcToken.connect(owner).approveRecovery(addr1.address)
+      ).to.be.revertedWith("Not a guardian");
+    });
+
+    it("Should only recover to an unused address", async function () {
+      await setGuardians();
+      for (const address of [
+        ethers.constants.AddressZero,
+        addr1.address,
+        addr2.address,
+      ]) {
+        await expect(
+          cbdcToken.connect(guardian1).initiateRecovery(addr1.address, address)
+        ).to.be.revertedWith("Invalid recovery address");
+      }
+    });
+
+    it("Should only execute after the waiting period", async function () {
+      await approveWithGuardians();
+
+      await expect(cbdcToken.executeRecovery(addr1.address)).to.be.revertedWith(
+        "Recovery not ready"
+      );
+      await expect(
+        cbdcToken
+          .connect(guardian3)
+          .initiateRecovery(addr1.address, addr5.address)
+      ).to.be.revertedWith("Recovery already approved");
+
+      await time.increase(DELAY);
+      await expect(cbdcToken.executeRecovery(addr1.address))
+        .to.emit(cbdcToken, "RecoveryExecuted")
+        .withArgs(addr1.address, newAccount.address, 1000)
+        .and.to.emit(cbdcToken, "Transfer")
+        .withArgs(addr1.address, newAccount.address, 1000);
+    });
+
+    it("Should let the original key cancel a recovery", async function () {
+      await approveWithGuardians();
+
+      await expect(cbdcToken.connect(addr1).cancelRecovery())
+        .to.emit(cbdcToken, "RecoveryCancelled")
+        .withArgs(addr1.address);
+
+      await time.increase(DELAY);
+      await expect(cbdcToken.executeRecovery(addr1.address)).to.be.revertedWith(
+        "Recovery not ready"
+      );
+      await expect(
+        cbdcToken.connect(guardian2).approveRecovery(addr1.address)
+      ).to.be.revertedWith("No pending recovery");
+      await expect(
+        cbdcToken.connect(addr1).cancelRecovery()
+      ).to.be.revertedWith("No pending recovery");
+    });
+
+    it("Should migrate balance, KYC, blacklisting and held funds to the new address", async function () {
+      const category = ethers.utils.formatBytes32String("FOOD");
+      await cbdcToken.setKYCStatus(addr1.address, true, 2);
+      await cbdcToken.mintRestricted(
+        addr1.address,
+        200,
+        category,
+        (await time.latest()) + 30 * 24 * 60 * 60,
+        REASON_CODE
+      );
+      await cbdcToken.freezeFunds(addr1.address, 100, REASON_CODE);
+      await cbdcToken.connect(addr1).lockOfflineFunds(300);
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      await approveWithGuardians();
+      await time.increase(DELAY);
+
+      const kyc = await cbdcToken.getKYCStatus(addr1.address);
+      await expect(cbdcToken.executeRecovery(addr1.address))
+        .to.emit(cbdcToken, "KYCStatusChanged")
+        .withArgs(newAccount.address, true, 2, kyc.expiresAt)
+        .and.to.emit(cbdcToken, "KYCStatusChanged")
+        .withArgs(addr1.address, false, 0, 0)
+        .and.to.emit(cbdcToken, "BlacklistStatusChanged")
+        .withArgs(newAccount.address, true)
+        .and.to.emit(cbdcToken, "RecoveryGuardiansChanged");
+
+      expect(await cbdcToken.balanceOf(newAccount.address)).to.equal(1200);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.isKYCVerified(newAccount.address)).to.equal(true);
+      expect(await cbdcToken.isKYCVerified(addr1.address)).to.equal(false);
+      expect(await cbdcToken.isBlacklisted(newAccount.address)).to.equal(true);
+      expect(await cbdcToken.frozenBalanceOf(newAccount.address)).to.equal(100);
+      expect(await cbdcToken.offlineBalanceOf(newAccount.address)).to.equal(
+        300
+      );
+      expect(await cbdcToken.restrictedBalanceOf(newAccount.address)).to.equal(
+        200
+      );
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.recoveredAccountOf(addr1.address)).to.equal(
+        newAccount.address
+      );
+      expect(
+        (await cbdcToken.getRecoveryGuardians(newAccount.address)).threshold
+      ).to.equal(2);
+
+      await expect(
+        cbdcToken
+          .connect(guardian1)
+          .initiateRecovery(addr1.address, addr5.address)
+      ).to.be.revertedWith("Account already recovered");
+    });
+
+    it("Should let the holder's institution recover customers without guardians", async function () {
+      const bank = ethers.utils.formatBytes32String("Bank A");
+      await cbdcToken.registerInstitution(addr2.address, bank, 0);
+      await cbdcToken.setKYCStatus(addr3.address, false, 0);
+      await cbdcToken
+        .connect(addr3)
+        .approveOnboarding(addr3.address, addr2.address);
+      await cbdcToken.connect(addr2).onboardCustomer(addr3.address, 1);
+      await cbdcToken.mint(addr3.address, 500, REASON_CODE);
+
+      await expect(
+        cbdcToken
+          .connect(addr4)
+          .initiateRecovery(addr3.address, newAccount.address)
+      ).to.be.revertedWith("Not a recovery agent");
+      await expect(
+        cbdcToken
+          .connect(addr2)
+          .initiateRecovery(addr3.address, newAccount.address)
+      )
+        .to.emit(cbdcToken, "RecoveryApproved")
+        .withArgs(addr3.address, addr2.address)
+        .and.not.to.emit(cbdcToken, "RecoveryQueued");
+      await expect(
+        cbdcToken.connect(addr2).approveRecovery(addr3.address)
+      ).to.be.revertedWith("Already approved");
+      await expect(cbdcToken.approveRecovery(addr3.address)).to.emit(
+        cbdcToken,
+        "RecoveryQueued"
+      );
+      await time.increase(DELAY);
+
+      await expect(cbdcToken.executeRecovery(addr3.address))
+        .to.emit(cbdcToken, "CustomerOnboarded")
+        .withArgs(addr2.address, newAccount.address)
+        .and.to.emit(cbdcToken, "CustomerOffboarded")
+        .withArgs(addr2.address, addr3.address);
+
+      expect(await cbdcToken.institutionOf(newAccount.address)).to.equal(
+        addr2.address
+      );
+      const institution = await cbdcToken.getInstitution(addr2.address);
+      expect(institution.customerCount).to.equal(1);
+      expect(institution.customerBalance).to.equal(500);
+      await expect(
+        cbdcToken.initiateRecovery(addr2.address, addr5.address)
+      ).to.be.revertedWith("Institutions cannot be recovered");
+    });
+
+    it("Should not let an institution alone recover a customer without guardians", async function () {
+      const bank = ethers.utils.formatBytes32String("Bank A");
+      await cbdcToken.registerInstitution(addr2.address, bank, 0);
+      await cbdcToken.setKYCStatus(addr3.address, false, 0);
+      await cbdcToken
+        .connect(addr3)
+        .approveOnboarding(addr3.address, addr2.address);
+      await cbdcToken.connect(addr2).onboardCustomer(addr3.address, 1);
+      await cbdcToken.mint(addr3.address, 1000, REASON_CODE);
+
+      await cbdcToken
+        .connect(addr2)
+        .initiateRecovery(addr3.address, addr5.address);
+      await time.increase(DELAY);
+      await expect(cbdcToken.executeRecovery(addr3.address)).to.be.revertedWith(
+        "Recovery not ready"
+      );
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(1000);
+      expect(await cbdcToken.balanceOf(addr5.address)).to.equal(0);
+
+      // The holder can still stop it once the central bank approved as well
+      await cbdcToken.approveRecovery(addr3.address);
+      await cbdcToken.connect(addr3).cancelRecovery();
+      await time.increase(DELAY);
+      await expect(cbdcToken.executeRecovery(addr3.address)).to.be.revertedWith(
+        "Recovery not ready"
+      );
+    });
+
+    it("Should let the KYC admin recover holders without guardians or an institution", async function () {
+      await expect(
+        cbdcToken
+          .connect(addr2)
+          .initiateRecovery(addr1.address, newAccount.address)
+      ).to.be.revertedWith("Not a recovery agent");
+
+      await cbdcToken.initiateRecovery(addr1.address, newAccount.address);
+      await cbdcToken.connect(addr1).requestRedemption(100, REASON_CODE);
+      await time.increase(DELAY);
+      await expect(cbdcToken.executeRecovery(addr1.address)).to.be.revertedWith(
+        "Redemption pending"
+      );
+
+      await cbdcToken.rejectRedemption(1, REASON_CODE);
+      await cbdcToken.executeRecovery(addr1.address);
+      expect(await cbdcToken.balanceOf(newAccount.address)).to.equal(1000);
+    });
+
+    it("Should redeem vouchers signed by the old key from the migrated offline balance", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(300);
+      // Within the 7-day offline lock, which outlasts the 3-day recovery delay
+      const expirationTimestamp = (await time.latest()) + 6 * 24 * 60 * 60;
+      const vouchers = [1, 2, 3].map((nonce) => ({
+        from: addr1.address,
+        to: addr2.address,
+        amount: nonce === 3 ? 101 : 100,
+        nonce,
+        expirationTimestamp,
+      }));
+      const signatures = await Promise.all(
+        vouchers.map((voucher) => signVoucher(addr1, domain, voucher))
+      );
+      const redeem = (i) =>
+        cbdcToken.processOfflineTransaction(
+          vouchers[i].from,
+          vouchers[i].to,
+          vouchers[i].amount,
+          vouchers[i].nonce,
+          vouchers[i].expirationTimestamp,
+          signatures[i]
+        );
+      await redeem(0);
+      await approveWithGuardians();
+      await time.increase(DELAY);
+      await cbdcToken.executeRecovery(addr1.address);
+
+      await expect(redeem(1))
+        .to.emit(cbdcToken, "Transfer")
+        .withArgs(newAccount.address, addr2.address, 100)
+        .and.to.emit(cbdcToken, "OfflineTransactionProcessed");
+      await expect(redeem(1)).to.be.revertedWith("Nonce already used");
+      await expect(redeem(2)).to.be.revertedWith(
+        "Exceeds migrated offline funds"
+      );
+      expect(await cbdcToken.offlineBalanceOf(newAccount.address)).to.equal(
+        100
+      );
+      expect(await cbdcToken.balanceOf(newAccount.address)).to.equal(800);
+    });
+
+    it("Should not let the old key spend the recovered funds with new vouchers", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(500);
+      const unlockTime = await cbdcToken.offlineUnlockTime(addr1.address);
+      await approveWithGuardians();
+      await time.increase(DELAY);
+      await cbdcToken.executeRecovery(addr1.address);
+      expect(await cbdcToken.recoveredVoucherDeadline(addr1.address)).to.equal(
+        unlockTime
+      );
+
+      const redeem = async (nonce, expirationTimestamp) => {
+        const voucher = {
+          from: addr1.address,
+          to: addr3.address,
+          amount: 500,
+          nonce,
+          expirationTimestamp,
+        };
+        return cbdcToken.processOfflineTransaction(
+          voucher.from,
+          voucher.to,
+          voucher.amount,
+          voucher.nonce,
+          voucher.expirationTimestamp,
+          await signVoucher(addr1, domain, voucher)
+        );
+      };
+      await expect(
+        redeem(999, unlockTime.add(30 * 24 * 60 * 60))
+      ).to.be.revertedWith("Voucher not honoured after recovery");
+
+      await expect(
+        cbdcToken.connect(addr1).revokeRecoveredVouchers(addr1.address)
+      ).to.be.revertedWith("Not the recovery address");
+      await expect(
+        cbdcToken.connect(newAccount).revokeRecoveredVouchers(addr1.address)
+      )
+        .to.emit(cbdcToken, "RecoveredVouchersRevoked")
+        .withArgs(addr1.address, newAccount.address);
+      await expect(redeem(1000, unlockTime)).to.be.revertedWith(
+        "Voucher not honoured after recovery"
+      );
+      expect(await cbdcToken.balanceOf(newAccount.address)).to.equal(1000);
+    });
+  });
+
+  describe("Blacklisting", function () {
+    beforeEach(async function () {
+      await cbdcToken.mint(owner.address, 1000, REASON_CODE);
+    });
+
+    it("Should allow blacklisting by admin", async function () {
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      expect(await cbdcToken.isBlacklisted(addr1.address)).to.equal(true);
+    });
+
+    it("Should prevent transfers to/from blacklisted addresses", async function () {
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      await expect(cbdcToken.transfer(addr1.address, 100)).to.be.revertedWith(
+        "Blacklisted address"
+      );
+    });
+
+    it("Should allow transfers after removing from blacklist", async function () {
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      await cbdcToken.setBlacklistStatus(addr1.address, false);
+      await cbdcToken.transfer(addr1.address, 100);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(100);
+    });
+  });
+
+  describe("KYC", function () {
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+    });
+
+    it("Should assign the KYC admin role to the owner", async function () {
+      expect(await cbdcToken.hasRole(KYC_ADMIN_ROLE, owner.address)).to.equal(
+        true
+      );
+    });
+
+    it("Should allow KYC admin to verify an address", async function () {
+      await expect(cbdcToken.setKYCStatus(addr5.address, true, 2)).to.emit(
+        cbdcToken,
+        "KYCStatusChanged"
+      );
+      expect(await cbdcToken.isKYCVerified(addr5.address)).to.equal(true);
+
+      const [verified, verificationLevel, expiresAt] =
+        await cbdcToken.getKYCStatus(addr5.address);
+      const validityPeriod = await cbdcToken.kycValidityPeriod();
+      expect(verified).to.equal(true);
+      expect(verificationLevel).to.equal(2);
+      expect(expiresAt).to.equal(validityPeriod.add(await time.latest()));
+    });
+
+    it("Should not allow non-KYC admin to set KYC status", async function () {
+      await expect(
+        cbdcToken.connect(addr1).setKYCStatus(addr5.address, true, 1)
+      ).to.be.reverted;
+    });
+
+    it("Should prevent transfers to unverified addresses", async function () {
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr5.address, 100)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should prevent transfers from unverified addresses", async function () {
+      await cbdcToken.mint(addr5.address, 1000, REASON_CODE);
+      await expect(
+        cbdcToken.connect(addr5).transfer(addr1.address, 100)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should prevent transferFrom involving unverified addresses", async function () {
+      await cbdcToken.connect(addr1).approve(addr2.address, 100);
+      await expect(
+        cbdcToken.connect(addr2).transferFrom(addr1.address, addr5.address, 100)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should prevent transfers after KYC is revoked", async function () {
+      await cbdcToken.setKYCStatus(addr1.address, false, 0);
+      expect(await cbdcToken.isKYCVerified(addr1.address)).to.equal(false);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 100)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should expire KYC verification after the validity period", async function () {
+      await cbdcToken.setKYCValidityPeriod(60);
+      await cbdcToken.setKYCStatus(addr1.address, true, 1);
+      await time.increase(61);
+
+      expect(await cbdcToken.isKYCVerified(addr1.address)).to.equal(false);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 100)
+      ).to.be.revertedWith("KYC verification required");
+    });
+
+    it("Should allow policy setter to update the KYC validity period", async function () {
+      await expect(cbdcToken.setKYCValidityPeriod(30 * 24 * 60 * 60))
+        .to.emit(cbdcToken, "PolicyUpdated")
+        .withArgs("KYCValidityPeriod", 30 * 24 * 60 * 60);
+      expect(await cbdcToken.kycValidityPeriod()).to.equal(30 * 24 * 60 * 60);
+      await expect(cbdcToken.connect(addr1).setKYCValidityPeriod(60)).to.be
+        .reverted;
+    });
+
+    it("Should reject offline transactions to unverified addresses", async function () {
+      const value = {
+        from: addr1.address,
+        to: addr5.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+
+      const signature = await signVoucher(addr1, domain, value);
+
+      await expect(
+        cbdcToken.processOfflineTransaction(
+          value.from,
+          value.to,
+          value.amount,
+          value.nonce,
+          value.expirationTimestamp,
+          signature
+        )
+      ).to.be.revertedWith("KYC verification required");
+
+      await expect(
+        cbdcToken.processBulkOfflineTransactions(
+          [value.from],
+          [value.to],
+          [value.amount],
+          [value.nonce],
+          [value.expirationTimestamp],
+          [signature]
+        )
+      ).to.be.revertedWith("KYC verification required");
+    });
   });
 
-  describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(
-        await cbdcToken.hasRole(
-          await cbdcToken.DEFAULT_ADMIN_ROLE(),
-          owner.address
-        )
-      ).to.equal(true);
+  describe("Freezing and Seizure", function () {
+    const COURT_ORDER = ethers.utils.formatBytes32String("COURT-2024-001");
+    let COMPLIANCE_ROLE, SEIZURE_ROLE;
+
+    beforeEach(async function () {
+      COMPLIANCE_ROLE = await cbdcToken.COMPLIANCE_ROLE();
+      SEIZURE_ROLE = await cbdcToken.SEIZURE_ROLE();
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
     });
 
-    it("Should assign the minter role to the owner", async function () {
-      expect(await cbdcToken.hasRole(MINTER_ROLE, owner.address)).to.equal(
-        true
-      );
+    it("Should require the compliance role for blacklisting", async function () {
+      await cbdcToken.revokeRole(COMPLIANCE_ROLE, owner.address);
+      await expect(cbdcToken.setBlacklistStatus(addr1.address, true)).to.be
+        .reverted;
+
+      await cbdcToken.grantRole(COMPLIANCE_ROLE, addr3.address);
+      await cbdcToken.connect(addr3).setBlacklistStatus(addr1.address, true);
+      expect(await cbdcToken.isBlacklisted(addr1.address)).to.equal(true);
     });
 
-    it("Should have correct name and symbol", async function () {
-      expect(await cbdcToken.name()).to.equal("CBDC Token");
-      expect(await cbdcToken.symbol()).to.equal("CBDC");
+    it("Should prevent minting to blacklisted addresses", async function () {
+      await cbdcToken.setBlacklistStatus(addr2.address, true);
+      await expect(
+        cbdcToken.mint(addr2.address, 100, REASON_CODE)
+      ).to.be.revertedWith("Blacklisted address");
     });
-  });
 
-  describe("Minting", function () {
-    it("Should allow minting by minter role", async function () {
-      await cbdcToken.mint(addr1.address, 100);
-      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(100);
+    it("Should prevent redemptions by blacklisted addresses", async function () {
+      const bankAccount = ethers.utils.formatBytes32String("DE89370400440532");
+      await cbdcToken.connect(addr1).requestRedemption(100, bankAccount);
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+
+      await expect(
+        cbdcToken.connect(addr1).requestRedemption(100, bankAccount)
+      ).to.be.revertedWith("Blacklisted address");
+      await expect(
+        cbdcToken.settleRedemption(1, REASON_CODE)
+      ).to.be.revertedWith("Blacklisted address");
+      await cbdcToken.rejectRedemption(1, REASON_CODE);
     });
 
-    it("Should fail if minting by non-minter", async function () {
-      await expect(cbdcToken.connect(addr1).mint(addr2.address, 100)).to.be
-        .reverted;
+    it("Should prevent approvals involving blacklisted addresses", async function () {
+      await cbdcToken.setBlacklistStatus(addr2.address, true);
+      await expect(
+        cbdcToken.connect(addr1).approve(addr2.address, 100)
+      ).to.be.revertedWith("Blacklisted address");
+      await expect(
+        cbdcToken.connect(addr2).approve(addr1.address, 100)
+      ).to.be.revertedWith("Blacklisted address");
     });
 
-    it("Should not allow minting beyond max supply", async function () {
-      const maxSupply = await cbdcToken.MAX_SUPPLY();
+    it("Should freeze part of a balance", async function () {
+      await expect(cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER))
+        .to.emit(cbdcToken, "FundsFrozen")
+        .withArgs(addr1.address, 600, COURT_ORDER);
+
+      expect(await cbdcToken.frozenBalanceOf(addr1.address)).to.equal(600);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(400);
       await expect(
-        cbdcToken.mint(addr1.address, maxSupply.add(1))
-      ).to.be.revertedWith("Exceeds maximum supply");
+        cbdcToken.connect(addr1).transfer(addr2.address, 401)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
     });
-  });
 
-  describe("Burning", function () {
-    beforeEach(async function () {
-      await cbdcToken.mint(addr1.address, 1000);
+    it("Should not freeze more than the balance", async function () {
+      await cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER);
+      await expect(
+        cbdcToken.freezeFunds(addr1.address, 401, COURT_ORDER)
+      ).to.be.revertedWith("Freeze exceeds balance");
     });
 
-    it("Should allow burning by burner role", async function () {
-      await cbdcToken.burn(addr1.address, 100);
-      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(900);
+    it("Should not lock frozen funds for offline spending", async function () {
+      await cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER);
+      await expect(
+        cbdcToken.connect(addr1).lockOfflineFunds(401)
+      ).to.be.revertedWith("Insufficient unlocked balance");
     });
 
-    it("Should fail if burning by non-burner", async function () {
-      await expect(cbdcToken.connect(addr1).burn(addr1.address, 100)).to.be
-        .reverted;
+    it("Should unfreeze funds", async function () {
+      await cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER);
+      await expect(cbdcToken.unfreezeFunds(addr1.address, 600, COURT_ORDER))
+        .to.emit(cbdcToken, "FundsUnfrozen")
+        .withArgs(addr1.address, 600, COURT_ORDER);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(1000);
+
+      await expect(
+        cbdcToken.unfreezeFunds(addr1.address, 1, COURT_ORDER)
+      ).to.be.revertedWith("Unfreeze exceeds frozen amount");
     });
-  });
 
-  describe("Blacklisting", function () {
-    beforeEach(async function () {
-      await cbdcToken.mint(owner.address, 1000);
+    it("Should not allow non-compliance officers to freeze funds", async function () {
+      await expect(
+        cbdcToken.connect(addr2).freezeFunds(addr1.address, 600, COURT_ORDER)
+      ).to.be.reverted;
+      await expect(
+        cbdcToken.connect(addr2).unfreezeFunds(addr1.address, 0, COURT_ORDER)
+      ).to.be.reverted;
     });
 
-    it("Should allow blacklisting by admin", async function () {
-      await cbdcToken.setBlacklistStatus(addr1.address, true);
-      expect(await cbdcToken.isBlacklisted(addr1.address)).to.equal(true);
+    it("Should require a custody account for seizures", async function () {
+      await expect(
+        cbdcToken.seize(addr1.address, 100, COURT_ORDER)
+      ).to.be.revertedWith("Custody account not set");
     });
 
-    it("Should prevent transfers to/from blacklisted addresses", async function () {
-      await cbdcToken.setBlacklistStatus(addr1.address, true);
-      await expect(cbdcToken.transfer(addr1.address, 100)).to.be.revertedWith(
-        "Blacklisted address"
-      );
+    it("Should only let the admin set the custody account", async function () {
+      await expect(cbdcToken.setCustodyAccount(addr4.address))
+        .to.emit(cbdcToken, "CustodyAccountChanged")
+        .withArgs(ethers.constants.AddressZero, addr4.address);
+      expect(await cbdcToken.custodyAccount()).to.equal(addr4.address);
+      await expect(cbdcToken.connect(addr1).setCustodyAccount(addr1.address)).to
+        .be.reverted;
     });
 
-    it("Should allow transfers after removing from blacklist", async function () {
-      await cbdcToken.setBlacklistStatus(addr1.address, true);
-      await cbdcToken.setBlacklistStatus(addr1.address, false);
-      await cbdcToken.transfer(addr1.address, 100);
-      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(100);
+    describe("with a custody account", function () {
+      beforeEach(async function () {
+        await cbdcToken.setCustodyAccount(addr4.address);
+      });
+
+      it("Should seize funds from a blacklisted account into custody", async function () {
+        await cbdcToken.setBlacklistStatus(addr1.address, true);
+        await cbdcToken.pause();
+
+        await expect(cbdcToken.seize(addr1.address, 700, COURT_ORDER))
+          .to.emit(cbdcToken, "FundsSeized")
+          .withArgs(addr1.address, addr4.address, 700, COURT_ORDER);
+        expect(await cbdcToken.balanceOf(addr1.address)).to.equal(300);
+        expect(await cbdcToken.balanceOf(addr4.address)).to.equal(700);
+      });
+
+      it("Should seize frozen and locked funds", async function () {
+        await cbdcToken.connect(addr1).lockOfflineFunds(300);
+        await cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER);
+
+        await cbdcToken.seize(addr1.address, 800, COURT_ORDER);
+
+        expect(await cbdcToken.balanceOf(addr1.address)).to.equal(200);
+        expect(await cbdcToken.frozenBalanceOf(addr1.address)).to.equal(0);
+        expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(200);
+        expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(0);
+      });
+
+      it("Should reduce purpose-bound funds to the remaining balance", async function () {
+        const FOOD = ethers.utils.formatBytes32String("FOOD");
+        const expiresAt = (await time.latest()) + 30 * 24 * 60 * 60;
+        await cbdcToken.mintRestricted(
+          addr1.address,
+          300,
+          FOOD,
+          expiresAt,
+          REASON_CODE
+        );
+        await cbdcToken.mintRestricted(
+          addr1.address,
+          200,
+          FOOD,
+          expiresAt + 1,
+          REASON_CODE
+        );
+
+        await cbdcToken.seize(addr1.address, 1300, COURT_ORDER);
+        expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(
+          200
+        );
+        const restricted = await cbdcToken.getRestrictedBalances(addr1.address);
+        expect(restricted).to.have.length(1);
+        expect(restricted[0].amount).to.equal(200);
+
+        await cbdcToken.seize(addr1.address, 200, COURT_ORDER);
+        expect(await cbdcToken.balanceOf(addr1.address)).to.equal(0);
+        expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(0);
+        expect(
+          await cbdcToken.getRestrictedBalances(addr1.address)
+        ).to.have.length(0);
+      });
+
+      it("Should settle a pending redemption from what is left of the escrow", async function () {
+        const FOOD = ethers.utils.formatBytes32String("FOOD");
+        const expiresAt = (await time.latest()) + 30 * 24 * 60 * 60;
+        await cbdcToken.mintRestricted(
+          addr1.address,
+          500,
+          FOOD,
+          expiresAt,
+          REASON_CODE
+        );
+        await cbdcToken.connect(addr1).requestRedemption(800, REASON_CODE);
+
+        await cbdcToken.seize(addr1.address, 1200, COURT_ORDER);
+        expect(await cbdcToken.redemptionEscrowOf(addr1.address)).to.equal(300);
+        expect(await cbdcToken.restrictedBalanceOf(addr1.address)).to.equal(0);
+
+        const totalRedeemed = await cbdcToken.totalRedeemed();
+        await expect(cbdcToken.settleRedemption(1, REASON_CODE))
+          .to.emit(cbdcToken, "Redeemed")
+          .withArgs(owner.address, addr1.address, 300, REASON_CODE);
+        expect(await cbdcToken.balanceOf(addr1.address)).to.equal(0);
+        expect(await cbdcToken.redemptionEscrowOf(addr1.address)).to.equal(0);
+        expect(await cbdcToken.totalRedeemed()).to.equal(
+          totalRedeemed.add(300)
+        );
+      });
+
+      it("Should consume frozen funds first", async function () {
+        await cbdcToken.freezeFunds(addr1.address, 600, COURT_ORDER);
+        await cbdcToken.seize(addr1.address, 200, COURT_ORDER);
+        expect(await cbdcToken.frozenBalanceOf(addr1.address)).to.equal(400);
+        expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(400);
+      });
+
+      it("Should require the seizure role", async function () {
+        await expect(
+          cbdcToken.connect(addr2).seize(addr1.address, 100, COURT_ORDER)
+        ).to.be.reverted;
+
+        await cbdcToken.grantRole(SEIZURE_ROLE, addr2.address);
+        await cbdcToken.connect(addr2).seize(addr1.address, 100, COURT_ORDER);
+        expect(await cbdcToken.balanceOf(addr4.address)).to.equal(100);
+      });
+
+      it("Should not let holders transfer again after a seizure", async function () {
+        await cbdcToken.setBlacklistStatus(addr1.address, true);
+        await cbdcToken.seize(addr1.address, 500, COURT_ORDER);
+        await expect(
+          cbdcToken.connect(addr1).transfer(addr2.address, 100)
+        ).to.be.revertedWith("Blacklisted address");
+      });
     });
   });
 
   describe("Pausing", function () {
     beforeEach(async function () {
-      await cbdcToken.mint(owner.address, 1000);
+      await cbdcToken.mint(owner.address, 1000, REASON_CODE);
     });
 
     it("Should allow pausing by pauser role", async function () {
@@ -132,7 +2356,7 @@ describe("CBDCToken", function () {
 
   describe("Transaction Policies", function () {
     beforeEach(async function () {
-      await cbdcToken.mint(owner.address, 1000000);
+      await cbdcToken.mint(owner.address, 1000000, REASON_CODE);
     });
 
     it("Should enforce transaction cool down", async function () {
@@ -142,6 +2366,14 @@ describe("CBDCToken", function () {
       );
     });
 
+    it("Should record when a sender last transacted", async function () {
+      expect(await cbdcToken.lastTransactionTime(owner.address)).to.equal(0);
+      await cbdcToken.transfer(addr1.address, 100);
+      expect(await cbdcToken.lastTransactionTime(owner.address)).to.equal(
+        await time.latest()
+      );
+    });
+
     it("Should enforce max transaction amount", async function () {
       const maxAmount = await cbdcToken.maxTransactionAmount();
       await expect(
@@ -165,71 +2397,415 @@ describe("CBDCToken", function () {
       await expect(cbdcToken.connect(addr1).setMaxTransactionAmount(2000000)).to
         .be.reverted;
     });
-  });
+  });
+
+  describe("Policy Tiers", function () {
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 10000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
+    });
+
+    it("Should allow policy setter to configure a tier", async function () {
+      await expect(cbdcToken.setPolicyTier(1, 500, 1000, 5000, 20000))
+        .to.emit(cbdcToken, "PolicyTierUpdated")
+        .withArgs(1, 500, 1000, 5000, 20000);
+
+      const tier = await cbdcToken.getPolicyTier(1);
+      expect(tier.maxTransactionAmount).to.equal(500);
+      expect(tier.dailyVolumeLimit).to.equal(1000);
+      expect(tier.monthlyVolumeLimit).to.equal(5000);
+      expect(tier.maxBalance).to.equal(20000);
+    });
+
+    it("Should not allow non-policy setter to configure a tier", async function () {
+      await expect(
+        cbdcToken.connect(addr1).setPolicyTier(1, 500, 1000, 5000, 20000)
+      ).to.be.reverted;
+    });
+
+    it("Should enforce the tier transaction limit", async function () {
+      await cbdcToken.setPolicyTier(1, 500, 0, 0, 0);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 501)
+      ).to.be.revertedWith("Exceeds tier transaction limit");
+      await cbdcToken.connect(addr1).transfer(addr2.address, 500);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(500);
+    });
+
+    it("Should only apply a tier to addresses at that verification level", async function () {
+      await cbdcToken.setPolicyTier(2, 500, 0, 0, 0);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+
+      await cbdcToken.setKYCStatus(addr1.address, true, 2);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1000)
+      ).to.be.revertedWith("Exceeds tier transaction limit");
+    });
+
+    it("Should enforce the daily volume limit", async function () {
+      await cbdcToken.setPolicyTier(1, 0, 1000, 0, 0);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 600);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 401)
+      ).to.be.revertedWith("Exceeds daily volume limit");
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
+
+      const [dailyVolume, monthlyVolume] = await cbdcToken.getSpentVolume(
+        addr1.address
+      );
+      expect(dailyVolume).to.equal(1000);
+      expect(monthlyVolume).to.equal(1000);
+    });
+
+    it("Should not reset the daily volume at midnight", async function () {
+      const DAY = 24 * 60 * 60;
+      await cbdcToken.setPolicyTier(1, 0, 1000, 0, 0);
+      const midnight = Math.ceil(((await time.latest()) + 60) / DAY) * DAY;
+
+      await time.setNextBlockTimestamp(midnight - 10);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      await time.setNextBlockTimestamp(midnight + 10);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1000)
+      ).to.be.revertedWith("Exceeds daily volume limit");
+    });
+
+    it("Should count every transfer of the last 24 hours across buckets", async function () {
+      const DAY = 24 * 60 * 60;
+      await cbdcToken.setPolicyTier(1, 0, 100, 0, 0);
+      const hour = Math.ceil(((await time.latest()) + 60) / 3600) * 3600;
+
+      // Each transfer lands in a different hourly bucket
+      await time.setNextBlockTimestamp(hour - 1);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 60);
+      await time.setNextBlockTimestamp(hour + 1);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 40);
+
+      await time.setNextBlockTimestamp(hour - 1 + DAY - 10);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1)
+      ).to.be.revertedWith("Exceeds daily volume limit");
+
+      // The first transfer leaves the window exactly a day after it was made
+      await time.setNextBlockTimestamp(hour - 1 + DAY);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 60);
+      expect((await cbdcToken.getSpentVolume(addr1.address))[0]).to.equal(100);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1)
+      ).to.be.revertedWith("Exceeds daily volume limit");
+      expect((await cbdcToken.getSpentVolume(addr1.address))[1]).to.equal(160);
+    });
+
+    it("Should enforce the monthly volume limit", async function () {
+      await cbdcToken.setPolicyTier(1, 0, 0, 1000, 0);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1)
+      ).to.be.revertedWith("Exceeds monthly volume limit");
+    });
+
+    it("Should enforce the recipient's holding limit", async function () {
+      await cbdcToken.setKYCStatus(addr2.address, true, 2);
+      await cbdcToken.setPolicyTier(2, 0, 0, 0, 1000);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 800);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 201)
+      ).to.be.revertedWith("Exceeds tier holding limit");
+    });
+
+    it("Should enforce tier limits on transferFrom", async function () {
+      await cbdcToken.setPolicyTier(1, 500, 0, 0, 0);
+      await cbdcToken.connect(addr1).approve(addr2.address, 1000);
+      await expect(
+        cbdcToken.connect(addr2).transferFrom(addr1.address, addr3.address, 501)
+      ).to.be.revertedWith("Exceeds tier transaction limit");
+    });
+
+    it("Should enforce tier limits on offline transactions", async function () {
+      await cbdcToken.setPolicyTier(1, 500, 0, 0, 0);
+      const value = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 501,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+
+      const signature = await signVoucher(addr1, domain, value);
+
+      await expect(
+        cbdcToken.processOfflineTransaction(
+          value.from,
+          value.to,
+          value.amount,
+          value.nonce,
+          value.expirationTimestamp,
+          signature
+        )
+      ).to.be.revertedWith("Exceeds tier transaction limit");
+
+      await expect(
+        cbdcToken.processBulkOfflineTransactions(
+          [value.from],
+          [value.to],
+          [value.amount],
+          [value.nonce],
+          [value.expirationTimestamp],
+          [signature]
+        )
+      ).to.be.revertedWith("Exceeds tier transaction limit");
+    });
+  });
+
+  describe("Velocity Limits", function () {
+    const WINDOW = 3600;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 10000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
+      await cbdcToken.setVelocityLimit(WINDOW, 3, 1000);
+
+      // Start each test at the beginning of a velocity window
+      const now = await time.latest();
+      await time.increaseTo(now - (now % WINDOW) + WINDOW);
+    });
+
+    it("Should allow policy setter to configure velocity limits", async function () {
+      await expect(cbdcToken.setVelocityLimit(60, 5, 500))
+        .to.emit(cbdcToken, "PolicyUpdated")
+        .withArgs("VelocityWindow", 60);
+      expect(await cbdcToken.velocityWindow()).to.equal(60);
+      expect(await cbdcToken.maxTransactionsPerWindow()).to.equal(5);
+      expect(await cbdcToken.maxVolumePerWindow()).to.equal(500);
+    });
+
+    it("Should not allow non-policy setter to configure velocity limits", async function () {
+      await expect(cbdcToken.connect(addr1).setVelocityLimit(60, 5, 500)).to.be
+        .reverted;
+    });
+
+    it("Should report the remaining allowance in the current window", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      const [remainingTransactions, remainingVolume] =
+        await cbdcToken.getVelocityAllowance(addr1.address);
+      expect(remainingTransactions).to.equal(2);
+      expect(remainingVolume).to.equal(900);
+    });
+
+    it("Should report an unlimited allowance when velocity limits are disabled", async function () {
+      await cbdcToken.setVelocityLimit(0, 0, 0);
+      const [remainingTransactions, remainingVolume] =
+        await cbdcToken.getVelocityAllowance(addr1.address);
+      expect(remainingTransactions).to.equal(ethers.constants.MaxUint256);
+      expect(remainingVolume).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("Should enforce the transaction count per window", async function () {
+      for (let i = 0; i < 3; i++) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 10);
+      }
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 10)
+      ).to.be.revertedWith("Exceeds transaction velocity limit");
+    });
+
+    it("Should enforce the volume per window", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 600);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 401)
+      ).to.be.revertedWith("Exceeds volume velocity limit");
+    });
+
+    it("Should count the whole window across bucket boundaries", async function () {
+      const BUCKET = WINDOW / 24;
+      // Each transfer lands in a different bucket
+      const start = await time.latest();
+      await cbdcToken.connect(addr1).transfer(addr2.address, 600);
+      await time.setNextBlockTimestamp(start + BUCKET);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
+
+      await time.setNextBlockTimestamp(start + WINDOW - 10);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 1)
+      ).to.be.revertedWith("Exceeds volume velocity limit");
+
+      // Only the first transfer has left the window
+      await time.setNextBlockTimestamp(start + WINDOW + 1);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 600);
+      const [remainingTransactions, remainingVolume] =
+        await cbdcToken.getVelocityAllowance(addr1.address);
+      expect(remainingTransactions).to.equal(1);
+      expect(remainingVolume).to.equal(0);
+    });
+
+    it("Should restore the allowance once the window has passed", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      await time.increase(2 * WINDOW);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(2000);
+    });
+
+    it("Should enforce velocity limits on offline transactions", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 1000);
+      const value = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 1,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+
+      const signature = await signVoucher(addr1, domain, value);
+
+      await expect(
+        cbdcToken.processBulkOfflineTransactions(
+          [value.from],
+          [value.to],
+          [value.amount],
+          [value.nonce],
+          [value.expirationTimestamp],
+          [signature]
+        )
+      ).to.be.revertedWith("Exceeds volume velocity limit");
+    });
+  });
+
+  describe("Offline Transactions", function () {
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+    });
+
+    it("Should process valid offline transaction", async function () {
+      const value = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600, // 1 hour from now
+      };
+
+      const signature = await signVoucher(addr1, domain, value);
+
+      await cbdcToken.processOfflineTransaction(
+        value.from,
+        value.to,
+        value.amount,
+        value.nonce,
+        value.expirationTimestamp,
+        signature
+      );
+
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+    });
+
+    it("Should reject expired offline transaction", async function () {
+      const value = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) - 3600, // 1 hour ago
+      };
+
+      const signature = await signVoucher(addr1, domain, value);
+
+      await expect(
+        cbdcToken.processOfflineTransaction(
+          value.from,
+          value.to,
+          value.amount,
+          value.nonce,
+          value.expirationTimestamp,
+          signature
+        )
+      ).to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should reject offline transaction with invalid signature", async function () {
+      const value = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+
+      const signature = await signVoucher(addr2, domain, value); // Wrong signer
+
+      await expect(
+        cbdcToken.processOfflineTransaction(
+          value.from,
+          value.to,
+          value.amount,
+          value.nonce,
+          value.expirationTimestamp,
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
 
-  describe("Offline Transactions", function () {
-    beforeEach(async function () {
-      await cbdcToken.mint(addr1.address, 1000);
+    it("Should expose the EIP-712 domain", async function () {
+      expect(domain.name).to.equal("CBDC Token");
+      expect(domain.version).to.equal("1");
+      expect(domain.chainId).to.equal(1337);
+      expect(domain.verifyingContract).to.equal(cbdcToken.address);
+      expect(await cbdcToken.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain(domain)
+      );
     });
 
-    it("Should process valid offline transaction", async function () {
+    it("Should use the EIP-712 digest as the transaction id", async function () {
       const value = {
         from: addr1.address,
         to: addr2.address,
         amount: 100,
         nonce: 1,
-        expirationTimestamp: Math.floor(Date.now() / 1000) + 3600, // 1 hour from now
+        expirationTimestamp: (await time.latest()) + 3600,
       };
+      const signature = await signVoucher(addr1, domain, value);
+      const transactionId = hashVoucher(domain, value);
 
-      const messageHash = ethers.utils.solidityKeccak256(
-        ["address", "address", "uint256", "uint256", "uint256", "address"],
-        [
+      expect(
+        await cbdcToken.hashOfflineTransfer(
           value.from,
           value.to,
           value.amount,
           value.nonce,
-          value.expirationTimestamp,
-          cbdcToken.address,
-        ]
-      );
-      const signature = await addr1.signMessage(
-        ethers.utils.arrayify(messageHash)
-      );
-
-      await cbdcToken.processOfflineTransaction(
-        value.from,
-        value.to,
-        value.amount,
-        value.nonce,
-        value.expirationTimestamp,
-        signature
-      );
+          value.expirationTimestamp
+        )
+      ).to.equal(transactionId);
+      expect(
+        verifyVoucher(domain, value, signature, await time.latest())
+      ).to.deep.equal({
+        valid: true,
+      });
 
-      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+      await expect(
+        cbdcToken.processOfflineTransaction(
+          value.from,
+          value.to,
+          value.amount,
+          value.nonce,
+          value.expirationTimestamp,
+          signature
+        )
+      )
+        .to.emit(cbdcToken, "OfflineTransactionProcessed")
+        .withArgs(value.from, value.to, value.amount, transactionId);
     });
 
-    it("Should reject expired offline transaction", async function () {
+    it("Should reject vouchers signed for another chain", async function () {
       const value = {
         from: addr1.address,
         to: addr2.address,
         amount: 100,
         nonce: 1,
-        expirationTimestamp: Math.floor(Date.now() / 1000) - 3600, // 1 hour ago
+        expirationTimestamp: (await time.latest()) + 3600,
       };
-
-      const messageHash = ethers.utils.solidityKeccak256(
-        ["address", "address", "uint256", "uint256", "uint256", "address"],
-        [
-          value.from,
-          value.to,
-          value.amount,
-          value.nonce,
-          value.expirationTimestamp,
-          cbdcToken.address,
-        ]
-      );
-      const signature = await addr1.signMessage(
-        ethers.utils.arrayify(messageHash)
+      const signature = await signVoucher(
+        addr1,
+        { ...domain, chainId: 1 },
+        value
       );
 
       await expect(
@@ -241,18 +2817,17 @@ describe("CBDCToken", function () {
           value.expirationTimestamp,
           signature
         )
-      ).to.be.revertedWith("Transaction expired");
+      ).to.be.revertedWith("Invalid signature");
     });
 
-    it("Should reject offline transaction with invalid signature", async function () {
+    it("Should reject legacy personal_sign vouchers", async function () {
       const value = {
         from: addr1.address,
         to: addr2.address,
         amount: 100,
         nonce: 1,
-        expirationTimestamp: Math.floor(Date.now() / 1000) + 3600,
+        expirationTimestamp: (await time.latest()) + 3600,
       };
-
       const messageHash = ethers.utils.solidityKeccak256(
         ["address", "address", "uint256", "uint256", "uint256", "address"],
         [
@@ -264,9 +2839,9 @@ describe("CBDCToken", function () {
           cbdcToken.address,
         ]
       );
-      const signature = await addr2.signMessage(
+      const signature = await addr1.signMessage(
         ethers.utils.arrayify(messageHash)
-      ); // Wrong signer
+      );
 
       await expect(
         cbdcToken.processOfflineTransaction(
@@ -281,14 +2856,294 @@ describe("CBDCToken", function () {
     });
   });
 
+  describe("Offline Nonces", function () {
+    let voucher;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
+      voucher = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 100,
+        nonce: 7,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+    });
+
+    async function redeem(value, signature) {
+      return cbdcToken.processOfflineTransaction(
+        value.from,
+        value.to,
+        value.amount,
+        value.nonce,
+        value.expirationTimestamp,
+        signature
+      );
+    }
+
+    async function isRedeemable(value, signature) {
+      return cbdcToken.isVoucherRedeemable(
+        value.from,
+        value.to,
+        value.amount,
+        value.nonce,
+        value.expirationTimestamp,
+        signature
+      );
+    }
+
+    it("Should mark the nonce as used after redemption", async function () {
+      const signature = await signVoucher(addr1, domain, voucher);
+      expect(await cbdcToken.isNonceUsed(addr1.address, 7)).to.equal(false);
+      expect(await isRedeemable(voucher, signature)).to.equal(true);
+
+      await redeem(voucher, signature);
+
+      expect(await cbdcToken.isNonceUsed(addr1.address, 7)).to.equal(true);
+      expect(await isRedeemable(voucher, signature)).to.equal(false);
+      await expect(redeem(voucher, signature)).to.be.revertedWith(
+        "Nonce already used"
+      );
+    });
+
+    it("Should reject a second voucher with the same nonce for another recipient", async function () {
+      await redeem(voucher, await signVoucher(addr1, domain, voucher));
+
+      const other = { ...voucher, to: addr3.address };
+      const signature = await signVoucher(addr1, domain, other);
+      expect(await isRedeemable(other, signature)).to.equal(false);
+      await expect(redeem(other, signature)).to.be.revertedWith(
+        "Nonce already used"
+      );
+    });
+
+    it("Should reject duplicate nonces within one bulk submission", async function () {
+      const other = { ...voucher, to: addr3.address };
+      const signedVouchers = [
+        { voucher, signature: await signVoucher(addr1, domain, voucher) },
+        { voucher: other, signature: await signVoucher(addr1, domain, other) },
+      ];
+
+      await expect(
+        cbdcToken.processBulkOfflineTransactions(
+          ...toBulkArguments(signedVouchers)
+        )
+      ).to.be.revertedWith("Nonce already used");
+    });
+
+    it("Should track nonces per sender", async function () {
+      await cbdcToken.mint(addr2.address, 1000, REASON_CODE);
+      const fromAddr2 = { ...voucher, from: addr2.address, to: addr3.address };
+
+      await redeem(voucher, await signVoucher(addr1, domain, voucher));
+      await redeem(fromAddr2, await signVoucher(addr2, domain, fromAddr2));
+
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(100);
+    });
+
+    it("Should let the signer cancel a voucher", async function () {
+      const signature = await signVoucher(addr1, domain, voucher);
+      await expect(cbdcToken.connect(addr1).cancelOfflineNonce(7))
+        .to.emit(cbdcToken, "OfflineNoncesInvalidated")
+        .withArgs(addr1.address, 0, 1 << 7);
+
+      expect(await isRedeemable(voucher, signature)).to.equal(false);
+      await expect(redeem(voucher, signature)).to.be.revertedWith(
+        "Nonce already used"
+      );
+    });
+
+    it("Should only cancel nonces of the caller", async function () {
+      const signature = await signVoucher(addr1, domain, voucher);
+      await cbdcToken.connect(addr2).cancelOfflineNonce(7);
+
+      expect(await isRedeemable(voucher, signature)).to.equal(true);
+      await redeem(voucher, signature);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+    });
+
+    it("Should invalidate a range of nonces with a bitmap mask", async function () {
+      // Nonces 256 to 259 live in word 1
+      await cbdcToken.connect(addr1).invalidateNonces(1, 0b1111);
+
+      expect(await cbdcToken.nonceBitmap(addr1.address, 1)).to.equal(0b1111);
+      expect(await cbdcToken.isNonceUsed(addr1.address, 259)).to.equal(true);
+      expect(await cbdcToken.isNonceUsed(addr1.address, 260)).to.equal(false);
+    });
+
+    it("Should report expired and badly signed vouchers as not redeemable", async function () {
+      const expired = {
+        ...voucher,
+        expirationTimestamp: (await time.latest()) - 1,
+      };
+      expect(
+        await isRedeemable(expired, await signVoucher(addr1, domain, expired))
+      ).to.equal(false);
+      expect(
+        await isRedeemable(voucher, await signVoucher(addr2, domain, voucher))
+      ).to.equal(false);
+      expect(await isRedeemable(voucher, "0x1234")).to.equal(false);
+    });
+  });
+
+  describe("Offline Escrow", function () {
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
+    });
+
+    async function redeem(value, signer) {
+      return cbdcToken.processOfflineTransaction(
+        value.from,
+        value.to,
+        value.amount,
+        value.nonce,
+        value.expirationTimestamp,
+        await signVoucher(signer, domain, value)
+      );
+    }
+
+    it("Should lock funds into the offline balance", async function () {
+      const tx = await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      const unlockTime = (await time.latest()) + 7 * 24 * 60 * 60;
+      await expect(tx)
+        .to.emit(cbdcToken, "OfflineFundsLocked")
+        .withArgs(addr1.address, 600, unlockTime);
+
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(600);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(400);
+      expect(await cbdcToken.offlineUnlockTime(addr1.address)).to.equal(
+        unlockTime
+      );
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(1000);
+    });
+
+    it("Should not lock more than the unlocked balance", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await expect(
+        cbdcToken.connect(addr1).lockOfflineFunds(401)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should prevent online transfers from spending locked funds", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await expect(
+        cbdcToken.connect(addr1).transfer(addr2.address, 401)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+
+      await cbdcToken.connect(addr1).approve(addr2.address, 1000);
+      await expect(
+        cbdcToken.connect(addr2).transferFrom(addr1.address, addr3.address, 401)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("Should redeem vouchers against locked funds after online spending", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
+
+      const value = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 500,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await redeem(value, addr1);
+
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(500);
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(100);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should pay the remainder of a voucher from the unlocked balance", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(100);
+      const value = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 300,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await redeem(value, addr1);
+
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(700);
+    });
+
+    it("Should reject vouchers exceeding locked plus unlocked funds", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
+      const value = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 601,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await expect(redeem(value, addr1)).to.be.revertedWith(
+        "Insufficient unlocked balance"
+      );
+    });
+
+    it("Should redeem bulk vouchers against locked funds", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 400);
+      const value = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 600,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await cbdcToken.processBulkOfflineTransactions(
+        ...toBulkArguments([
+          {
+            voucher: value,
+            signature: await signVoucher(addr1, domain, value),
+          },
+        ])
+      );
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(600);
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should not reclaim offline funds before the lock period ends", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await expect(
+        cbdcToken.connect(addr1).reclaimOfflineFunds()
+      ).to.be.revertedWith("Offline funds still locked");
+    });
+
+    it("Should reclaim unused offline funds after the lock period", async function () {
+      await cbdcToken.connect(addr1).lockOfflineFunds(600);
+      await time.increaseTo(await cbdcToken.offlineUnlockTime(addr1.address));
+
+      await expect(cbdcToken.connect(addr1).reclaimOfflineFunds())
+        .to.emit(cbdcToken, "OfflineFundsReclaimed")
+        .withArgs(addr1.address, 600);
+      expect(await cbdcToken.offlineBalanceOf(addr1.address)).to.equal(0);
+      expect(await cbdcToken.availableBalanceOf(addr1.address)).to.equal(1000);
+    });
+
+    it("Should allow policy setter to update the lock period", async function () {
+      await expect(cbdcToken.setOfflineLockPeriod(24 * 60 * 60))
+        .to.emit(cbdcToken, "PolicyUpdated")
+        .withArgs("OfflineLockPeriod", 24 * 60 * 60);
+      expect(await cbdcToken.offlineLockPeriod()).to.equal(24 * 60 * 60);
+      await expect(cbdcToken.connect(addr1).setOfflineLockPeriod(60)).to.be
+        .reverted;
+    });
+  });
+
   describe("Bulk Offline Transactions", function () {
     beforeEach(async function () {
-      await cbdcToken.mint(addr1.address, 1000);
-      await cbdcToken.mint(addr2.address, 1000);
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.mint(addr2.address, 1000, REASON_CODE);
     });
 
     it("Should process valid bulk offline transactions", async function () {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
+      const currentTimestamp = await time.latest();
       const transactions = [
         {
           from: addr1.address,
@@ -309,18 +3164,7 @@ describe("CBDCToken", function () {
       const signatures = await Promise.all(
         transactions.map(async (tx, index) => {
           const signer = index === 0 ? addr1 : addr2;
-          const messageHash = ethers.utils.solidityKeccak256(
-            ["address", "address", "uint256", "uint256", "uint256", "address"],
-            [
-              tx.from,
-              tx.to,
-              tx.amount,
-              tx.nonce,
-              tx.expirationTimestamp,
-              cbdcToken.address,
-            ]
-          );
-          return signer.signMessage(ethers.utils.arrayify(messageHash));
+          return signVoucher(signer, domain, tx);
         })
       );
 
@@ -340,7 +3184,7 @@ describe("CBDCToken", function () {
     });
 
     it("Should reject bulk transaction if one transaction is invalid", async function () {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
+      const currentTimestamp = await time.latest();
       const transactions = [
         {
           from: addr1.address,
@@ -361,18 +3205,7 @@ describe("CBDCToken", function () {
       const signatures = await Promise.all(
         transactions.map(async (tx, index) => {
           const signer = index === 0 ? addr1 : addr2;
-          const messageHash = ethers.utils.solidityKeccak256(
-            ["address", "address", "uint256", "uint256", "uint256", "address"],
-            [
-              tx.from,
-              tx.to,
-              tx.amount,
-              tx.nonce,
-              tx.expirationTimestamp,
-              cbdcToken.address,
-            ]
-          );
-          return signer.signMessage(ethers.utils.arrayify(messageHash));
+          return signVoucher(signer, domain, tx);
         })
       );
 
@@ -395,7 +3228,7 @@ describe("CBDCToken", function () {
     });
 
     it("Should reject bulk transaction with mismatched array lengths", async function () {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
+      const currentTimestamp = await time.latest();
       const transactions = [
         {
           from: addr1.address,
@@ -408,18 +3241,7 @@ describe("CBDCToken", function () {
 
       const signatures = await Promise.all(
         transactions.map(async (tx) => {
-          const messageHash = ethers.utils.solidityKeccak256(
-            ["address", "address", "uint256", "uint256", "uint256", "address"],
-            [
-              tx.from,
-              tx.to,
-              tx.amount,
-              tx.nonce,
-              tx.expirationTimestamp,
-              cbdcToken.address,
-            ]
-          );
-          return addr1.signMessage(ethers.utils.arrayify(messageHash));
+          return signVoucher(addr1, domain, tx);
         })
       );
 
@@ -436,7 +3258,7 @@ describe("CBDCToken", function () {
     });
 
     it("Should reject bulk transaction if one signature is invalid", async function () {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
+      const currentTimestamp = await time.latest();
       const transactions = [
         {
           from: addr1.address,
@@ -456,18 +3278,7 @@ describe("CBDCToken", function () {
 
       const signatures = await Promise.all(
         transactions.map(async (tx) => {
-          const messageHash = ethers.utils.solidityKeccak256(
-            ["address", "address", "uint256", "uint256", "uint256", "address"],
-            [
-              tx.from,
-              tx.to,
-              tx.amount,
-              tx.nonce,
-              tx.expirationTimestamp,
-              cbdcToken.address,
-            ]
-          );
-          return addr1.signMessage(ethers.utils.arrayify(messageHash)); // Both signed by addr1
+          return signVoucher(addr1, domain, tx); // Both signed by addr1
         })
       );
 
@@ -484,7 +3295,7 @@ describe("CBDCToken", function () {
     });
 
     it("Should reject bulk transaction if one transaction is expired", async function () {
-      const currentTimestamp = Math.floor(Date.now() / 1000);
+      const currentTimestamp = await time.latest();
       const transactions = [
         {
           from: addr1.address,
@@ -505,18 +3316,7 @@ describe("CBDCToken", function () {
       const signatures = await Promise.all(
         transactions.map(async (tx, index) => {
           const signer = index === 0 ? addr1 : addr2;
-          const messageHash = ethers.utils.solidityKeccak256(
-            ["address", "address", "uint256", "uint256", "uint256", "address"],
-            [
-              tx.from,
-              tx.to,
-              tx.amount,
-              tx.nonce,
-              tx.expirationTimestamp,
-              cbdcToken.address,
-            ]
-          );
-          return signer.signMessage(ethers.utils.arrayify(messageHash));
+          return signVoucher(signer, domain, tx);
         })
       );
 
@@ -533,6 +3333,292 @@ describe("CBDCToken", function () {
     });
   });
 
+  describe("Partial Bulk Offline Transactions", function () {
+    let signedVouchers;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.mint(addr2.address, 1000, REASON_CODE);
+      const currentTimestamp = await time.latest();
+
+      const valid = {
+        from: addr1.address,
+        to: addr3.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: currentTimestamp + 3600,
+      };
+      const expired = {
+        from: addr2.address,
+        to: addr4.address,
+        amount: 200,
+        nonce: 1,
+        expirationTimestamp: currentTimestamp - 3600,
+      };
+      const wrongSigner = {
+        from: addr2.address,
+        to: addr4.address,
+        amount: 300,
+        nonce: 2,
+        expirationTimestamp: currentTimestamp + 3600,
+      };
+      const alsoValid = {
+        from: addr2.address,
+        to: addr4.address,
+        amount: 400,
+        nonce: 3,
+        expirationTimestamp: currentTimestamp + 3600,
+      };
+
+      signedVouchers = [
+        { voucher: valid, signature: await signVoucher(addr1, domain, valid) },
+        {
+          voucher: expired,
+          signature: await signVoucher(addr2, domain, expired),
+        },
+        {
+          voucher: wrongSigner,
+          signature: await signVoucher(addr1, domain, wrongSigner),
+        },
+        {
+          voucher: alsoValid,
+          signature: await signVoucher(addr2, domain, alsoValid),
+        },
+      ];
+    });
+
+    it("Should settle valid vouchers and skip failing ones", async function () {
+      await cbdcToken.tryProcessBulkOfflineTransactions(
+        ...toBulkArguments(signedVouchers)
+      );
+
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(100);
+      expect(await cbdcToken.balanceOf(addr4.address)).to.equal(400);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(900);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(600);
+    });
+
+    it("Should return a status for every voucher", async function () {
+      const results =
+        await cbdcToken.callStatic.tryProcessBulkOfflineTransactions(
+          ...toBulkArguments(signedVouchers)
+        );
+      expect(results).to.deep.equal([true, false, false, true]);
+    });
+
+    it("Should emit a failure event with the reason for skipped vouchers", async function () {
+      const tx = cbdcToken.tryProcessBulkOfflineTransactions(
+        ...toBulkArguments(signedVouchers)
+      );
+      await expect(tx)
+        .to.emit(cbdcToken, "OfflineTransactionFailed")
+        .withArgs(1, "Transaction expired");
+      await expect(tx)
+        .to.emit(cbdcToken, "OfflineTransactionFailed")
+        .withArgs(2, "Invalid signature");
+    });
+
+    it("Should report replayed vouchers as failed", async function () {
+      await cbdcToken.tryProcessBulkOfflineTransactions(
+        ...toBulkArguments(signedVouchers)
+      );
+      await expect(
+        cbdcToken.tryProcessBulkOfflineTransactions(
+          ...toBulkArguments([signedVouchers[0]])
+        )
+      )
+        .to.emit(cbdcToken, "OfflineTransactionFailed")
+        .withArgs(0, "Nonce already used");
+      expect(await cbdcToken.balanceOf(addr3.address)).to.equal(100);
+    });
+
+    it("Should still reject mismatched array lengths", async function () {
+      const [froms, tos, amounts, nonces, expirationTimestamps, signatures] =
+        toBulkArguments(signedVouchers);
+      await expect(
+        cbdcToken.tryProcessBulkOfflineTransactions(
+          froms,
+          tos,
+          amounts,
+          nonces,
+          expirationTimestamps,
+          signatures.slice(1)
+        )
+      ).to.be.revertedWith("Input arrays length mismatch");
+    });
+
+    it("Should not process vouchers while paused", async function () {
+      await cbdcToken.pause();
+      await expect(
+        cbdcToken.tryProcessBulkOfflineTransactions(
+          ...toBulkArguments(signedVouchers)
+        )
+      ).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Transfer Entry Points", function () {
+    let nonce;
+
+    async function signedVoucher(from, to, amount) {
+      nonce += 1;
+      const voucher = {
+        from: from.address,
+        to: to.address,
+        amount,
+        nonce,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      return { voucher, signature: await signVoucher(from, domain, voucher) };
+    }
+
+    // Every entry point moves `amount` from `from` to `to`; addr4 acts as spender or relayer
+    const entryPoints = {
+      transfer: (from, to, amount) =>
+        cbdcToken.connect(from).transfer(to.address, amount),
+      transferFrom: (from, to, amount) =>
+        cbdcToken.connect(addr4).transferFrom(from.address, to.address, amount),
+      processOfflineTransaction: async (from, to, amount) => {
+        const { voucher, signature } = await signedVoucher(from, to, amount);
+        return cbdcToken
+          .connect(addr4)
+          .processOfflineTransaction(
+            voucher.from,
+            voucher.to,
+            voucher.amount,
+            voucher.nonce,
+            voucher.expirationTimestamp,
+            signature
+          );
+      },
+      processBulkOfflineTransactions: async (from, to, amount) =>
+        cbdcToken
+          .connect(addr4)
+          .processBulkOfflineTransactions(
+            ...toBulkArguments([await signedVoucher(from, to, amount)])
+          ),
+    };
+
+    const rules = [
+      {
+        name: "pause",
+        reason: "Pausable: paused",
+        setup: () => cbdcToken.pause(),
+      },
+      {
+        name: "sender blacklist",
+        reason: "Blacklisted address",
+        setup: () => cbdcToken.setBlacklistStatus(addr1.address, true),
+      },
+      {
+        name: "recipient blacklist",
+        reason: "Blacklisted address",
+        setup: () => cbdcToken.setBlacklistStatus(addr2.address, true),
+      },
+      {
+        name: "sender KYC",
+        reason: "KYC verification required",
+        setup: () => cbdcToken.setKYCStatus(addr1.address, false, 0),
+      },
+      {
+        name: "recipient KYC",
+        reason: "KYC verification required",
+        setup: () => cbdcToken.setKYCStatus(addr2.address, false, 0),
+      },
+      {
+        name: "cool-down",
+        reason: "Transaction too soon",
+        setup: async () => {
+          await cbdcToken.setTransactionCoolDown(60);
+          await cbdcToken.connect(addr1).transfer(addr3.address, 1);
+        },
+      },
+      {
+        name: "max transaction amount",
+        reason: "Exceeds maximum transaction amount",
+        setup: () => cbdcToken.setMaxTransactionAmount(99),
+      },
+      {
+        name: "tier transaction limit",
+        reason: "Exceeds tier transaction limit",
+        setup: () => cbdcToken.setPolicyTier(1, 99, 0, 0, 0),
+      },
+      {
+        name: "tier holding limit",
+        reason: "Exceeds tier holding limit",
+        setup: () => cbdcToken.setPolicyTier(1, 0, 0, 0, 99),
+      },
+      {
+        name: "velocity limit",
+        reason: "Exceeds transaction velocity limit",
+        setup: async () => {
+          await cbdcToken.setVelocityLimit(3600, 1, 1000);
+          await cbdcToken.connect(addr1).transfer(addr3.address, 1);
+        },
+      },
+    ];
+
+    beforeEach(async function () {
+      nonce = 0;
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.setTransactionCoolDown(0);
+      await cbdcToken
+        .connect(addr1)
+        .approve(addr4.address, ethers.constants.MaxUint256);
+    });
+
+    for (const [entryPoint, send] of Object.entries(entryPoints)) {
+      describe(entryPoint, function () {
+        it("Should move funds and start the cool-down", async function () {
+          await cbdcToken.setTransactionCoolDown(60);
+          await send(addr1, addr2, 100);
+          expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+
+          await expect(
+            cbdcToken.connect(addr1).transfer(addr2.address, 1)
+          ).to.be.revertedWith("Transaction too soon");
+        });
+
+        for (const rule of rules) {
+          it(`Should enforce the ${rule.name}`, async function () {
+            await rule.setup();
+            await expect(send(addr1, addr2, 100)).to.be.revertedWith(
+              rule.reason
+            );
+          });
+        }
+      });
+    }
+
+    it("Should apply the cool-down between vouchers of one bulk submission", async function () {
+      await cbdcToken.setTransactionCoolDown(60);
+      await expect(
+        cbdcToken.processBulkOfflineTransactions(
+          ...toBulkArguments([
+            await signedVoucher(addr1, addr2, 100),
+            await signedVoucher(addr1, addr3, 100),
+          ])
+        )
+      ).to.be.revertedWith("Transaction too soon");
+    });
+
+    it("Should not apply transfer policies to minting and redemption settlement", async function () {
+      await cbdcToken
+        .connect(addr1)
+        .requestRedemption(100, ethers.utils.formatBytes32String("BANK"));
+      await cbdcToken.setMaxTransactionAmount(99);
+      await cbdcToken.pause();
+
+      await cbdcToken.mint(addr5.address, 100, REASON_CODE);
+      expect(await cbdcToken.balanceOf(addr5.address)).to.equal(100);
+      const balance = await cbdcToken.balanceOf(addr1.address);
+      await cbdcToken.settleRedemption(1, REASON_CODE);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(
+        balance.sub(100)
+      );
+    });
+  });
+
   describe("Role Management", function () {
     it("Should allow admin to grant roles", async function () {
       await cbdcToken.grantRole(MINTER_ROLE, addr1.address);
@@ -565,7 +3651,7 @@ describe("CBDCToken", function () {
 
   describe("ERC20 Functionality", function () {
     beforeEach(async function () {
-      await cbdcToken.mint(addr1.address, 1000);
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
     });
 
     it("Should allow token transfers", async function () {
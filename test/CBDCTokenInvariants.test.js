@@ -0,0 +1,642 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  getVoucherDomain,
+  hashVoucher,
+  signVoucher,
+  toBulkArguments,
+} = require("../lib/offlineVouchers");
+const { CBDCError, toCBDCError } = require("../lib/sdk");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
+
+// Stateful property tests: fast-check generates random sequences of token
+// operations, runs them against a fresh deployment and checks the invariants
+// after every step. A failing sequence is shrunk to a minimal reproduction and
+// reported together with the seed; rerun it with FUZZ_SEED=<seed>.
+// FUZZ_RUNS sets the number of sequences (20 by default).
+
+const REASON_CODE = ethers.utils.formatBytes32String("FUZZ");
+const COOL_DOWN = 60;
+const MAX_TRANSACTION_AMOUNT = 1000;
+const INITIAL_BALANCE = 5000;
+const HOLDERS = 5; // addr1 to addr5; addr5 is left unverified
+const FEE_TYPES = ["Transfer", "Offline", "Relayer"];
+const ONE_DAY = 24 * 60 * 60;
+const OPENING_INTEREST_RATE_BPS = 500;
+
+async function deployFixture() {
+  const [owner, ...holders] = (await ethers.getSigners()).slice(0, HOLDERS + 1);
+  const CBDCToken = await ethers.getContractFactory("CBDCToken");
+  const cbdcToken = await CBDCToken.deploy(await deployCBDCTokenModules(hre));
+  await cbdcToken.deployed();
+
+  const maxSupply = await cbdcToken.MAX_SUPPLY();
+  // Unlimited, so minting up to the cap is never stopped by the allowance first
+  await cbdcToken.setMintAllowance(owner.address, ethers.constants.MaxUint256);
+  await cbdcToken.setBurnAllowance(owner.address, maxSupply);
+  await cbdcToken.setTransactionCoolDown(COOL_DOWN);
+  await cbdcToken.setMaxTransactionAmount(MAX_TRANSACTION_AMOUNT);
+  for (const account of [owner, ...holders.slice(0, HOLDERS - 1)]) {
+    await cbdcToken.setKYCStatus(account.address, true, 1);
+  }
+  // Opening balances and interest, so sequences do not have to set them up
+  await cbdcToken.setInterestTier(1, OPENING_INTEREST_RATE_BPS, 0, 0);
+  for (const holder of holders) {
+    await cbdcToken.mint(holder.address, INITIAL_BALANCE, REASON_CODE);
+  }
+  for (const holder of holders) {
+    for (const spender of holders) {
+      if (spender !== holder) {
+        await cbdcToken
+          .connect(holder)
+          .approve(spender.address, ethers.constants.MaxUint256);
+      }
+    }
+  }
+
+  return {
+    cbdcToken,
+    owner,
+    holders,
+    maxSupply,
+    domain: await getVoucherDomain(cbdcToken),
+    expirationTimestamp: (await time.latest()) + 365 * 24 * 60 * 60,
+  };
+}
+
+// Revert reasons the token can hit that the SDK has no typed error for
+const OTHER_EXPECTED_REASONS = new Set(["Pausable: not paused"]);
+
+// Sends a transaction and returns its receipt, or undefined if it reverts with
+// one of the token's known reasons: most random operations break some transfer
+// policy. Panics, custom errors and unknown reasons fail the sequence.
+async function attempt(sendTransaction) {
+  try {
+    return await (await sendTransaction()).wait();
+  } catch (error) {
+    const cbdcError = toCBDCError(error);
+    if (
+      cbdcError instanceof CBDCError &&
+      (cbdcError.constructor !== CBDCError ||
+        OTHER_EXPECTED_REASONS.has(cbdcError.reason))
+    ) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+// The state a step starts from, which the events it emits are checked against.
+async function readStepContext(model) {
+  const { cbdcToken, owner, holders } = model.fixture;
+  const blacklisted = new Set();
+  const verified = new Set();
+  for (const account of [owner, ...holders]) {
+    if (await cbdcToken.isBlacklisted(account.address)) {
+      blacklisted.add(account.address);
+    }
+    if (await cbdcToken.isKYCVerified(account.address)) {
+      verified.add(account.address);
+    }
+  }
+  return { blacklisted, verified, paused: await cbdcToken.paused() };
+}
+
+// Event handlers get the step's starting state, the event's arguments, the
+// block timestamp and the event logged right after it.
+const EVENT_INVARIANTS = {
+  Transfer(model, context, { from, to, value }, timestamp, nextEvent) {
+    expect(
+      context.blacklisted.has(from) || context.blacklisted.has(to),
+      "blacklisted address moved funds"
+    ).to.equal(false);
+    if (from === ethers.constants.AddressZero) {
+      return;
+    }
+    if (to === ethers.constants.AddressZero) {
+      return;
+    }
+    expect(
+      context.verified.has(from) && context.verified.has(to),
+      "funds moved to or from an unverified address"
+    ).to.equal(true);
+    // Fees are moved out of a payment that already passed the policy checks
+    if (nextEvent !== undefined && nextEvent.event === "FeeCharged") {
+      return;
+    }
+    expect(context.paused, "funds moved while paused").to.equal(false);
+    expect(
+      value.lte(MAX_TRANSACTION_AMOUNT),
+      `transfer of ${value} exceeds maxTransactionAmount`
+    ).to.equal(true);
+    const last = model.lastTransferTimes.get(from);
+    expect(
+      last === undefined || timestamp - last >= COOL_DOWN,
+      `${from} transferred again ${timestamp - last}s into its cool-down`
+    ).to.equal(true);
+    model.lastTransferTimes.set(from, timestamp);
+  },
+
+  OfflineTransactionProcessed(model, context, { transactionId }) {
+    const voucher = model.vouchers.get(transactionId);
+    const key = `${voucher.from}:${voucher.nonce}`;
+    expect(
+      model.redeemedNonces.has(key),
+      `voucher nonce ${key} redeemed twice`
+    ).to.equal(false);
+    model.redeemedNonces.add(key);
+  },
+};
+
+async function checkInvariants(model, context, receipts) {
+  const { cbdcToken, owner, holders, maxSupply } = model.fixture;
+  for (const receipt of receipts.filter(Boolean)) {
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const events = receipt.events || [];
+    for (const [i, { event, args }] of events.entries()) {
+      if (EVENT_INVARIANTS[event] !== undefined) {
+        EVENT_INVARIANTS[event](model, context, args, timestamp, events[i + 1]);
+      }
+    }
+  }
+
+  const totalSupply = await cbdcToken.totalSupply();
+  expect(totalSupply.lte(maxSupply), "totalSupply exceeds MAX_SUPPLY").to.equal(
+    true
+  );
+  // Fee collectors and relayers are drawn from these accounts too
+  let balances = ethers.constants.Zero;
+  for (const account of [owner, ...holders]) {
+    balances = balances.add(await cbdcToken.balanceOf(account.address));
+  }
+  expect(balances, "balances do not add up to totalSupply").to.equal(
+    totalSupply
+  );
+  const [issued, redeemed, interestPaid, interestCharged] = await Promise.all([
+    cbdcToken.totalIssued(),
+    cbdcToken.totalRedeemed(),
+    cbdcToken.totalInterestPaid(),
+    cbdcToken.totalInterestCharged(),
+  ]);
+  expect(
+    issued.sub(redeemed).add(interestPaid).sub(interestCharged),
+    "totalSupply does not reconcile with issuance and redemption"
+  ).to.equal(totalSupply);
+
+  for (const invariant of model.extraInvariants) {
+    await invariant(model, receipts);
+  }
+}
+
+// One generated operation. `action` sends its transactions and returns their
+// receipts; toString is what a shrunk counterexample is reported as.
+class Step {
+  constructor(name, args, action) {
+    this.name = name;
+    this.args = args;
+    this.action = action;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model) {
+    const context = await readStepContext(model);
+    const receipts = await this.action(model.fixture, model);
+    await checkInvariants(model, context, receipts);
+  }
+
+  toString() {
+    return `${this.name}(${this.args.join(", ")})`;
+  }
+}
+
+const holderIndex = fc.integer({ min: 0, max: HOLDERS - 1 });
+const amount = fc.oneof(
+  { weight: 4, arbitrary: fc.integer({ min: 1, max: 1500 }) },
+  { weight: 1, arbitrary: fc.integer({ min: 0, max: 1_000_000 }) }
+);
+const nonce = fc.integer({ min: 1, max: 4 });
+const voucherParams = fc.record({
+  from: holderIndex,
+  to: holderIndex,
+  amount,
+  nonce,
+});
+// Account that submits vouchers and earns the relayer fee; -1 is the owner
+const relayerIndex = fc.integer({ min: -1, max: HOLDERS - 1 });
+
+function holderName(index) {
+  return `addr${index + 1}`;
+}
+
+function relayerName(index) {
+  return index === -1 ? "owner" : holderName(index);
+}
+
+function relayerOf({ owner, holders }, index) {
+  return index === -1 ? owner : holders[index];
+}
+
+async function signedVoucher(fixture, model, { from, to, amount, nonce }) {
+  const { domain, expirationTimestamp, holders } = fixture;
+  const voucher = {
+    from: holders[from].address,
+    to: holders[to].address,
+    amount,
+    nonce,
+    expirationTimestamp,
+  };
+  model.vouchers.set(hashVoucher(domain, voucher), voucher);
+  return {
+    voucher,
+    signature: await signVoucher(holders[from], domain, voucher),
+  };
+}
+
+function voucherName({ from, to, amount, nonce }) {
+  return `${holderName(from)}->${holderName(to)}:${amount}#${nonce}`;
+}
+
+const STEPS = {
+  // Mostly small amounts, sometimes enough to run into MAX_SUPPLY (10^27)
+  mint: fc
+    .tuple(
+      holderIndex,
+      fc.oneof(amount.map(BigInt), fc.bigInt({ min: 1n, max: 10n ** 27n + 1n }))
+    )
+    .map(
+      ([to, value]) =>
+        new Step(
+          "mint",
+          [holderName(to), value],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken.mint(holders[to].address, value, REASON_CODE)
+            ),
+          ]
+        )
+    ),
+
+  // Mints up to `shortfall` below MAX_SUPPLY, so interest pending on the
+  // recipient is what would push the supply over the cap
+  mintToCap: fc.tuple(holderIndex, fc.integer({ min: 0, max: 10 })).map(
+    ([to, shortfall]) =>
+      new Step(
+        "mintToCap",
+        [holderName(to), shortfall],
+        async ({ cbdcToken, holders, maxSupply }) => {
+          const value = maxSupply
+            .sub(await cbdcToken.totalSupply())
+            .sub(shortfall);
+          if (value.lte(0)) {
+            return [];
+          }
+          return [
+            await attempt(() =>
+              cbdcToken.mint(holders[to].address, value, REASON_CODE)
+            ),
+          ];
+        }
+      )
+  ),
+
+  burn: fc.tuple(holderIndex, amount).map(
+    ([from, value]) =>
+      new Step(
+        "burn",
+        [holderName(from), value],
+        async ({ cbdcToken, holders }) => {
+          const request = await attempt(() =>
+            cbdcToken
+              .connect(holders[from])
+              .requestRedemption(value, REASON_CODE)
+          );
+          if (request === undefined) {
+            return [];
+          }
+          const { requestId } = request.events.find(
+            ({ event }) => event === "RedemptionRequested"
+          ).args;
+          return [
+            request,
+            await attempt(() =>
+              cbdcToken.settleRedemption(requestId, REASON_CODE)
+            ),
+          ];
+        }
+      )
+  ),
+
+  transfer: fc
+    .tuple(holderIndex, holderIndex, amount)
+    .map(
+      ([from, to, value]) =>
+        new Step(
+          "transfer",
+          [holderName(from), holderName(to), value],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken
+                .connect(holders[from])
+                .transfer(holders[to].address, value)
+            ),
+          ]
+        )
+    ),
+
+  transferFrom: fc
+    .tuple(holderIndex, holderIndex, holderIndex, amount)
+    .map(
+      ([spender, from, to, value]) =>
+        new Step(
+          "transferFrom",
+          [holderName(spender), holderName(from), holderName(to), value],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken
+                .connect(holders[spender])
+                .transferFrom(holders[from].address, holders[to].address, value)
+            ),
+          ]
+        )
+    ),
+
+  lockOfflineFunds: fc
+    .tuple(holderIndex, amount)
+    .map(
+      ([holder, value]) =>
+        new Step(
+          "lockOfflineFunds",
+          [holderName(holder), value],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken.connect(holders[holder]).lockOfflineFunds(value)
+            ),
+          ]
+        )
+    ),
+
+  offline: fc.tuple(voucherParams, relayerIndex).map(
+    ([params, relayer]) =>
+      new Step(
+        "offline",
+        [voucherName(params), relayerName(relayer)],
+        async (fixture, model) => {
+          const { voucher, signature } = await signedVoucher(
+            fixture,
+            model,
+            params
+          );
+          return [
+            await attempt(() =>
+              fixture.cbdcToken
+                .connect(relayerOf(fixture, relayer))
+                .processOfflineTransaction(
+                  voucher.from,
+                  voucher.to,
+                  voucher.amount,
+                  voucher.nonce,
+                  voucher.expirationTimestamp,
+                  signature
+                )
+            ),
+          ];
+        }
+      )
+  ),
+
+  bulk: fc
+    .tuple(
+      fc.array(voucherParams, { minLength: 1, maxLength: 4 }),
+      fc.boolean(),
+      relayerIndex
+    )
+    .map(
+      ([vouchers, atomic, relayer]) =>
+        new Step(
+          atomic ? "bulk" : "tryBulk",
+          [...vouchers.map(voucherName), relayerName(relayer)],
+          async (fixture, model) => {
+            const signedVouchers = [];
+            for (const params of vouchers) {
+              signedVouchers.push(await signedVoucher(fixture, model, params));
+            }
+            const method = atomic
+              ? "processBulkOfflineTransactions"
+              : "tryProcessBulkOfflineTransactions";
+            const cbdcToken = fixture.cbdcToken.connect(
+              relayerOf(fixture, relayer)
+            );
+            return [
+              await attempt(() =>
+                cbdcToken[method](...toBulkArguments(signedVouchers))
+              ),
+            ];
+          }
+        )
+    ),
+
+  blacklist: fc
+    .tuple(holderIndex, fc.boolean())
+    .map(
+      ([holder, blacklisted]) =>
+        new Step(
+          "blacklist",
+          [holderName(holder), blacklisted],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken.setBlacklistStatus(holders[holder].address, blacklisted)
+            ),
+          ]
+        )
+    ),
+
+  pause: fc
+    .boolean()
+    .map(
+      (paused) =>
+        new Step(paused ? "pause" : "unpause", [], async ({ cbdcToken }) => [
+          await attempt(() =>
+            paused ? cbdcToken.pause() : cbdcToken.unpause()
+          ),
+        ])
+    ),
+
+  feeSchedule: fc
+    .tuple(
+      fc.integer({ min: 0, max: FEE_TYPES.length - 1 }),
+      fc.integer({ min: 0, max: 20 }),
+      fc.integer({ min: 0, max: 1000 })
+    )
+    .map(
+      ([feeType, flatFee, feeBps]) =>
+        new Step(
+          "feeSchedule",
+          [FEE_TYPES[feeType], flatFee, feeBps],
+          async ({ cbdcToken }) => [
+            await attempt(() =>
+              cbdcToken.setFeeSchedule(feeType, flatFee, feeBps, 0, 0)
+            ),
+          ]
+        )
+    ),
+
+  // Any holder can become the collector, including blacklisted and unverified ones
+  feeCollector: fc
+    .option(holderIndex, { nil: undefined })
+    .map(
+      (collector) =>
+        new Step(
+          "feeCollector",
+          [collector === undefined ? "none" : holderName(collector)],
+          async ({ cbdcToken, holders }) => [
+            await attempt(() =>
+              cbdcToken.setFeeCollector(
+                collector === undefined
+                  ? ethers.constants.AddressZero
+                  : holders[collector].address
+              )
+            ),
+          ]
+        )
+    ),
+
+  // Interest and holding fees of the verified (1) or unverified (0) tier, in basis points a year
+  interestTier: fc
+    .tuple(
+      fc.integer({ min: 0, max: 1 }),
+      fc.integer({ min: -1000, max: 1000 }),
+      fc.integer({ min: 0, max: 2 * INITIAL_BALANCE }),
+      fc.integer({ min: 0, max: 500 })
+    )
+    .map(
+      ([level, annualRateBps, holdingFeeThreshold, holdingFeeBps]) =>
+        new Step(
+          "interestTier",
+          [level, annualRateBps, holdingFeeThreshold, holdingFeeBps],
+          async ({ cbdcToken }) => [
+            await attempt(() =>
+              cbdcToken.setInterestTier(
+                level,
+                annualRateBps,
+                holdingFeeThreshold,
+                holdingFeeBps
+              )
+            ),
+          ]
+        )
+    ),
+
+  // Mostly cool-down sized waits, sometimes long enough for interest to add up
+  wait: fc
+    .oneof(
+      { weight: 4, arbitrary: fc.integer({ min: 1, max: 3 * COOL_DOWN }) },
+      { weight: 1, arbitrary: fc.integer({ min: ONE_DAY, max: 30 * ONE_DAY }) }
+    )
+    .map(
+      (seconds) =>
+        new Step("wait", [seconds], async () => {
+          await time.increase(seconds);
+          return [];
+        })
+    ),
+};
+
+// Runs generated sequences of `steps` and returns fast-check's result.
+// `extraInvariants` are checked after every step next to the built-in ones.
+async function checkSequences({
+  steps = Object.values(STEPS),
+  extraInvariants = [],
+  numRuns = Number(process.env.FUZZ_RUNS || 20),
+  maxCommands = 25,
+  seed = process.env.FUZZ_SEED && Number(process.env.FUZZ_SEED),
+} = {}) {
+  const property = fc.asyncProperty(
+    fc.commands(steps, { maxCommands }),
+    async (commands) => {
+      const fixture = await loadFixture(deployFixture);
+      const model = {
+        fixture,
+        extraInvariants,
+        vouchers: new Map(),
+        redeemedNonces: new Set(),
+        lastTransferTimes: new Map(),
+      };
+      await fc.asyncModelRun(() => ({ model, real: {} }), commands);
+    }
+  );
+  return fc.check(
+    property,
+    seed === undefined ? { numRuns } : { numRuns, seed }
+  );
+}
+
+describe("CBDCToken invariants", function () {
+  this.timeout(15 * 60 * 1000);
+
+  it("Should only treat the token's known revert reasons as expected", async function () {
+    const { cbdcToken, holders } = await loadFixture(deployFixture);
+    expect(
+      await attempt(() =>
+        cbdcToken.connect(holders[4]).transfer(holders[0].address, 1)
+      )
+    ).to.equal(undefined);
+
+    // An out-of-range fee type fails ABI decoding without a revert reason
+    let error;
+    try {
+      await attempt(() =>
+        cbdcToken.setFeeSchedule(FEE_TYPES.length, 0, 0, 0, 0)
+      );
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error, "unknown revert treated as expected").to.not.equal(undefined);
+  });
+
+  it("Should keep supply, blacklist, pause, voucher and transaction limits under random operation sequences", async function () {
+    const result = await checkSequences();
+    if (result.failed) {
+      throw new Error(fc.defaultReportMessage(result));
+    }
+  });
+
+  it("Should shrink a failing sequence to a minimal reproduction", async function () {
+    // A planted invariant that any successful holder-to-holder transfer breaks
+    const result = await checkSequences({
+      steps: [STEPS.transfer, STEPS.blacklist, STEPS.pause, STEPS.wait],
+      extraInvariants: [
+        (model, receipts) => {
+          const transferred = receipts.some(
+            (receipt) =>
+              receipt &&
+              receipt.events.some(
+                ({ event, args }) =>
+                  event === "Transfer" &&
+                  args.from !== ethers.constants.AddressZero &&
+                  args.to !== ethers.constants.AddressZero
+              )
+          );
+          expect(transferred, "planted invariant").to.equal(false);
+        },
+      ],
+      numRuns: 50,
+      maxCommands: 10,
+      seed: 42,
+    });
+
+    expect(result.failed).to.equal(true);
+    const steps = [...result.counterexample[0]].map(String);
+    expect(steps).to.have.length(1);
+    expect(steps[0]).to.match(/^transfer\(addr[1-4], addr[1-4], 1\)$/);
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployCBDCToken } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+describe("CBDCTokenModule", function () {
+  let deployer, admin, minter, pauser, burner, policySetter, kycAdmin;
+  let complianceOfficer, seizureOfficer;
+  let parameters;
+
+  const REASON_CODE = ethers.utils.formatBytes32String("ISSUANCE");
+
+  const ROLE_HOLDERS = {
+    DEFAULT_ADMIN_ROLE: () => admin,
+    MINTER_ROLE: () => minter,
+    PAUSER_ROLE: () => pauser,
+    BURNER_ROLE: () => burner,
+    POLICY_SETTER_ROLE: () => policySetter,
+    KYC_ADMIN_ROLE: () => kycAdmin,
+    COMPLIANCE_ROLE: () => complianceOfficer,
+    SEIZURE_ROLE: () => seizureOfficer,
+  };
+
+  beforeEach(async function () {
+    [
+      deployer,
+      admin,
+      minter,
+      pauser,
+      burner,
+      policySetter,
+      kycAdmin,
+      complianceOfficer,
+      seizureOfficer,
+    ] = await ethers.getSigners();
+
+    parameters = {
+      admin: admin.address,
+      minter: minter.address,
+      pauser: pauser.address,
+      burner: burner.address,
+      policySetter: policySetter.address,
+      kycAdmin: kycAdmin.address,
+      complianceOfficer: complianceOfficer.address,
+      seizureOfficer: seizureOfficer.address,
+    };
+  });
+
+  it("Should apply the default policy values", async function () {
+    const cbdcToken = await deployCBDCToken(hre, {
+      CBDCTokenModule: parameters,
+    });
+
+    expect(await cbdcToken.transactionCoolDown()).to.equal(60);
+    expect(await cbdcToken.maxTransactionAmount()).to.equal(
+      ethers.utils.parseEther("1000000")
+    );
+  });
+
+  it("Should apply the configured policy values", async function () {
+    const cbdcToken = await deployCBDCToken(hre, {
+      CBDCTokenModule: {
+        ...parameters,
+        transactionCoolDown: 300,
+        maxTransactionAmount: ethers.utils.parseEther("5000").toBigInt(),
+      },
+    });
+
+    expect(await cbdcToken.transactionCoolDown()).to.equal(300);
+    expect(await cbdcToken.maxTransactionAmount()).to.equal(
+      ethers.utils.parseEther("5000")
+    );
+  });
+
+  it("Should hand every role to its holder and renounce the deployer's roles", async function () {
+    const cbdcToken = await deployCBDCToken(hre, {
+      CBDCTokenModule: parameters,
+    });
+
+    for (const [roleName, holder] of Object.entries(ROLE_HOLDERS)) {
+      const role = await cbdcToken[roleName]();
+      expect(await cbdcToken.hasRole(role, holder().address)).to.equal(
+        true,
+        `${roleName} holder`
+      );
+      expect(await cbdcToken.hasRole(role, deployer.address)).to.equal(
+        false,
+        `${roleName} deployer`
+      );
+    }
+  });
+
+  it("Should leave the minter and burner allowances at zero by default", async function () {
+    const cbdcToken = await deployCBDCToken(hre, {
+      CBDCTokenModule: parameters,
+    });
+
+    expect(await cbdcToken.mintAllowance(minter.address)).to.equal(0);
+    expect(await cbdcToken.burnAllowance(burner.address)).to.equal(0);
+  });
+
+  it("Should let the role holders operate the token", async function () {
+    const cbdcToken = await deployCBDCToken(hre, {
+      CBDCTokenModule: {
+        ...parameters,
+        minterAllowance: 100n,
+        burnerAllowance: 40n,
+      },
+    });
+
+    await cbdcToken.connect(minter).mint(minter.address, 100, REASON_CODE);
+    expect(await cbdcToken.balanceOf(minter.address)).to.equal(100);
+    await cbdcToken.connect(kycAdmin).setKYCStatus(minter.address, true, 1);
+    await cbdcToken.connect(minter).requestRedemption(40, REASON_CODE);
+    await cbdcToken.connect(burner).settleRedemption(1, REASON_CODE);
+    expect(await cbdcToken.balanceOf(minter.address)).to.equal(60);
+    await expect(cbdcToken.mint(deployer.address, 100, REASON_CODE)).to.be
+      .reverted;
+  });
+
+  it("Should fail when a role holder is missing", async function () {
+    const { minter: _, ...withoutMinter } = parameters;
+    await expect(
+      deployCBDCToken(hre, { CBDCTokenModule: withoutMinter })
+    ).to.be.rejectedWith(/minter/);
+  });
+});
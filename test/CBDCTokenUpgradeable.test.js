@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+const { deployCBDCTokenProxy } = require("../scripts/deployUpgradeable");
+const { upgradeCBDCTokenProxy } = require("../scripts/upgrade");
+const { getVoucherDomain, signVoucher } = require("../lib/offlineVouchers");
+
+const { ethers, upgrades } = hre;
+
+describe("CBDCTokenUpgradeable", function () {
+  let cbdcToken, owner, addr1, addr2, addr3;
+  let UPGRADER_ROLE;
+
+  const REASON_CODE = ethers.utils.formatBytes32String("ISSUANCE");
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    cbdcToken = await deployCBDCTokenProxy(hre, owner.address);
+    UPGRADER_ROLE = await cbdcToken.UPGRADER_ROLE();
+  });
+
+  describe("Initialization", function () {
+    it("Should grant every role to the admin", async function () {
+      for (const roleName of [
+        "DEFAULT_ADMIN_ROLE",
+        "MINTER_ROLE",
+        "PAUSER_ROLE",
+        "BURNER_ROLE",
+        "POLICY_SETTER_ROLE",
+        "KYC_ADMIN_ROLE",
+        "COMPLIANCE_ROLE",
+        "SEIZURE_ROLE",
+        "UPGRADER_ROLE",
+      ]) {
+        expect(
+          await cbdcToken.hasRole(await cbdcToken[roleName](), owner.address)
+        ).to.equal(true, roleName);
+      }
+    });
+
+    it("Should initialize the token metadata and policies", async function () {
+      expect(await cbdcToken.name()).to.equal("CBDC Token");
+      expect(await cbdcToken.symbol()).to.equal("CBDC");
+      expect(await cbdcToken.transactionCoolDown()).to.equal(60);
+      expect(await cbdcToken.maxTransactionAmount()).to.equal(
+        ethers.utils.parseEther("1000000")
+      );
+      expect(await cbdcToken.kycValidityPeriod()).to.equal(365 * 24 * 60 * 60);
+      expect(await cbdcToken.offlineLockPeriod()).to.equal(7 * 24 * 60 * 60);
+    });
+
+    it("Should not be initialized twice", async function () {
+      await expect(cbdcToken.initialize(addr1.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should not allow initializing the implementation", async function () {
+      const implementation = await ethers.getContractAt(
+        "CBDCTokenUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(cbdcToken.address)
+      );
+      await expect(implementation.initialize(addr1.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+  });
+
+  describe("Upgrades", function () {
+    let voucher;
+
+    beforeEach(async function () {
+      for (const account of [addr1, addr2]) {
+        await cbdcToken.setKYCStatus(account.address, true, 1);
+      }
+      await cbdcToken.setMintAllowance(owner.address, 1000);
+      await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+      await cbdcToken.setBlacklistStatus(addr3.address, true);
+
+      voucher = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 100,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      const domain = await getVoucherDomain(cbdcToken);
+      await cbdcToken.processOfflineTransaction(
+        voucher.from,
+        voucher.to,
+        voucher.amount,
+        voucher.nonce,
+        voucher.expirationTimestamp,
+        await signVoucher(addr1, domain, voucher)
+      );
+    });
+
+    it("Should keep balances, blacklist, KYC and nonce state", async function () {
+      const upgraded = await upgradeCBDCTokenProxy(
+        hre,
+        cbdcToken.address,
+        "CBDCTokenUpgradeableV2Mock"
+      );
+
+      expect(upgraded.address).to.equal(cbdcToken.address);
+      expect(await upgraded.version()).to.equal("2");
+      await upgraded.incrementUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(1);
+      expect(await upgraded.balanceOf(addr1.address)).to.equal(900);
+      expect(await upgraded.balanceOf(addr2.address)).to.equal(100);
+      expect(await upgraded.totalSupply()).to.equal(1000);
+      expect(await upgraded.isBlacklisted(addr3.address)).to.equal(true);
+      expect(await upgraded.isKYCVerified(addr1.address)).to.equal(true);
+      expect(await upgraded.isNonceUsed(addr1.address, 1)).to.equal(true);
+      expect(await upgraded.hasRole(UPGRADER_ROLE, owner.address)).to.equal(
+        true
+      );
+    });
+
+    it("Should keep accepting vouchers signed before the upgrade", async function () {
+      const domain = await getVoucherDomain(cbdcToken);
+      const pending = { ...voucher, nonce: 2 };
+      const signature = await signVoucher(addr1, domain, pending);
+
+      const upgraded = await upgradeCBDCTokenProxy(
+        hre,
+        cbdcToken.address,
+        "CBDCTokenUpgradeableV2Mock"
+      );
+      await time.increase(60);
+      await upgraded.processOfflineTransaction(
+        pending.from,
+        pending.to,
+        pending.amount,
+        pending.nonce,
+        pending.expirationTimestamp,
+        signature
+      );
+      expect(await upgraded.balanceOf(addr2.address)).to.equal(200);
+    });
+
+    it("Should only allow the upgrader role to upgrade", async function () {
+      const V2 = await ethers.getContractFactory("CBDCTokenUpgradeableV2Mock");
+      const implementation = await V2.deploy(await deployCBDCTokenModules(hre));
+      await implementation.deployed();
+
+      await expect(cbdcToken.connect(addr1).upgradeTo(implementation.address))
+        .to.be.reverted;
+
+      await cbdcToken.grantRole(UPGRADER_ROLE, addr1.address);
+      await cbdcToken.connect(addr1).upgradeTo(implementation.address);
+      expect(
+        await upgrades.erc1967.getImplementationAddress(cbdcToken.address)
+      ).to.equal(implementation.address);
+    });
+
+    it("Should reject an upgrade with an incompatible storage layout", async function () {
+      const nonce = await owner.getTransactionCount();
+      await expect(
+        upgradeCBDCTokenProxy(
+          hre,
+          cbdcToken.address,
+          "CBDCTokenUpgradeableIncompatibleMock"
+        )
+      ).to.be.rejectedWith(/storage layout/i);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(900);
+      // Nothing was deployed for the rejected upgrade
+      expect(await owner.getTransactionCount()).to.equal(nonce);
+    });
+  });
+});
@@ -0,0 +1,396 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventIndexer, openDatabase } = require("../lib/indexer");
+const {
+  addressStatement,
+  exportReport,
+  largeTransactionReport,
+  structuringReport,
+  supplyReconciliation,
+  toCsv,
+} = require("../lib/reports");
+const { getVoucherDomain, signVoucher } = require("../lib/offlineVouchers");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
+
+describe("indexer", function () {
+  let cbdcToken, owner, addr1, addr2, addr3, database, indexer, fromBlock;
+
+  const ISSUANCE = ethers.utils.formatBytes32String("ISSUANCE");
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const CBDCToken = await ethers.getContractFactory("CBDCToken");
+    cbdcToken = await CBDCToken.deploy(await deployCBDCTokenModules(hre));
+    await cbdcToken.deployed();
+    fromBlock = cbdcToken.deployTransaction.blockNumber;
+    await cbdcToken.setMintAllowance(owner.address, 100000);
+    await cbdcToken.setTransactionCoolDown(0);
+    for (const account of [owner, addr1, addr2, addr3]) {
+      await cbdcToken.setKYCStatus(account.address, true, 1);
+    }
+    await cbdcToken.mint(addr1.address, 10000, ISSUANCE);
+
+    database = openDatabase(":memory:");
+    indexer = new EventIndexer(cbdcToken, database, { fromBlock });
+  });
+
+  afterEach(function () {
+    database.close();
+  });
+
+  function count(table) {
+    return database.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get()
+      .count;
+  }
+
+  describe("Indexing", function () {
+    it("Should store transfer, blacklist, policy and issuance events", async function () {
+      const tx = await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      await cbdcToken.setBlacklistStatus(addr3.address, true);
+      await cbdcToken.setMaxTransactionAmount(5000);
+
+      const result = await indexer.sync();
+
+      expect(result.fromBlock).to.equal(fromBlock);
+      expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(count("transfers")).to.equal(2);
+      expect(count("blacklist_changes")).to.equal(1);
+      expect(count("supply_changes")).to.equal(1);
+      const policy = database.prepare("SELECT * FROM policy_updates").all();
+      expect(policy.map(({ policy_name }) => policy_name)).to.deep.equal([
+        "TransactionCoolDown",
+        "MaxTransactionAmount",
+      ]);
+      const transfer = database
+        .prepare("SELECT * FROM transfers WHERE from_address = ?")
+        .get(addr1.address);
+      expect(transfer.to_address).to.equal(addr2.address);
+      expect(transfer.transaction_hash).to.equal(tx.hash);
+      expect(transfer.timestamp).to.equal(
+        (await ethers.provider.getBlock(tx.blockNumber)).timestamp
+      );
+    });
+
+    it("Should store offline settlements", async function () {
+      const domain = await getVoucherDomain(cbdcToken);
+      const voucher = {
+        from: addr1.address,
+        to: addr2.address,
+        amount: 250,
+        nonce: 1,
+        expirationTimestamp: (await time.latest()) + 3600,
+      };
+      await cbdcToken
+        .connect(addr3)
+        .processOfflineTransaction(
+          ...Object.values(voucher),
+          await signVoucher(addr1, domain, voucher)
+        );
+
+      await indexer.sync();
+
+      const offline = database
+        .prepare("SELECT * FROM offline_transactions")
+        .all();
+      expect(offline).to.have.length(1);
+      expect(offline[0].from_address).to.equal(addr1.address);
+      expect(
+        largeTransactionReport(database, { threshold: 1 }).rows[0].offline
+      ).to.equal(true);
+    });
+
+    it("Should resume from the last synced block without duplicates", async function () {
+      await indexer.sync();
+      const firstBlock = indexer.lastBlock;
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+
+      const result = await indexer.sync();
+      await indexer.sync();
+
+      expect(result.fromBlock).to.equal(firstBlock + 1);
+      expect(result.events).to.equal(1);
+      expect(count("transfers")).to.equal(2);
+    });
+
+    it("Should sync in block ranges", async function () {
+      for (let i = 0; i < 3; i++) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      }
+      indexer = new EventIndexer(cbdcToken, database, {
+        fromBlock,
+        blockRange: 2,
+      });
+
+      await indexer.sync();
+
+      expect(count("transfers")).to.equal(4);
+    });
+
+    it("Should leave unconfirmed blocks for a later sync", async function () {
+      indexer = new EventIndexer(cbdcToken, database, {
+        fromBlock,
+        confirmations: 2,
+      });
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      await mine(1);
+
+      await indexer.sync();
+
+      expect(indexer.lastBlock).to.equal(
+        (await ethers.provider.getBlockNumber()) - 2
+      );
+      expect(count("transfers")).to.equal(1);
+    });
+
+    it("Should refuse a database of another token", async function () {
+      await indexer.sync();
+      const CBDCToken = await ethers.getContractFactory("CBDCToken");
+      const otherToken = await CBDCToken.deploy(
+        await deployCBDCTokenModules(hre)
+      );
+
+      let error;
+      try {
+        await new EventIndexer(otherToken, database).sync();
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal("Database indexes a different token");
+    });
+
+    it("Should follow new blocks until stopped", async function () {
+      const synced = [];
+      const stop = indexer.follow({
+        pollInterval: 10,
+        onSync: (result) => synced.push(result),
+      });
+      while (synced.length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      while (count("transfers") < 2) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      stop();
+
+      expect(synced[0].events).to.be.greaterThan(0);
+    });
+  });
+
+  describe("Reports", function () {
+    it("Should report large transactions above a threshold", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 100);
+      await cbdcToken.connect(addr1).transfer(addr3.address, 5000);
+      await cbdcToken.connect(addr1).transfer(addr2.address, 2000);
+      await indexer.sync();
+
+      const report = largeTransactionReport(database, { threshold: 2000 });
+
+      expect(report.rows.map(({ amount }) => amount)).to.deep.equal([
+        "5000",
+        "2000",
+      ]);
+      expect(report.rows[0]).to.include({
+        from: addr1.address,
+        to: addr3.address,
+        offline: false,
+      });
+      expect(
+        largeTransactionReport(database, {
+          threshold: 2000,
+          includeSupplyChanges: true,
+        }).rows[0].amount
+      ).to.equal("10000");
+    });
+
+    it("Should limit large transactions to a time range", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 5000);
+      await time.increase(3600);
+      const start = (await time.latest()) + 1;
+      await cbdcToken.connect(addr1).transfer(addr2.address, 3000);
+      await indexer.sync();
+
+      const report = largeTransactionReport(database, {
+        threshold: 1000,
+        fromTimestamp: start,
+      });
+
+      expect(report.rows.map(({ amount }) => amount)).to.deep.equal(["3000"]);
+    });
+
+    it("Should detect transfers structured just under the transaction limit", async function () {
+      await cbdcToken.setMaxTransactionAmount(1000);
+      for (const amount of [950, 990, 1000]) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, amount);
+      }
+      // Below the margin, and a second sender with too few transfers
+      await cbdcToken.connect(addr1).transfer(addr3.address, 500);
+      await cbdcToken.connect(addr2).transfer(addr3.address, 990);
+      await indexer.sync();
+
+      const report = structuringReport(database);
+
+      expect(report.rows).to.have.length(1);
+      expect(report.rows[0]).to.include({
+        address: addr1.address,
+        count: 3,
+        totalAmount: "2940",
+      });
+      expect(report.rows[0].recipients).to.deep.equal([addr2.address]);
+      expect(report.rows[0].transactionHashes).to.have.length(3);
+    });
+
+    it("Should only group structured transfers within the window", async function () {
+      await cbdcToken.setMaxTransactionAmount(1000);
+      for (let i = 0; i < 3; i++) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 980);
+        await time.increase(3600);
+      }
+      await indexer.sync();
+
+      expect(structuringReport(database, { window: 3600 }).rows).to.deep.equal(
+        []
+      );
+      expect(
+        structuringReport(database, { window: 3 * 3600 }).rows
+      ).to.have.length(1);
+    });
+
+    it("Should apply the limit in force at each transfer", async function () {
+      await cbdcToken.mint(addr1.address, 10000, ISSUANCE);
+      for (let i = 0; i < 3; i++) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 990);
+      }
+      await time.increase(2 * 24 * 3600);
+      await cbdcToken.setMaxTransactionAmount(5000);
+      for (let i = 0; i < 3; i++) {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 4900);
+      }
+      await indexer.sync();
+
+      // The initial limit is not indexed, so the first transfers need it given
+      let report = structuringReport(database);
+      expect(report.rows.map(({ totalAmount }) => totalAmount)).to.deep.equal([
+        "14700",
+      ]);
+
+      report = structuringReport(database, { maxTransactionAmount: 1000 });
+      expect(report.rows.map(({ totalAmount }) => totalAmount)).to.deep.equal([
+        "2970",
+        "14700",
+      ]);
+    });
+
+    it("Should produce per-address statements with running balances", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 3000);
+      await time.increase(3600);
+      const start = (await time.latest()) + 1;
+      await cbdcToken.connect(addr2).transfer(addr1.address, 1000);
+      await cbdcToken.setBlacklistStatus(addr1.address, true);
+      await indexer.sync();
+
+      let statement = addressStatement(database, addr1.address);
+      expect(statement.openingBalance).to.equal("0");
+      expect(statement.closingBalance).to.equal(
+        (await cbdcToken.balanceOf(addr1.address)).toString()
+      );
+      expect(
+        statement.rows.map(({ direction, amount, balance }) => [
+          direction,
+          amount,
+          balance,
+        ])
+      ).to.deep.equal([
+        ["in", "10000", "10000"],
+        ["out", "3000", "7000"],
+        ["in", "1000", "8000"],
+      ]);
+      expect(
+        statement.blacklistChanges.map(({ blacklisted }) => blacklisted)
+      ).to.deep.equal([true]);
+
+      statement = addressStatement(database, addr1.address, {
+        fromTimestamp: start,
+      });
+      expect(statement.openingBalance).to.equal("7000");
+      expect(statement.rows).to.have.length(1);
+      expect(statement.rows[0].counterparty).to.equal(addr2.address);
+    });
+
+    it("Should reconcile the indexed supply with the chain", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 3000);
+      await cbdcToken.setBurnAllowance(owner.address, 1000);
+      const requestId = await cbdcToken
+        .connect(addr2)
+        .callStatic.requestRedemption(500, ISSUANCE);
+      await cbdcToken.connect(addr2).requestRedemption(500, ISSUANCE);
+      await cbdcToken.settleRedemption(requestId, ISSUANCE);
+      await indexer.sync();
+
+      const report = await supplyReconciliation(database, cbdcToken);
+
+      expect(report.balanced).to.equal(true);
+      expect(report.holders).to.equal(2);
+      expect(
+        report.rows.map(({ check, indexed }) => [check, indexed])
+      ).to.deep.equal([
+        ["totalSupply", "9500"],
+        ["totalIssued", "10000"],
+        ["totalRedeemed", "500"],
+      ]);
+    });
+
+    it("Should report discrepancies when history is missing", async function () {
+      indexer = new EventIndexer(cbdcToken, database, {
+        fromBlock: (await ethers.provider.getBlockNumber()) + 1,
+      });
+      await cbdcToken.mint(addr2.address, 500, ISSUANCE);
+      await indexer.sync();
+
+      const report = await supplyReconciliation(database, cbdcToken);
+
+      expect(report.balanced).to.equal(false);
+      const supply = report.rows.find(({ check }) => check === "totalSupply");
+      expect(supply).to.include({
+        indexed: "500",
+        onChain: "10500",
+        difference: "-10000",
+      });
+      expect(report.rows.map(({ check }) => check)).not.to.include(
+        `balanceOf(${addr2.address})`
+      );
+    });
+  });
+
+  describe("Export", function () {
+    it("Should export reports as JSON and CSV", async function () {
+      await cbdcToken.connect(addr1).transfer(addr2.address, 5000);
+      await indexer.sync();
+      const report = largeTransactionReport(database, { threshold: 1000 });
+
+      expect(JSON.parse(exportReport(report))).to.deep.equal(report);
+      const [header, row] = exportReport(report, "csv").split("\n");
+      expect(header).to.equal(
+        "blockNumber,logIndex,transactionHash,timestamp,from,to,amount,offline"
+      );
+      expect(row.split(",").slice(4)).to.deep.equal([
+        addr1.address,
+        addr2.address,
+        "5000",
+        "false",
+      ]);
+      expect(() => exportReport(report, "xml")).to.throw(
+        "Unknown report format xml"
+      );
+    });
+
+    it("Should quote CSV values and join lists", function () {
+      expect(
+        toCsv([{ name: 'a "b", c', list: ["x", "y"], empty: undefined }])
+      ).to.equal('name,list,empty\n"a ""b"", c",x;y,');
+    });
+  });
+});
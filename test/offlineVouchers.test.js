@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  buildVoucherDomain,
+  hashVoucher,
+  recoverVoucherSigner,
+  signVoucher,
+  toBulkArguments,
+  verifyVoucher,
+} = require("../lib/offlineVouchers");
+
+describe("offlineVouchers", function () {
+  let payer, payee, other, domain, voucher;
+
+  beforeEach(async function () {
+    [payer, payee, other] = await ethers.getSigners();
+    domain = buildVoucherDomain({
+      chainId: 1337,
+      verifyingContract: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    });
+    voucher = {
+      from: payer.address,
+      to: payee.address,
+      amount: 100,
+      nonce: 1,
+      expirationTimestamp: 2_000_000_000,
+    };
+  });
+
+  it("Should build the CBDCToken domain", function () {
+    expect(domain).to.deep.equal({
+      name: "CBDC Token",
+      version: "1",
+      chainId: 1337,
+      verifyingContract: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    });
+  });
+
+  it("Should recover the signer of a voucher", async function () {
+    const signature = await signVoucher(payer, domain, voucher);
+    expect(recoverVoucherSigner(domain, voucher, signature)).to.equal(
+      payer.address
+    );
+  });
+
+  it("Should accept a voucher signed by its payer", async function () {
+    const signature = await signVoucher(payer, domain, voucher);
+    expect(
+      verifyVoucher(domain, voucher, signature, 1_000_000_000)
+    ).to.deep.equal({
+      valid: true,
+    });
+  });
+
+  it("Should reject a voucher signed by someone else", async function () {
+    const signature = await signVoucher(other, domain, voucher);
+    expect(
+      verifyVoucher(domain, voucher, signature, 1_000_000_000)
+    ).to.deep.equal({
+      valid: false,
+      reason: "Invalid signature",
+    });
+  });
+
+  it("Should reject a tampered voucher", async function () {
+    const signature = await signVoucher(payer, domain, voucher);
+    expect(
+      verifyVoucher(
+        domain,
+        { ...voucher, amount: 1000 },
+        signature,
+        1_000_000_000
+      )
+    ).to.deep.equal({ valid: false, reason: "Invalid signature" });
+  });
+
+  it("Should reject a malformed signature", function () {
+    expect(
+      verifyVoucher(domain, voucher, "0x1234", 1_000_000_000)
+    ).to.deep.equal({
+      valid: false,
+      reason: "Invalid signature",
+    });
+  });
+
+  it("Should reject an expired voucher", async function () {
+    const signature = await signVoucher(payer, domain, voucher);
+    expect(
+      verifyVoucher(domain, voucher, signature, 2_000_000_001)
+    ).to.deep.equal({
+      valid: false,
+      reason: "Transaction expired",
+    });
+  });
+
+  it("Should bind the hash to the domain", function () {
+    expect(hashVoucher(domain, voucher)).to.not.equal(
+      hashVoucher({ ...domain, chainId: 1 }, voucher)
+    );
+  });
+
+  it("Should convert signed vouchers to bulk arguments", async function () {
+    const signature = await signVoucher(payer, domain, voucher);
+    const [froms, tos, amounts, nonces, expirationTimestamps, signatures] =
+      toBulkArguments([{ voucher, signature }]);
+    expect(froms).to.deep.equal([payer.address]);
+    expect(tos).to.deep.equal([payee.address]);
+    expect(amounts[0]).to.equal(100);
+    expect(nonces[0]).to.equal(1);
+    expect(expirationTimestamps[0]).to.equal(2_000_000_000);
+    expect(signatures).to.deep.equal([signature]);
+  });
+});
@@ -0,0 +1,469 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  AccessDeniedError,
+  BlacklistedError,
+  CBDCClient,
+  CBDCError,
+  CoolDownError,
+  InsufficientBalanceError,
+  InvalidArgumentError,
+  InvalidSignatureError,
+  KYCRequiredError,
+  PausedError,
+  QuotaError,
+  RecoveryError,
+  ROLE_NAMES,
+  TransactionLimitError,
+  errorFromReason,
+  toCBDCError,
+} = require("../lib/sdk");
+const { deployCBDCTokenProxy } = require("../scripts/deployUpgradeable");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
+
+describe("sdk", function () {
+  let cbdcToken, owner, addr1, addr2, addr3, client, MINTER_ROLE;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const CBDCToken = await ethers.getContractFactory("CBDCToken");
+    cbdcToken = await CBDCToken.deploy(await deployCBDCTokenModules(hre));
+    await cbdcToken.deployed();
+    MINTER_ROLE = await cbdcToken.MINTER_ROLE();
+    await cbdcToken.setMintAllowance(owner.address, 10000);
+    for (const account of [owner, addr1, addr2, addr3]) {
+      await cbdcToken.setKYCStatus(account.address, true, 1);
+    }
+    client = new CBDCClient(cbdcToken);
+  });
+
+  async function expectRejection(promise, ErrorClass, reason) {
+    let error;
+    try {
+      await promise;
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(ErrorClass);
+    expect(error.reason).to.equal(reason);
+    return error;
+  }
+
+  describe("Errors", function () {
+    it("Should map revert strings to typed errors", function () {
+      expect(errorFromReason("Transaction too soon")).to.be.instanceOf(
+        CoolDownError
+      );
+      expect(errorFromReason("Blacklisted address")).to.be.instanceOf(
+        BlacklistedError
+      );
+      expect(errorFromReason("Exceeds daily volume limit")).to.be.instanceOf(
+        TransactionLimitError
+      );
+      expect(errorFromReason("Pausable: paused")).to.be.instanceOf(PausedError);
+      const unknown = errorFromReason("Something else");
+      expect(unknown.constructor).to.equal(CBDCError);
+      expect(unknown.message).to.equal("Something else");
+    });
+
+    it("Should parse the account and role of access control reverts", function () {
+      const error = errorFromReason(
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${MINTER_ROLE}`
+      );
+      expect(error).to.be.instanceOf(AccessDeniedError);
+      expect(error.account).to.equal(addr1.address.toLowerCase());
+      expect(error.role).to.equal(MINTER_ROLE);
+    });
+
+    it("Should convert contract reverts and pass other errors through", async function () {
+      let revert;
+      try {
+        await cbdcToken.connect(addr1).transfer(addr2.address, 1);
+      } catch (error) {
+        revert = error;
+      }
+      const converted = toCBDCError(revert);
+      expect(converted).to.be.instanceOf(InsufficientBalanceError);
+      expect(converted.cause).to.equal(revert);
+
+      const networkError = new Error("could not detect network");
+      expect(toCBDCError(networkError)).to.equal(networkError);
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should list the roles an account holds", async function () {
+      expect(await client.rolesOf(owner.address)).to.include.members([
+        "DEFAULT_ADMIN_ROLE",
+        "MINTER_ROLE",
+        "COMPLIANCE_ROLE",
+      ]);
+      expect(await client.rolesOf(addr1.address)).to.deep.equal([]);
+    });
+
+    it("Should list UPGRADER_ROLE on the upgradeable token", async function () {
+      const upgradeable = await deployCBDCTokenProxy(hre, owner.address);
+      const roles = await new CBDCClient(upgradeable).rolesOf(owner.address);
+      expect(roles).to.deep.equal(ROLE_NAMES);
+      expect(roles).to.include("UPGRADER_ROLE");
+      expect(await client.rolesOf(owner.address)).to.not.include(
+        "UPGRADER_ROLE"
+      );
+    });
+
+    it("Should reject role-gated calls before sending them", async function () {
+      const outsider = client.connect(addr1);
+      const nonceBefore = await addr1.getTransactionCount();
+
+      const error = await expectRejection(
+        outsider.issuance.mint(addr1.address, 100, "ISSUANCE"),
+        AccessDeniedError,
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${MINTER_ROLE}`
+      );
+      expect(error.account).to.equal(addr1.address);
+      await expectRejection(
+        outsider.compliance.setBlacklistStatus(addr2.address, true),
+        AccessDeniedError,
+        `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${await cbdcToken.COMPLIANCE_ROLE()}`
+      );
+      expect(await addr1.getTransactionCount()).to.equal(nonceBefore);
+    });
+  });
+
+  describe("Issuance", function () {
+    it("Should mint with a string reason code", async function () {
+      const receipt = await client.issuance.mint(
+        addr1.address,
+        100,
+        "ISSUANCE"
+      );
+
+      const issued = receipt.events.find(({ event }) => event === "Issued");
+      expect(issued.args.reasonCode).to.equal(
+        ethers.utils.formatBytes32String("ISSUANCE")
+      );
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(100);
+      expect(await client.issuance.mintAllowance()).to.equal(9900);
+    });
+
+    it("Should report quota problems before minting", async function () {
+      await cbdcToken.setMintCeiling(3600, 50);
+
+      const issues = await client.issuance.checkMint(addr1.address, 20000);
+      expect(issues.map(({ reason }) => reason)).to.deep.equal([
+        "Exceeds minter allowance",
+        "Exceeds epoch mint ceiling",
+      ]);
+      await expectRejection(
+        client.issuance.mint(addr1.address, 100, "ISSUANCE"),
+        QuotaError,
+        "Exceeds epoch mint ceiling"
+      );
+    });
+  });
+
+  describe("Transfer Pre-flight Checks", function () {
+    let sender;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(
+        addr1.address,
+        1000,
+        ethers.utils.formatBytes32String("ISSUANCE")
+      );
+      sender = client.connect(addr1);
+    });
+
+    it("Should find no issues for a valid transfer", async function () {
+      expect(
+        await client.checkTransfer(addr1.address, addr2.address, 100)
+      ).to.deep.equal([]);
+      await sender.transfer(addr2.address, 100);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+    });
+
+    it("Should report the blacklist, pause and transaction limit together", async function () {
+      await client.compliance.setBlacklistStatus(addr2.address, true);
+      await client.compliance.pause();
+      await client.policy.setMaxTransactionAmount(50);
+
+      const issues = await client.checkTransfer(
+        addr1.address,
+        addr2.address,
+        100
+      );
+      expect(issues.map((issue) => issue.constructor)).to.deep.equal([
+        PausedError,
+        BlacklistedError,
+        TransactionLimitError,
+      ]);
+      expect(issues[1].account).to.equal(addr2.address);
+    });
+
+    it("Should report the cool-down with the time it ends", async function () {
+      await sender.transfer(addr2.address, 100);
+      const sentAt = await time.latest();
+
+      const error = await expectRejection(
+        sender.transfer(addr2.address, 100),
+        CoolDownError,
+        "Transaction too soon"
+      );
+      expect(error.retryAt).to.equal(sentAt + 60);
+    });
+
+    it("Should report unverified recipients", async function () {
+      const [, , , , unverified] = await ethers.getSigners();
+
+      await expectRejection(
+        sender.transfer(unverified.address, 100),
+        KYCRequiredError,
+        "KYC verification required"
+      );
+    });
+
+    it("Should find tier and balance limits by simulating the transfer", async function () {
+      await client.policy.setPolicyTier(1, { maxTransactionAmount: 50 });
+
+      const issues = await client.checkTransfer(
+        addr1.address,
+        addr2.address,
+        100
+      );
+      expect(issues).to.have.length(1);
+      expect(issues[0]).to.be.instanceOf(TransactionLimitError);
+      expect(issues[0].reason).to.equal("Exceeds tier transaction limit");
+
+      const [balanceIssue] = await client.checkTransfer(
+        addr1.address,
+        addr2.address,
+        5000
+      );
+      expect(balanceIssue).to.be.instanceOf(InsufficientBalanceError);
+    });
+
+    it("Should map reverts to typed errors when pre-flight checks are skipped", async function () {
+      await client.compliance.setBlacklistStatus(addr1.address, true);
+
+      await expectRejection(
+        sender.transfer(addr2.address, 100, { preflight: false }),
+        BlacklistedError,
+        "Blacklisted address"
+      );
+    });
+  });
+
+  describe("Policy", function () {
+    it("Should update and read policies", async function () {
+      await client.policy.setTransactionCoolDown(0);
+      await client.policy.setVelocityLimit(3600, 5, 1000);
+      await client.policy.setFeeCollector(addr3.address);
+
+      const policy = await client.policy.get();
+      expect(policy.transactionCoolDown).to.equal(0);
+      expect(policy.velocityWindow).to.equal(3600);
+      expect(policy.maxTransactionsPerWindow).to.equal(5);
+      expect(policy.feeCollector).to.equal(addr3.address);
+    });
+  });
+
+  describe("Institutions", function () {
+    let bank;
+
+    beforeEach(async function () {
+      await client.institution.register(addr1.address, "Bank A", 1000);
+      bank = client.connect(addr1);
+      await client.compliance.setKYCStatus(addr2.address, false, 0);
+      await client.connect(addr2).institution.approveOnboarding(addr1.address);
+      await bank.institution.onboardCustomer(addr2.address, 2);
+    });
+
+    it("Should issue to customers and report aggregate balances", async function () {
+      await bank.institution.mint(addr2.address, 500, "ISSUANCE");
+      // Addresses match whatever their case
+      await bank.institution.mint(addr2.address.toLowerCase(), 50, "ISSUANCE");
+      await bank.institution.mint(addr1.address.toLowerCase(), 50, "ISSUANCE");
+
+      const institution = await client.institution.get(addr1.address);
+      expect(institution.customerCount).to.equal(1);
+      expect(institution.customerBalance).to.equal(550);
+      expect(await client.institution.institutionOf(addr2.address)).to.equal(
+        addr1.address
+      );
+      await expectRejection(
+        bank.institution.mint(addr3.address, 1, "ISSUANCE"),
+        AccessDeniedError,
+        "Not a customer of this institution"
+      );
+      await expectRejection(
+        bank.institution.mint(addr2.address, 500, "ISSUANCE"),
+        QuotaError,
+        "Exceeds minter allowance"
+      );
+    });
+
+    it("Should only onboard customers that approved the institution", async function () {
+      await expectRejection(
+        bank.institution.onboardCustomer(addr3.address, 1),
+        InvalidArgumentError,
+        "Verified by the central bank"
+      );
+      await client.compliance.setKYCStatus(addr3.address, false, 0);
+      await expectRejection(
+        bank.institution.onboardCustomer(addr3.address, 1),
+        AccessDeniedError,
+        "Onboarding not approved"
+      );
+
+      await client.institution.approveOnboarding(addr1.address, addr3.address);
+      expect(
+        await client.institution.approvedInstitutionOf(addr3.address)
+      ).to.equal(addr1.address);
+      await bank.institution.onboardCustomer(addr3.address, 1);
+      expect(
+        await client.institution.approvedInstitutionOf(addr3.address)
+      ).to.equal(undefined);
+    });
+
+    it("Should only let active institutions manage customers", async function () {
+      await expectRejection(
+        client.connect(addr3).institution.onboardCustomer(addr3.address, 1),
+        AccessDeniedError,
+        "Not an active institution"
+      );
+      await client.institution.setStatus(addr1.address, false);
+      await expectRejection(
+        bank.institution.setCustomerBlacklistStatus(addr2.address, true),
+        AccessDeniedError,
+        "Not an active institution"
+      );
+    });
+  });
+
+  describe("Recovery", function () {
+    it("Should recover an account through its guardians", async function () {
+      const [guardian, newAccount] = (await ethers.getSigners()).slice(4, 6);
+      await cbdcToken.mint(
+        addr1.address,
+        400,
+        ethers.utils.formatBytes32String("ISSUANCE")
+      );
+      await client.connect(addr1).recovery.setGuardians([guardian.address], 1);
+      expect(
+        (await client.recovery.getGuardians(addr1.address)).guardians
+      ).to.deep.equal([guardian.address]);
+
+      await expectRejection(
+        client.recovery.initiate(addr1.address, newAccount.address),
+        AccessDeniedError,
+        "Not a guardian"
+      );
+      await client
+        .connect(guardian)
+        .recovery.initiate(addr1.address, newAccount.address);
+      const request = await client.recovery.getRequest(addr1.address);
+      expect(request.newAccount).to.equal(newAccount.address);
+      await expectRejection(
+        client.recovery.execute(addr1.address),
+        RecoveryError,
+        "Recovery not ready"
+      );
+
+      await time.increase(3 * 24 * 60 * 60);
+      await client.recovery.execute(addr1.address);
+      expect(await client.recovery.recoveredAccountOf(addr1.address)).to.equal(
+        newAccount.address
+      );
+      expect(await client.recovery.recoveredAccountOf(addr2.address)).to.equal(
+        undefined
+      );
+      expect(await cbdcToken.balanceOf(newAccount.address)).to.equal(400);
+    });
+  });
+
+  describe("Offline Settlement", function () {
+    let relayer;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(
+        addr1.address,
+        1000,
+        ethers.utils.formatBytes32String("ISSUANCE")
+      );
+      await cbdcToken.setTransactionCoolDown(0);
+      relayer = client.connect(addr3);
+    });
+
+    async function signVoucher(amount, nonce, expiresIn = 3600) {
+      return relayer.offline.signVoucher(addr1, {
+        from: addr1.address,
+        to: addr2.address,
+        amount,
+        nonce,
+        expirationTimestamp: (await time.latest()) + expiresIn,
+      });
+    }
+
+    it("Should settle a signed voucher", async function () {
+      const signedVoucher = await signVoucher(100, 1);
+
+      expect(await relayer.offline.checkVoucher(signedVoucher)).to.deep.equal(
+        []
+      );
+      await relayer.offline.settle(signedVoucher);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(100);
+    });
+
+    it("Should report expired and replayed vouchers", async function () {
+      const expired = await signVoucher(100, 1, -1);
+      await expectRejection(
+        relayer.offline.settle(expired),
+        InvalidSignatureError,
+        "Transaction expired"
+      );
+
+      const signedVoucher = await signVoucher(100, 2);
+      await relayer.offline.settle(signedVoucher);
+      await expectRejection(
+        relayer.offline.settle(signedVoucher),
+        InvalidSignatureError,
+        "Nonce already used"
+      );
+    });
+
+    it("Should return typed per-voucher results for partial batches", async function () {
+      const signedVouchers = [
+        await signVoucher(100, 1),
+        await signVoucher(5000, 2),
+        await signVoucher(200, 3),
+      ];
+
+      const { results } = await relayer.offline.settleBatch(signedVouchers, {
+        atomic: false,
+      });
+
+      expect(results[0]).to.deep.equal({ settled: true });
+      expect(results[1].settled).to.equal(false);
+      expect(results[1].error).to.be.instanceOf(InsufficientBalanceError);
+      expect(results[2]).to.deep.equal({ settled: true });
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(300);
+    });
+
+    it("Should revert atomic batches as a whole with a typed error", async function () {
+      const signedVouchers = [
+        await signVoucher(100, 1),
+        await signVoucher(5000, 2),
+      ];
+
+      await expectRejection(
+        relayer.offline.settleBatch(signedVouchers),
+        InsufficientBalanceError,
+        "Insufficient unlocked balance"
+      );
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getVoucherDomain, signVoucher } = require("../lib/offlineVouchers");
+const {
+  collectStatements,
+  decryptStatement,
+  encryptStatement,
+  exportStatements,
+  generateViewingKey,
+} = require("../lib/statements");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
+
+describe("statements", function () {
+  const REASON_CODE = ethers.utils.formatBytes32String("ISSUANCE");
+  let cbdcToken, owner, addr1, addr2, addr3;
+  let holderKeys, auditorKey, mintBlock;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const CBDCToken = await ethers.getContractFactory("CBDCToken");
+    cbdcToken = await CBDCToken.deploy(await deployCBDCTokenModules(hre));
+    await cbdcToken.deployed();
+    await cbdcToken.setMintAllowance(owner.address, 10000);
+    for (const account of [addr1, addr2, addr3]) {
+      await cbdcToken.setKYCStatus(account.address, true, 1);
+    }
+
+    const mint = await cbdcToken.mint(addr1.address, 1000, REASON_CODE);
+    mintBlock = (await mint.wait()).blockNumber;
+    await cbdcToken.connect(addr1).transfer(addr2.address, 300);
+    await time.increase(60);
+    const voucher = {
+      from: addr1.address,
+      to: addr3.address,
+      amount: 200,
+      nonce: 1,
+      expirationTimestamp: (await time.latest()) + 3600,
+    };
+    const signature = await signVoucher(
+      addr1,
+      await getVoucherDomain(cbdcToken),
+      voucher
+    );
+    await cbdcToken.processOfflineTransaction(
+      voucher.from,
+      voucher.to,
+      voucher.amount,
+      voucher.nonce,
+      voucher.expirationTimestamp,
+      signature
+    );
+
+    holderKeys = {
+      [addr1.address]: generateViewingKey(),
+      [addr2.address]: generateViewingKey(),
+    };
+    auditorKey = generateViewingKey();
+  });
+
+  async function exportAll() {
+    return exportStatements(cbdcToken, {
+      viewingKeys: Object.fromEntries(
+        Object.entries(holderKeys).map(([holder, key]) => [
+          holder.toLowerCase(),
+          key.publicKey,
+        ])
+      ),
+      auditorPublicKey: auditorKey.publicKey,
+    });
+  }
+
+  function envelopeOf(envelopes, holder) {
+    return envelopes.find((envelope) => envelope.holder === holder);
+  }
+
+  it("Should collect the balance and history of every holder", async function () {
+    const statements = await collectStatements(cbdcToken);
+
+    expect(Object.keys(statements)).to.have.members([
+      addr1.address,
+      addr2.address,
+      addr3.address,
+    ]);
+    const statement = statements[addr1.address];
+    expect(statement.balance).to.equal("500");
+    expect(statement.availableBalance).to.equal("500");
+    expect(statement.entries.map(({ event }) => event)).to.deep.equal([
+      "Transfer",
+      "Transfer",
+      "Transfer",
+      "OfflineTransactionProcessed",
+    ]);
+    expect(statement.entries[0]).to.include({
+      from: ethers.constants.AddressZero,
+      to: addr1.address,
+      amount: "1000",
+    });
+    expect(statement.entries[3]).to.include({
+      from: addr1.address,
+      to: addr3.address,
+      amount: "200",
+    });
+    expect(statement.entries[3].transactionId).to.be.a("string");
+    expect(statements[addr3.address].entries).to.have.length(2);
+  });
+
+  it("Should take balances and history at the requested block", async function () {
+    const statements = await collectStatements(cbdcToken, {
+      toBlock: mintBlock,
+    });
+
+    expect(Object.keys(statements)).to.deep.equal([addr1.address]);
+    expect(statements[addr1.address].balance).to.equal("1000");
+    expect(statements[addr1.address].entries).to.have.length(1);
+  });
+
+  it("Should let a holder read only their own statement", async function () {
+    const envelopes = await exportAll();
+    const viewingKey = holderKeys[addr1.address].privateKey;
+
+    const statement = decryptStatement(
+      envelopeOf(envelopes, addr1.address),
+      viewingKey
+    );
+    expect(statement.holder).to.equal(addr1.address);
+    expect(statement.balance).to.equal("500");
+
+    expect(() =>
+      decryptStatement(envelopeOf(envelopes, addr2.address), viewingKey)
+    ).to.throw("Statement is not readable with this viewing key");
+  });
+
+  it("Should not expose balances or history in the encrypted statement", async function () {
+    const envelope = envelopeOf(await exportAll(), addr1.address);
+
+    expect(Object.keys(envelope)).to.have.members([
+      "version",
+      "holder",
+      "chainId",
+      "token",
+      "blockNumber",
+      "iv",
+      "tag",
+      "ciphertext",
+      "recipients",
+    ]);
+    expect(JSON.stringify(envelope)).to.not.include(addr2.address);
+  });
+
+  it("Should let the auditor read every statement", async function () {
+    const envelopes = await exportAll();
+
+    const statements = envelopes.map((envelope) =>
+      decryptStatement(envelope, auditorKey.privateKey)
+    );
+    expect(statements.map(({ holder }) => holder)).to.have.members([
+      addr1.address,
+      addr2.address,
+      addr3.address,
+    ]);
+  });
+
+  it("Should only encrypt for the auditor when a holder has no viewing key", async function () {
+    const envelope = envelopeOf(await exportAll(), addr3.address);
+
+    expect(envelope.recipients).to.have.length(1);
+    expect(decryptStatement(envelope, auditorKey.privateKey).balance).to.equal(
+      "200"
+    );
+  });
+
+  it("Should reject a tampered or relabelled statement", async function () {
+    const statement = (await collectStatements(cbdcToken))[addr1.address];
+    const envelope = encryptStatement(statement, {
+      viewingPublicKey: holderKeys[addr1.address].publicKey,
+      auditorPublicKey: auditorKey.publicKey,
+    });
+
+    const relabelled = { ...envelope, holder: addr2.address };
+    expect(() => decryptStatement(relabelled, auditorKey.privateKey)).to.throw(
+      "Statement failed authentication"
+    );
+
+    const ciphertext = ethers.utils.arrayify(envelope.ciphertext);
+    ciphertext[0] ^= 1;
+    const tampered = {
+      ...envelope,
+      ciphertext: ethers.utils.hexlify(ciphertext),
+    };
+    expect(() => decryptStatement(tampered, auditorKey.privateKey)).to.throw(
+      "Statement failed authentication"
+    );
+  });
+});
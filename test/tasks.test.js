@@ -0,0 +1,290 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getVoucherDomain, signVoucher } = require("../lib/offlineVouchers");
+const { deployCBDCTokenModules } = require("../scripts/deployModules");
+
+const { ethers } = hre;
+
+describe("tasks", function () {
+  let cbdcToken, owner, addr1, addr2, addr3, printed, exitCode, originalLog;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const CBDCToken = await ethers.getContractFactory("CBDCToken");
+    cbdcToken = await CBDCToken.deploy(await deployCBDCTokenModules(hre));
+    await cbdcToken.deployed();
+    await cbdcToken.setMintAllowance(owner.address, 10000);
+    for (const account of [owner, addr1, addr2, addr3]) {
+      await cbdcToken.setKYCStatus(account.address, true, 1);
+    }
+
+    printed = [];
+    originalLog = console.log;
+    console.log = (line) => printed.push(line);
+    exitCode = process.exitCode;
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    process.exitCode = exitCode;
+  });
+
+  function run(name, args = {}) {
+    return hre.run(name, { token: cbdcToken.address, ...args });
+  }
+
+  describe("cbdc:mint", function () {
+    it("Should mint and print the result as JSON", async function () {
+      const output = await run("cbdc:mint", {
+        to: addr1.address,
+        amount: "500",
+      });
+
+      expect(output.ok).to.equal(true);
+      expect(output.method).to.equal("mint");
+      expect(output.events.map(({ event }) => event)).to.include("Issued");
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(500);
+      expect(JSON.parse(printed[0])).to.deep.include({
+        ok: true,
+        task: "cbdc:mint",
+        transactionHash: output.transactionHash,
+      });
+    });
+
+    it("Should only simulate in dry-run mode", async function () {
+      const output = await run("cbdc:mint", {
+        to: addr1.address,
+        amount: "500",
+        dryRun: true,
+      });
+
+      expect(output.ok).to.equal(true);
+      expect(output.gasEstimate.gt(0)).to.equal(true);
+      expect(output.transactionHash).to.equal(undefined);
+      expect(await cbdcToken.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should report failures with a typed error and exit code", async function () {
+      const output = await run("cbdc:mint", {
+        to: addr1.address,
+        amount: "20000",
+        dryRun: true,
+      });
+
+      expect(output.ok).to.equal(false);
+      expect(output.error).to.deep.equal({
+        name: "QuotaError",
+        message: "Exceeds minter allowance",
+      });
+      expect(process.exitCode).to.equal(1);
+      expect(JSON.parse(printed[0]).ok).to.equal(false);
+    });
+  });
+
+  describe("cbdc:blacklist and cbdc:pause", function () {
+    it("Should blacklist and lift the blacklisting of an account", async function () {
+      await run("cbdc:blacklist", { account: addr1.address });
+      expect(await cbdcToken.isBlacklisted(addr1.address)).to.equal(true);
+
+      await run("cbdc:blacklist", { account: addr1.address, remove: true });
+      expect(await cbdcToken.isBlacklisted(addr1.address)).to.equal(false);
+    });
+
+    it("Should pause and unpause the token", async function () {
+      await run("cbdc:pause");
+      expect(await cbdcToken.paused()).to.equal(true);
+
+      await run("cbdc:pause", { unpause: true });
+      expect(await cbdcToken.paused()).to.equal(false);
+    });
+  });
+
+  describe("cbdc:policy", function () {
+    it("Should print the current policies", async function () {
+      await cbdcToken.setTransactionCoolDown(120);
+
+      const output = await run("cbdc:policy");
+
+      expect(output.policy.transactionCoolDown).to.equal("120");
+      expect(JSON.parse(printed[0]).policy.transactionCoolDown).to.equal("120");
+    });
+
+    it("Should change single and multi-value policies", async function () {
+      await run("cbdc:policy", { set: "transactionCoolDown", value: "30" });
+      expect(await cbdcToken.transactionCoolDown()).to.equal(30);
+
+      await run("cbdc:policy", {
+        set: "feeExemption",
+        value: `${addr1.address},true`,
+      });
+      expect(await cbdcToken.isFeeExempt(addr1.address)).to.equal(true);
+    });
+
+    it("Should reject unknown policies", async function () {
+      const output = await run("cbdc:policy", { set: "unknown", value: "1" });
+
+      expect(output.ok).to.equal(false);
+      expect(output.error.message).to.match(/^Pass --value and one of --set/);
+    });
+  });
+
+  describe("cbdc:roles", function () {
+    it("Should grant, list and revoke roles", async function () {
+      await run("cbdc:roles", {
+        account: addr1.address,
+        grant: "MINTER_ROLE",
+      });
+
+      let output = await run("cbdc:roles", { account: addr1.address });
+      expect(output.roles).to.deep.equal(["MINTER_ROLE"]);
+
+      output = await run("cbdc:roles");
+      expect(output.roles.MINTER_ROLE).to.have.members([
+        owner.address,
+        addr1.address,
+      ]);
+
+      await run("cbdc:roles", {
+        account: addr1.address,
+        revoke: "MINTER_ROLE",
+      });
+      output = await run("cbdc:roles");
+      expect(output.roles.MINTER_ROLE).to.deep.equal([owner.address]);
+    });
+
+    it("Should reject unknown roles", async function () {
+      const output = await run("cbdc:roles", {
+        account: addr1.address,
+        grant: "OWNER_ROLE",
+      });
+
+      expect(output.ok).to.equal(false);
+      expect(output.error.message).to.equal("Unknown role OWNER_ROLE");
+    });
+  });
+
+  describe("cbdc:settle-vouchers", function () {
+    let directory;
+
+    beforeEach(async function () {
+      await cbdcToken.mint(
+        addr1.address,
+        1000,
+        ethers.utils.formatBytes32String("ISSUANCE")
+      );
+      await cbdcToken.setTransactionCoolDown(0);
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "cbdc-vouchers-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    async function signVouchers(amounts) {
+      const domain = await getVoucherDomain(cbdcToken);
+      const expirationTimestamp = (await time.latest()) + 3600;
+      return Promise.all(
+        amounts.map(async (amount, i) => {
+          const voucher = {
+            from: addr1.address,
+            to: addr2.address,
+            amount,
+            nonce: i + 1,
+            expirationTimestamp,
+          };
+          return {
+            voucher,
+            signature: await signVoucher(addr1, domain, voucher),
+          };
+        })
+      );
+    }
+
+    function writeJson(signedVouchers) {
+      const file = path.join(directory, "vouchers.json");
+      fs.writeFileSync(file, JSON.stringify(signedVouchers));
+      return file;
+    }
+
+    it("Should settle a JSON file in chunks of the batch size", async function () {
+      const file = writeJson(await signVouchers([100, 100, 100, 100, 100]));
+
+      const output = await run("cbdc:settle-vouchers", { file, batchSize: 2 });
+
+      expect(output.ok).to.equal(true);
+      expect(output.vouchers).to.equal(5);
+      expect(output.chunks.map(({ count }) => count)).to.deep.equal([2, 2, 1]);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(500);
+    });
+
+    it("Should settle a CSV file", async function () {
+      const signedVouchers = await signVouchers([100, 200]);
+      const file = path.join(directory, "vouchers.csv");
+      fs.writeFileSync(
+        file,
+        [
+          "from,to,amount,nonce,expirationTimestamp,signature",
+          ...signedVouchers.map(({ voucher, signature }) =>
+            [
+              voucher.from,
+              voucher.to,
+              voucher.amount,
+              voucher.nonce,
+              voucher.expirationTimestamp,
+              signature,
+            ].join(",")
+          ),
+        ].join("\n")
+      );
+
+      const output = await run("cbdc:settle-vouchers", { file });
+
+      expect(output.chunks).to.have.length(1);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(300);
+    });
+
+    it("Should split batches that exceed the gas limit", async function () {
+      const file = writeJson(await signVouchers([100, 100, 100, 100]));
+      const pairs = (
+        await run("cbdc:settle-vouchers", { file, batchSize: 2, dryRun: true })
+      ).chunks;
+      const maxGas = Math.max(
+        ...pairs.map(({ gasEstimate }) => gasEstimate.toNumber())
+      );
+
+      const output = await run("cbdc:settle-vouchers", { file, maxGas });
+
+      expect(output.chunks.map(({ count }) => count)).to.deep.equal([2, 2]);
+      for (const chunk of output.chunks) {
+        expect(chunk.gasEstimate.lte(maxGas)).to.equal(true);
+      }
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(400);
+    });
+
+    it("Should not settle anything in dry-run mode", async function () {
+      const file = writeJson(await signVouchers([100, 200]));
+
+      const output = await run("cbdc:settle-vouchers", { file, dryRun: true });
+
+      expect(output.ok).to.equal(true);
+      expect(output.chunks[0].transactionHash).to.equal(undefined);
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should report the chunks settled before a failing one", async function () {
+      const file = writeJson(await signVouchers([100, 100, 5000]));
+
+      const output = await run("cbdc:settle-vouchers", { file, batchSize: 2 });
+
+      expect(output.ok).to.equal(false);
+      expect(output.chunks).to.have.length(1);
+      expect(output.failedChunk).to.deep.equal({ firstIndex: 2, count: 1 });
+      expect(output.error.message).to.equal("Insufficient unlocked balance");
+      expect(await cbdcToken.balanceOf(addr2.address)).to.equal(200);
+    });
+  });
+});